@@ -0,0 +1,38 @@
+import { pool } from './lib/db.js';
+import { issueApiKey, listApiKeys } from './lib/auth.js';
+
+// Operator tool for API keys, run where the server's database and
+// API_KEY_SECRET are configured.
+// Usage:
+//   node keys.js issue <user_id> [label]   Issue a key, e.g. the first one for a user created before keys existed
+//   node keys.js list <user_id>            List a user's keys (never the keys themselves)
+const [command, userId, label = null] = process.argv.slice(2);
+
+try {
+  if (!userId) {
+    throw new Error('user_id is required');
+  }
+
+  if (command === 'issue') {
+    const key = await issueApiKey(userId, label);
+    console.log(`🔑 [Keys] Issued key ${key.id} for ${userId} - it is only shown once:`);
+    console.log(key.api_key);
+  } else if (command === 'list') {
+    const keys = await listApiKeys(userId);
+    keys.forEach(key => {
+      const state = key.revoked_at ? `revoked ${key.revoked_at.toISOString()}` : 'active';
+      console.log(`   ${key.id} ${key.key_prefix}…${key.label ? ` ${key.label}` : ''} (${state})`);
+    });
+    if (keys.length === 0) {
+      console.log(`🔑 [Keys] ${userId} has no keys`);
+    }
+  } else {
+    console.error(`❌ [Keys] Unknown command: ${command} (expected issue or list)`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`❌ [Keys] ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
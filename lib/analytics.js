@@ -0,0 +1,247 @@
+import { pool } from './db.js';
+import { getUserCommands } from './commands.js';
+import { pruneHistoryBeforeRead } from './history.js';
+import { scoreSimilarity } from './similarity.js';
+import { cleanTranscribedText } from './text.js';
+import { getNormalizationRules } from './normalization.js';
+import { envNumber } from './env.js';
+
+// Usage analytics built from the invocation history. Everything here only sees
+// what the user's history retention still keeps.
+
+// Outcomes where the matcher ran on a real transcript; the match rate is taken over these
+const MATCHER_OUTCOMES = ['execute', 'confirm', 'needs_disambiguation', 'reject'];
+
+const DEFAULT_TOP_COMMANDS = 10;
+
+// Unmatched utterances this similar end up in the same cluster
+const CLUSTER_SIMILARITY = envNumber('UNMATCHED_CLUSTER_SIMILARITY', 0.75, { min: 0 });
+
+// Only the most recent unmatched utterances are clustered
+const MAX_UNMATCHED_UTTERANCES = 200;
+
+const MAX_CLUSTER_SAMPLES = 5;
+
+function analyticsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ANALYTICS_QUERY';
+  return error;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw analyticsError(`${name} must be an ISO 8601 date`);
+  }
+  return date.toISOString();
+}
+
+function parseLimit(value, name, fallback, max) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw analyticsError(`${name} must be a whole number between 1 and ${max}`);
+  }
+  return number;
+}
+
+// Validate the query parameters shared by the analytics routes. Throws INVALID_ANALYTICS_QUERY.
+export function parseAnalyticsQuery(query) {
+  return {
+    from: query.from !== undefined ? parseDate(query.from, 'from') : null,
+    to: query.to !== undefined ? parseDate(query.to, 'to') : null,
+    top: parseLimit(query.top, 'top', DEFAULT_TOP_COMMANDS, 100),
+    limit: parseLimit(query.limit, 'limit', 20, 100),
+    min_size: parseLimit(query.min_size, 'min_size', 2, 1000)
+  };
+}
+
+// WHERE clause and parameters for a user's history within [from, to).
+// prefix qualifies the columns when command_invocations is joined.
+function periodFilter(userId, { from, to }, prefix = '') {
+  const conditions = [`${prefix}user_id = $1`];
+  const params = [userId];
+
+  if (from) {
+    params.push(from);
+    conditions.push(`${prefix}created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`${prefix}created_at < $${params.length}`);
+  }
+  return { where: conditions.join(' AND '), params };
+}
+
+function latencySummary(row, prefix) {
+  const average = row[`${prefix}_avg`];
+  const p95 = row[`${prefix}_p95`];
+  return {
+    avg: average === null ? null : Math.round(average),
+    p95: p95 === null ? null : Math.round(p95)
+  };
+}
+
+// Most-used commands, match rate, latencies and commands that never fired
+export async function getUsageAnalytics(userId, query) {
+  await pruneHistoryBeforeRead(userId);
+  const { where, params } = periodFilter(userId, query);
+
+  const outcomes = await pool.query(
+    `SELECT outcome, source, COUNT(*)::int AS count
+     FROM command_invocations WHERE ${where}
+     GROUP BY outcome, source`,
+    params
+  );
+
+  const byOutcome = {};
+  const bySource = {};
+  let total = 0;
+  for (const row of outcomes.rows) {
+    byOutcome[row.outcome] = (byOutcome[row.outcome] || 0) + row.count;
+    bySource[row.source] = (bySource[row.source] || 0) + row.count;
+    total += row.count;
+  }
+
+  const attempted = MATCHER_OUTCOMES.reduce((sum, outcome) => sum + (byOutcome[outcome] || 0), 0);
+  const matched = attempted - (byOutcome.reject || 0);
+
+  const latency = await pool.query(
+    `SELECT
+       AVG(transcription_time_ms) AS transcription_avg,
+       PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY transcription_time_ms) AS transcription_p95,
+       AVG(matching_time_ms) AS matching_avg,
+       PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY matching_time_ms) AS matching_p95,
+       AVG(total_time_ms) AS total_avg,
+       PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY total_time_ms) AS total_p95
+     FROM command_invocations WHERE ${where}`,
+    params
+  );
+
+  // Commands that actually ran, counted by id so renamed commands stay one entry
+  const joined = periodFilter(userId, query, 'i.');
+  const topCommands = await pool.query(
+    `SELECT i.command_id, c.command_name, c.workflow_id, COUNT(*)::int AS invocations, MAX(i.created_at) AS last_used_at
+     FROM command_invocations i
+     JOIN commands c ON c.id = i.command_id
+     WHERE ${joined.where} AND i.outcome = 'execute'
+     GROUP BY i.command_id, c.command_name, c.workflow_id
+     ORDER BY invocations DESC, last_used_at DESC
+     LIMIT $${joined.params.length + 1}`,
+    [...joined.params, query.top]
+  );
+
+  // A command counts as triggered once the matcher picked it, whatever happened next
+  const triggered = await pool.query(
+    `SELECT DISTINCT command_id FROM command_invocations WHERE ${where} AND command_id IS NOT NULL`,
+    params
+  );
+  const triggeredIds = new Set(triggered.rows.map(row => row.command_id));
+  const neverTriggered = (await getUserCommands(userId))
+    .filter(command => !triggeredIds.has(command.id))
+    .map(command => ({
+      command_id: command.id,
+      command_name: command.command_name,
+      workflow_id: command.workflow_id,
+      created_at: command.created_at
+    }));
+
+  const latencyRow = latency.rows[0];
+  return {
+    period: { from: query.from, to: query.to },
+    invocations: { total, by_outcome: byOutcome, by_source: bySource },
+    match_rate: {
+      attempted,
+      matched,
+      rate: attempted > 0 ? Math.round((matched / attempted) * 1000) / 1000 : null
+    },
+    latency_ms: {
+      transcription: latencySummary(latencyRow, 'transcription'),
+      matching: latencySummary(latencyRow, 'matching'),
+      total: latencySummary(latencyRow, 'total')
+    },
+    top_commands: topCommands.rows,
+    never_triggered: neverTriggered
+  };
+}
+
+// Group unmatched transcripts ({ transcript, created_at } rows) into clusters
+// of similar phrases. Utterances are normalized with the user's rules, as the
+// matcher does, so "what's the weather" and "what is the weather" are one phrase.
+//
+// Greedy clustering, most frequent phrases first: the first phrase of a
+// cluster is its representative and suggested phrase, and each later phrase
+// joins the first cluster whose representative it is similar enough to. That
+// is one comparison per cluster, not per member, and the event loop gets a
+// turn after every phrase so other requests aren't held up.
+export async function clusterUtterances(rows, rules) {
+  // Identical utterances are counted once and weighted by how often they were said
+  const phrases = new Map();
+  for (const row of rows) {
+    const text = cleanTranscribedText(row.transcript, rules);
+    if (!text) {
+      continue;
+    }
+    const phrase = phrases.get(text) || { text, count: 0, first_seen: row.created_at, last_seen: row.created_at };
+    phrase.count++;
+    phrase.first_seen = row.created_at < phrase.first_seen ? row.created_at : phrase.first_seen;
+    phrase.last_seen = row.created_at > phrase.last_seen ? row.created_at : phrase.last_seen;
+    phrases.set(text, phrase);
+  }
+
+  const clusters = [];
+  const sorted = [...phrases.values()].sort((a, b) => b.count - a.count || (b.last_seen > a.last_seen ? 1 : -1));
+  for (const phrase of sorted) {
+    const cluster = clusters.find(candidate => scoreSimilarity(candidate.phrases[0].text, phrase.text).score >= CLUSTER_SIMILARITY);
+    if (cluster) {
+      cluster.phrases.push(phrase);
+    } else {
+      clusters.push({ phrases: [phrase] });
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return clusters
+    .map(cluster => {
+      const suggestion = cluster.phrases[0].text;
+      return {
+        size: cluster.phrases.reduce((sum, phrase) => sum + phrase.count, 0),
+        distinct_phrases: cluster.phrases.length,
+        suggested_phrase: suggestion,
+        samples: cluster.phrases.slice(0, MAX_CLUSTER_SAMPLES).map(phrase => ({ text: phrase.text, count: phrase.count })),
+        first_seen: cluster.phrases.reduce((first, phrase) => (phrase.first_seen < first ? phrase.first_seen : first), cluster.phrases[0].first_seen),
+        last_seen: cluster.phrases.reduce((last, phrase) => (phrase.last_seen > last ? phrase.last_seen : last), cluster.phrases[0].last_seen),
+        save_command: { command_name: suggestion }
+      };
+    })
+    .sort((a, b) => b.size - a.size || (b.last_seen > a.last_seen ? 1 : -1));
+}
+
+// The utterances the matcher rejected, clustered, biggest first. Each cluster
+// suggests a phrase and carries a /save-command body that still needs the
+// workflow_id the command should run.
+export async function getUnmatchedClusters(userId, query) {
+  await pruneHistoryBeforeRead(userId);
+  const { where, params } = periodFilter(userId, query);
+  const rules = await getNormalizationRules(userId);
+
+  const result = await pool.query(
+    `SELECT transcript, created_at FROM command_invocations
+     WHERE ${where} AND outcome = 'reject' AND transcript IS NOT NULL
+     ORDER BY created_at DESC
+     LIMIT ${MAX_UNMATCHED_UTTERANCES}`,
+    params
+  );
+
+  const clustered = await clusterUtterances(result.rows, rules);
+  const clusters = clustered.filter(cluster => cluster.size >= query.min_size);
+
+  return {
+    period: { from: query.from, to: query.to },
+    unmatched_utterances: result.rows.length,
+    clusters: clusters.slice(0, query.limit),
+    save_command_requires: ['workflow_id']
+  };
+}
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import ffmpeg from 'fluent-ffmpeg';
+import { logger } from './logger.js';
+import { envNumber } from './env.js';
+
+// Uses the ffmpeg/ffprobe binaries on PATH, or FFMPEG_PATH / FFPROBE_PATH when set
+
+// Longer recordings are almost always a stuck microphone, not a command
+const MAX_AUDIO_SECONDS = envNumber('MAX_AUDIO_SECONDS', 30);
+
+// Anything quieter than this counts as silence when trimming
+const SILENCE_THRESHOLD_DB = envNumber('SILENCE_THRESHOLD_DB', -50);
+
+// Less sound than this left after trimming means nobody spoke
+const MIN_SPEECH_SECONDS = envNumber('MIN_SPEECH_SECONDS', 0.2);
+
+// Whisper models work on 16 kHz mono; converting here keeps uploads small and
+// lets backends that only read WAV (whisper.cpp) accept any browser recording
+const TARGET_SAMPLE_RATE = 16000;
+
+function audioError(message, code, probe = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.probe = probe;
+  return error;
+}
+
+// Read the real container, codec and duration, whatever the file is called
+export function probeAudio(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => {
+      if (error) {
+        return reject(audioError(`Could not read audio: ${error.message.split('\n')[0]}`, 'UNSUPPORTED_AUDIO'));
+      }
+
+      const stream = metadata.streams.find(candidate => candidate.codec_type === 'audio');
+      if (!stream) {
+        return reject(audioError('The upload does not contain an audio track', 'UNSUPPORTED_AUDIO'));
+      }
+
+      // WebM from MediaRecorder has no duration in its header; fall back to the stream's
+      const duration = parseFloat(metadata.format.duration) || parseFloat(stream.duration) || null;
+
+      resolve({
+        container: metadata.format.format_name,
+        codec: stream.codec_name,
+        duration_ms: duration !== null ? Math.round(duration * 1000) : null,
+        sample_rate: parseInt(stream.sample_rate, 10) || null,
+        channels: stream.channels ?? null,
+        bit_rate: parseInt(metadata.format.bit_rate, 10) || null
+      });
+    });
+  });
+}
+
+// Silence trimming works from the front only, so the clip is reversed to trim the end too
+function silenceTrimFilters() {
+  const trimStart = `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD_DB}dB:start_silence=0.1`;
+  return [trimStart, 'areverse', trimStart, 'areverse'];
+}
+
+// Reading stops a second past the limit: enough to tell the recording is too
+// long, without converting the rest of a recording with no duration in its header
+function convert(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .inputOptions(['-t', String(MAX_AUDIO_SECONDS + 1)])
+      .noVideo()
+      .audioFilters([...silenceTrimFilters(), 'loudnorm=I=-16:TP=-1.5:LRA=11'])
+      .audioCodec('pcm_s16le')
+      .audioChannels(1)
+      .audioFrequency(TARGET_SAMPLE_RATE)
+      .format('wav')
+      .on('error', error => reject(audioError(`Audio conversion failed: ${error.message.split('\n')[0]}`, 'AUDIO_CONVERSION_FAILED')))
+      .on('end', resolve)
+      .save(outputPath);
+  });
+}
+
+// Probe, validate and convert an upload to trimmed, loudness-normalized 16 kHz mono WAV.
+// Returns { path, probe, processed, probe_time_ms, conversion_time_ms }; the caller
+// deletes `path` when done. Throws errors with code AUDIO_TOO_LONG, AUDIO_SILENT,
+// UNSUPPORTED_AUDIO or AUDIO_CONVERSION_FAILED.
+export async function preprocessAudio(inputPath, requestId) {
+  const probeStart = Date.now();
+  const probe = await probeAudio(inputPath);
+  const probeTime = Date.now() - probeStart;
+
+  logger.debug('Probed audio', { component: 'audio', request_id: requestId, probe_time_ms: probeTime, probe });
+
+  if (probe.duration_ms !== null && probe.duration_ms > MAX_AUDIO_SECONDS * 1000) {
+    throw audioError(`Recording is too long: ${(probe.duration_ms / 1000).toFixed(1)}s (limit ${MAX_AUDIO_SECONDS}s)`, 'AUDIO_TOO_LONG', probe);
+  }
+
+  const outputPath = `${inputPath}.16k.wav`;
+  const conversionStart = Date.now();
+
+  try {
+    await convert(inputPath, outputPath);
+    const processed = await probeAudio(outputPath).catch(() => ({ duration_ms: 0 }));
+    const conversionTime = Date.now() - conversionStart;
+
+    logger.debug('Converted audio', {
+      component: 'audio',
+      request_id: requestId,
+      sample_rate: TARGET_SAMPLE_RATE,
+      conversion_time_ms: conversionTime,
+      duration_ms: probe.duration_ms,
+      trimmed_duration_ms: processed.duration_ms
+    });
+
+    if (!processed.duration_ms || processed.duration_ms < MIN_SPEECH_SECONDS * 1000) {
+      throw audioError('No speech detected in audio', 'AUDIO_SILENT', probe);
+    }
+
+    // The probe can't always tell (MediaRecorder WebM has no duration), so check what was converted too
+    if (processed.duration_ms > MAX_AUDIO_SECONDS * 1000) {
+      throw audioError(`Recording is too long: over ${MAX_AUDIO_SECONDS}s of sound`, 'AUDIO_TOO_LONG', probe);
+    }
+
+    return {
+      path: outputPath,
+      probe,
+      processed,
+      probe_time_ms: probeTime,
+      conversion_time_ms: conversionTime
+    };
+  } catch (error) {
+    fs.rm(outputPath, { force: true }, () => {});
+    throw error;
+  }
+}
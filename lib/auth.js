@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { pool } from './db.js';
+
+// Keys are stored as HMAC-SHA256(API_KEY_SECRET, key), so a leaked table is
+// useless without the secret. Every instance must share the same secret and
+// keep it across restarts, or the keys handed out so far stop working.
+const API_KEY_SECRET = process.env.API_KEY_SECRET;
+
+if (!API_KEY_SECRET) {
+  throw new Error('API_KEY_SECRET is not set - set it to a long random string shared by every instance (e.g. openssl rand -hex 32)');
+}
+
+// Namespace for the per-user advisory lock taken while claiming a user id
+const CLAIM_LOCK_KEY = 724032;
+
+const KEY_PREFIX = 'mime_';
+
+// Columns safe to send back to the key's owner
+const KEY_COLUMNS = 'id, user_id, key_prefix, label, created_at, last_used_at, revoked_at';
+
+function hashApiKey(apiKey) {
+  return crypto.createHmac('sha256', API_KEY_SECRET).update(apiKey).digest('hex');
+}
+
+function authError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Create a key for a user. The plain key is only ever returned here.
+export async function issueApiKey(userId, label = null, db = pool) {
+  const apiKey = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const result = await db.query(
+    `INSERT INTO api_keys (user_id, key_hash, key_prefix, label)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${KEY_COLUMNS}`,
+    [userId, hashApiKey(apiKey), apiKey.slice(0, KEY_PREFIX.length + 6), label]
+  );
+
+  return { ...result.rows[0], api_key: apiKey };
+}
+
+// Tables whose rows belong to a user id
+const USER_TABLES = ['commands', 'command_aliases', 'workflows', 'user_settings', 'command_invocations'];
+
+// Give a user id its first key, as long as nothing belongs to it yet. An id
+// that already owns commands, workflows, settings or history can't be taken
+// by whoever asks first; its owner gets a key from an operator instead
+// (npm run keys -- issue <user_id>). The check and the insert run under a
+// per-user lock, so two simultaneous claims can't both succeed.
+export async function claimUserId(userId, label = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [CLAIM_LOCK_KEY, userId]);
+
+    const existing = await client.query('SELECT 1 FROM api_keys WHERE user_id = $1 LIMIT 1', [userId]);
+    if (existing.rows.length > 0) {
+      throw authError('This user id already has API keys - authenticate with one of them to issue more', 'USER_ALREADY_CLAIMED');
+    }
+
+    const owned = await client.query(
+      `SELECT ${USER_TABLES.map(table => `EXISTS (SELECT 1 FROM ${table} WHERE user_id = $1)`).join(' OR ')} AS owns_data`,
+      [userId]
+    );
+    if (owned.rows[0].owns_data) {
+      throw authError('This user id already has data - ask an operator to issue its first API key', 'USER_HAS_DATA');
+    }
+
+    const issued = await issueApiKey(userId, label, client);
+    await client.query('COMMIT');
+    return issued;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Resolve a presented key to its owner, or null when it is unknown or revoked
+export async function authenticateApiKey(apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [hashApiKey(apiKey)]
+  );
+
+  const key = result.rows[0];
+  return key ? { user_id: key.user_id, key_id: key.id } : null;
+}
+
+export async function listApiKeys(userId) {
+  const result = await pool.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys WHERE user_id = $1 ORDER BY created_at ASC, id ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Revoke one of the user's keys; null when the user has no such active key
+export async function revokeApiKey(userId, keyId, db = pool) {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [keyId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Replace a key with a fresh one carrying the same label, in one transaction
+export async function rotateApiKey(userId, keyId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const revoked = await revokeApiKey(userId, keyId, client);
+    if (!revoked) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const issued = await issueApiKey(userId, revoked.label, client);
+    await client.query('COMMIT');
+
+    return { revoked, issued };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Keys in URLs end up in access and proxy logs, so ?api_key= is only read
+// where the client has no other way to send one
+function presentedApiKey(req, { allowQuery = false } = {}) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.headers['x-api-key'] || (allowQuery ? req.query?.api_key : undefined);
+}
+
+// Make sure a user id named in the URL or body is the caller's own.
+// Runs again after multer on upload routes, once the form fields are parsed.
+export function checkClaimedUser(req, res, next) {
+  const claimed = [req.params.userId, req.body?.user_id].filter(value => value !== undefined && value !== '');
+
+  if (claimed.some(value => value !== req.caller.user_id)) {
+    req.log.warn('Caller tried to act as another user', { component: 'auth', user_id: req.caller.user_id, claimed });
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'user_id does not match your API key'
+    });
+  }
+
+  next();
+}
+
+// Resolve the caller from `Authorization: Bearer <key>` (or `X-API-Key`) and
+// expose it as req.caller = { user_id, key_id }
+export function requireAuth(req, res, next) {
+  return authenticate(req, res, next);
+}
+
+// requireAuth for server-sent event routes: EventSource can't send headers,
+// so these also accept ?api_key=
+export function requireEventStreamAuth(req, res, next) {
+  return authenticate(req, res, next, { allowQuery: true });
+}
+
+async function authenticate(req, res, next, options) {
+  const apiKey = presentedApiKey(req, options);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'Send your API key as "Authorization: Bearer <key>" - get one from /get-user-id'
+    });
+  }
+
+  try {
+    const caller = await authenticateApiKey(apiKey);
+
+    if (!caller) {
+      req.log.warn('Rejected unknown or revoked API key', { component: 'auth' });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        message: 'The API key is unknown or has been revoked'
+      });
+    }
+
+    req.caller = caller;
+    checkClaimedUser(req, res, next);
+  } catch (error) {
+    req.log.error('Error checking API key', { component: 'auth', error });
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,374 @@
+import { pool } from './db.js';
+import { logger } from './logger.js';
+import { cleanTranscribedText } from './text.js';
+import { buildCommandDefinition, validateAliasPhrase } from './templates.js';
+import { getUserCommands, commandPhrases, insertAliases } from './commands.js';
+import { findCommandConflicts } from './conflicts.js';
+import { normalizeLocale } from './locale.js';
+import { getNormalizationRules } from './normalization.js';
+import { listWorkflows, createWorkflow, validateWorkflowFields, workflowMismatches } from './workflows.js';
+
+// Portable JSON snapshots of a user's commands. Exports leave out ids and the
+// user id so a file can be imported under another user.
+//
+//   {
+//     "format": "automa-voice-commands",
+//     "version": 2,
+//     "exported_at": "...",
+//     "workflows": [
+//       { "id": "wf-1", "name": "Open site", "description": null, "parameters": [{ "name": "site", "type": "url", "required": true }] }
+//     ],
+//     "commands": [
+//       { "command_name": "open {site}", "has_parameter": true, "parameter_name": "site",
+//         "parameter_types": { "site": "url" }, "workflow_id": "wf-1", "locale": "en", "aliases": ["go to {site}"] }
+//     ]
+//   }
+//
+// Version 1 files have no "workflows"; the workflows they name are registered
+// under their id on import. A missing "locale" means the command matches in any language.
+
+export const EXPORT_FORMAT = 'automa-voice-commands';
+export const EXPORT_VERSION = 2;
+const SUPPORTED_EXPORT_VERSIONS = [1, 2];
+
+// What to do with an imported command whose phrase already triggers one of the user's commands
+export const IMPORT_MODES = ['skip', 'overwrite', 'rename'];
+
+function importError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+export async function exportCommands(userId) {
+  const commands = await getUserCommands(userId);
+  const workflows = await listWorkflows(userId);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    workflows: workflows.map(({ id, name, description, parameters }) => ({ id, name, description, parameters })),
+    commands: commands.map(command => ({
+      command_name: command.command_name,
+      has_parameter: command.has_parameter,
+      parameter_name: command.parameter_name,
+      parameter_types: Object.fromEntries(command.parameters.map(param => [param.name, param.type])),
+      workflow_id: command.workflow_id,
+      locale: command.locale,
+      aliases: command.aliases.map(alias => alias.phrase)
+    }))
+  };
+}
+
+// Check the file and build each command's definition the way /save-command
+// would. Every problem is collected so the user can fix the file in one go;
+// throws INVALID_EXPORT with `errors` when there are any. Phrases are compared
+// with the importing user's normalization rules, as the import itself does.
+function validateExport(document, rules) {
+  if (!document || typeof document !== 'object' || document.format !== EXPORT_FORMAT) {
+    throw importError(`Not a command export (expected "format": "${EXPORT_FORMAT}")`, 'INVALID_EXPORT', { errors: [] });
+  }
+  if (!SUPPORTED_EXPORT_VERSIONS.includes(document.version)) {
+    throw importError(`Unsupported export version ${document.version} (this server reads versions ${SUPPORTED_EXPORT_VERSIONS.join(', ')})`, 'INVALID_EXPORT', { errors: [] });
+  }
+  if (!Array.isArray(document.commands)) {
+    throw importError('"commands" must be an array', 'INVALID_EXPORT', { errors: [] });
+  }
+  if (document.workflows !== undefined && !Array.isArray(document.workflows)) {
+    throw importError('"workflows" must be an array', 'INVALID_EXPORT', { errors: [] });
+  }
+
+  const errors = [];
+  const entries = [];
+  const phrasesInFile = new Map();
+
+  const workflows = new Map();
+  for (const workflow of document.workflows ?? []) {
+    try {
+      if (typeof workflow?.id !== 'string' || !workflow.id) {
+        throw new Error('Every workflow needs an id');
+      }
+      if (workflows.has(workflow.id)) {
+        throw new Error('Workflow is listed more than once');
+      }
+      workflows.set(workflow.id, { id: workflow.id, ...validateWorkflowFields(workflow) });
+    } catch (error) {
+      errors.push({ workflow_id: workflow?.id ?? null, message: error.message });
+    }
+  }
+
+  document.commands.forEach((entry, index) => {
+    const fail = message => errors.push({ index, command_name: entry?.command_name ?? null, message });
+
+    if (!entry || typeof entry !== 'object') {
+      fail('Each command must be an object');
+      return;
+    }
+    const { command_name, has_parameter, parameter_name, parameter_types, workflow_id, aliases = [] } = entry;
+
+    if (typeof command_name !== 'string' || !cleanTranscribedText(command_name, [])) {
+      fail('command_name must be a non-empty string');
+      return;
+    }
+    if (typeof workflow_id !== 'string' || !workflow_id) {
+      fail('workflow_id must be a non-empty string');
+      return;
+    }
+    if (!Array.isArray(aliases)) {
+      fail('aliases must be an array of phrases');
+      return;
+    }
+
+    let definition;
+    let locale;
+    try {
+      locale = normalizeLocale(entry.locale);
+      definition = buildCommandDefinition({ command_name, has_parameter, parameter_name, parameter_types });
+      aliases.forEach(phrase => validateAliasPhrase({ command_name, ...definition }, phrase));
+    } catch (error) {
+      fail(error.message);
+      return;
+    }
+
+    // A phrase may only appear once in the whole file
+    for (const phrase of [command_name, ...aliases]) {
+      const cleaned = cleanTranscribedText(phrase, rules);
+      if (phrasesInFile.has(cleaned)) {
+        fail(`"${phrase}" is also used by command #${phrasesInFile.get(cleaned)} in this file`);
+        return;
+      }
+      phrasesInFile.set(cleaned, index);
+    }
+
+    entries.push({ index, command_name, workflow_id, locale, aliases, definition });
+  });
+
+  if (errors.length > 0) {
+    throw importError(`${errors.length} problem(s) in the file`, 'INVALID_EXPORT', { errors });
+  }
+  return { entries, workflows };
+}
+
+// "open {site}" -> "open {site} 2", "open {site} 3", ... until the phrase is free
+function renamedPhrase(commandName, takenPhrases, rules) {
+  for (let suffix = 2; ; suffix++) {
+    const candidate = `${commandName} ${suffix}`;
+    if (!takenPhrases.has(cleanTranscribedText(candidate, rules))) {
+      return candidate;
+    }
+  }
+}
+
+// Work out what importing the file would do, without writing anything.
+// Each item says whether the command is created, overwrites an existing one
+// or is skipped, which aliases had to be dropped and which conflicts remain.
+// Workflows the user doesn't have yet are created from the file (or from just
+// their id); workflows the user already has are left as they are.
+export async function planImport(userId, document, mode, db = pool) {
+  const rules = await getNormalizationRules(userId, db);
+  const { entries, workflows: fileWorkflows } = validateExport(document, rules);
+  const existing = await getUserCommands(userId, db);
+
+  const workflows = new Map((await listWorkflows(userId, db)).map(workflow => [workflow.id, workflow]));
+  const newWorkflows = new Map();
+  const workflowFor = id => {
+    if (!workflows.has(id) && !newWorkflows.has(id)) {
+      newWorkflows.set(id, fileWorkflows.get(id) ?? { id, name: id, parameters: null });
+    }
+    return workflows.get(id) ?? newWorkflows.get(id);
+  };
+  const mismatches = [];
+
+  // Cleaned phrase -> the command it triggers (existing commands, then planned ones)
+  const takenPhrases = new Map();
+  for (const command of existing) {
+    for (const { phrase } of commandPhrases(command)) {
+      takenPhrases.set(cleanTranscribedText(phrase, rules), command);
+    }
+  }
+
+  const plan = [];
+  // Commands as they will look after the import, for conflict checks
+  let resulting = [...existing];
+
+  for (const entry of entries) {
+    const owner = takenPhrases.get(cleanTranscribedText(entry.command_name, rules));
+    let action = 'create';
+    let commandName = entry.command_name;
+    let target = null;
+
+    // A command imported earlier in this file is never overwritten by a later one
+    if (owner && (mode === 'skip' || (mode === 'overwrite' && owner.planned))) {
+      plan.push({
+        index: entry.index,
+        action: 'skip',
+        command_name: entry.command_name,
+        command_id: owner.planned ? null : owner.id,
+        reason: `"${entry.command_name}" already triggers command "${owner.command_name}"`
+      });
+      continue;
+    }
+    if (owner && mode === 'overwrite') {
+      action = 'overwrite';
+      target = owner;
+    } else if (owner && mode === 'rename') {
+      commandName = renamedPhrase(entry.command_name, takenPhrases, rules);
+    }
+
+    // Aliases already triggering another command stay with that command
+    const aliases = [];
+    const droppedAliases = [];
+    for (const phrase of entry.aliases) {
+      const aliasOwner = takenPhrases.get(cleanTranscribedText(phrase, rules));
+      if (aliasOwner && aliasOwner !== target) {
+        droppedAliases.push({ phrase, reason: `already used by command "${aliasOwner.command_name}"` });
+      } else {
+        aliases.push(phrase);
+      }
+    }
+
+    const problems = workflowMismatches(entry.definition.parameters, workflowFor(entry.workflow_id));
+    if (problems.length > 0) {
+      mismatches.push({ index: entry.index, command_name: entry.command_name, message: `Command parameters don't fit: ${problems.join('; ')}` });
+    }
+
+    // New commands get a placeholder id so conflict checks tell them apart
+    const command = {
+      id: target?.id ?? `import-${entry.index}`,
+      user_id: userId,
+      command_name: commandName,
+      ...entry.definition,
+      workflow_id: entry.workflow_id,
+      locale: entry.locale,
+      aliases: aliases.map(phrase => ({ phrase })),
+      planned: true
+    };
+
+    const conflicts = findCommandConflicts(command, resulting, rules);
+
+    if (target) {
+      for (const { phrase } of commandPhrases(target)) {
+        takenPhrases.delete(cleanTranscribedText(phrase, rules));
+      }
+      resulting = resulting.filter(other => other.id !== target.id);
+    }
+    for (const { phrase } of commandPhrases(command)) {
+      takenPhrases.set(cleanTranscribedText(phrase, rules), command);
+    }
+    resulting.push(command);
+
+    plan.push({
+      index: entry.index,
+      action,
+      command_name: commandName,
+      ...(commandName !== entry.command_name && { renamed_from: entry.command_name }),
+      command_id: target?.id ?? null,
+      workflow_id: entry.workflow_id,
+      locale: entry.locale,
+      parameters: entry.definition.parameters,
+      aliases,
+      dropped_aliases: droppedAliases,
+      conflicts,
+      command
+    });
+  }
+
+  if (mismatches.length > 0) {
+    throw importError(`${mismatches.length} command(s) don't fit their workflow`, 'INVALID_EXPORT', { errors: mismatches });
+  }
+  return { plan, workflows: [...newWorkflows.values()] };
+}
+
+function summarize(plan) {
+  return {
+    created: plan.filter(item => item.action === 'create').length,
+    renamed: plan.filter(item => item.renamed_from).length,
+    overwritten: plan.filter(item => item.action === 'overwrite').length,
+    skipped: plan.filter(item => item.action === 'skip').length,
+    conflicts: plan.reduce((sum, item) => sum + (item.conflicts?.length || 0), 0)
+  };
+}
+
+// The plan as reported to clients: the internal command objects stay out
+function describePlan(plan) {
+  return plan.map(({ command, ...item }) => item);
+}
+
+// Import an export file for a user. dryRun only reports the plan. Otherwise
+// every change is applied in one transaction: all commands land or none do.
+// Conflicts with other phrases refuse the import (CONFLICTS) unless force is set.
+export async function importCommands(userId, document, { mode = 'skip', dryRun = false, force = false, requestId }) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw importError(`mode must be one of: ${IMPORT_MODES.join(', ')}`, 'INVALID_IMPORT_MODE');
+  }
+
+  if (dryRun) {
+    const { plan, workflows } = await planImport(userId, document, mode, pool);
+    return { dry_run: true, mode, summary: summarize(plan), commands: describePlan(plan), created_workflows: workflows };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Hold the user's commands still while the plan is made and applied
+    await client.query('SELECT id FROM commands WHERE user_id = $1 FOR UPDATE', [userId]);
+    const { plan, workflows } = await planImport(userId, document, mode, client);
+
+    const summary = summarize(plan);
+    if (summary.conflicts > 0 && !force) {
+      throw importError(`${summary.conflicts} conflict(s) with existing phrases`, 'CONFLICTS', {
+        summary,
+        commands: describePlan(plan)
+      });
+    }
+
+    for (const workflow of workflows) {
+      await createWorkflow(userId, workflow, client);
+      logger.info('Import registered workflow', { component: 'import', request_id: requestId, workflow_id: workflow.id });
+    }
+
+    for (const item of plan) {
+      if (item.action === 'skip') {
+        continue;
+      }
+
+      const { command } = item;
+      let saved;
+      if (item.action === 'overwrite') {
+        await client.query('DELETE FROM command_aliases WHERE command_id = $1', [item.command_id]);
+        const result = await client.query(
+          `UPDATE commands
+           SET command_name = $2, has_parameter = $3, parameter_name = $4, parameters = $5, workflow_id = $6, locale = $7,
+               version = version + 1, updated_at = NOW()
+           WHERE id = $1
+           RETURNING id, user_id`,
+          [item.command_id, command.command_name, command.has_parameter, command.parameter_name, JSON.stringify(command.parameters), command.workflow_id, command.locale]
+        );
+        saved = result.rows[0];
+      } else {
+        const result = await client.query(
+          `INSERT INTO commands (user_id, command_name, has_parameter, parameter_name, parameters, workflow_id, locale, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+           RETURNING id, user_id`,
+          [userId, command.command_name, command.has_parameter, command.parameter_name, JSON.stringify(command.parameters), command.workflow_id, command.locale]
+        );
+        saved = result.rows[0];
+      }
+
+      await insertAliases(client, saved, item.aliases);
+      item.command_id = saved.id;
+      logger.info('Import wrote command', { component: 'import', request_id: requestId, action: item.action, command_id: saved.id });
+    }
+
+    await client.query('COMMIT');
+    return { dry_run: false, mode, summary, commands: describePlan(plan), created_workflows: workflows };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,92 @@
+import { pool } from './db.js';
+import { cleanTranscribedText } from './text.js';
+import { validateAliasPhrase } from './templates.js';
+import { getNormalizationRules } from './normalization.js';
+
+// Commands with their alias phrases grouped into an `aliases` array
+const COMMANDS_WITH_ALIASES = `
+  SELECT c.*,
+    COALESCE(
+      json_agg(json_build_object('id', a.id, 'phrase', a.phrase, 'created_at', a.created_at) ORDER BY a.phrase)
+        FILTER (WHERE a.id IS NOT NULL),
+      '[]'
+    ) AS aliases
+  FROM commands c
+  LEFT JOIN command_aliases a ON a.command_id = c.id
+`;
+
+export async function getUserCommands(userId, db = pool) {
+  const result = await db.query(
+    `${COMMANDS_WITH_ALIASES} WHERE c.user_id = $1 GROUP BY c.id ORDER BY c.command_name ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+export async function getCommandById(commandId, db = pool) {
+  const result = await db.query(`${COMMANDS_WITH_ALIASES} WHERE c.id = $1 GROUP BY c.id`, [commandId]);
+  return result.rows[0] || null;
+}
+
+// Every phrase that triggers a command: its name first, then its aliases
+export function commandPhrases(command) {
+  return [
+    { phrase: command.command_name, alias_id: null },
+    ...(command.aliases || []).map(alias => ({ phrase: alias.phrase, alias_id: alias.id }))
+  ];
+}
+
+function aliasError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Validate alias phrases for a command and make sure none of them repeats a
+// phrase the user already has (compared after the user's normalization rules,
+// like the matcher does)
+export async function checkAliasPhrases(command, phrases, db = pool) {
+  const rules = await getNormalizationRules(command.user_id, db);
+  const seen = new Set();
+
+  for (const phrase of phrases) {
+    try {
+      validateAliasPhrase(command, phrase);
+    } catch (error) {
+      throw aliasError(error.message, 'INVALID_ALIAS');
+    }
+
+    const cleaned = cleanTranscribedText(phrase, rules);
+    if (seen.has(cleaned) || cleaned === cleanTranscribedText(command.command_name, rules)) {
+      throw aliasError(`Alias "${phrase}" is listed more than once for this command`, 'INVALID_ALIAS');
+    }
+    seen.add(cleaned);
+  }
+
+  const existing = await getUserCommands(command.user_id, db);
+  for (const other of existing) {
+    for (const { phrase } of commandPhrases(other)) {
+      if (other.id === command.id && phrase !== other.command_name) {
+        continue;
+      }
+      if (seen.has(cleanTranscribedText(phrase, rules))) {
+        throw aliasError(`"${phrase}" is already used by command "${other.command_name}"`, 'DUPLICATE_PHRASE');
+      }
+    }
+  }
+}
+
+// Insert aliases for a command; callers run this inside their transaction
+export async function insertAliases(db, command, phrases) {
+  const inserted = [];
+
+  for (const phrase of phrases) {
+    const result = await db.query(
+      'INSERT INTO command_aliases (command_id, user_id, phrase) VALUES ($1, $2, $3) RETURNING id, phrase, created_at',
+      [command.id, command.user_id, phrase]
+    );
+    inserted.push(result.rows[0]);
+  }
+
+  return inserted;
+}
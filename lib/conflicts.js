@@ -0,0 +1,200 @@
+import { cleanTranscribedText } from './text.js';
+import { compileCommandTemplate, matchTemplate } from './templates.js';
+import { parseParameters } from './parameterTypes.js';
+import { commandPhrases } from './commands.js';
+import { localesOverlap } from './locale.js';
+import { DEFAULT_RULES } from './normalization.js';
+
+// Spoken sample values used to build example utterances for each parameter type
+const SAMPLE_VALUES = {
+  text: 'something',
+  number: 'five',
+  duration: 'five minutes',
+  datetime: 'tomorrow',
+  url: 'example dot com',
+  email: 'someone at example dot com'
+};
+
+const MAX_EXAMPLES = 3;
+
+// Upper bound on generated utterances per template pair, so a template with
+// many slots can't make a save slow
+const MAX_TRIES = 200;
+
+function compilePhrase(command, phrase, rules) {
+  // Phrases of commands without parameters are compared as plain text
+  const compiled = command.has_parameter
+    ? compileCommandTemplate({ command_name: phrase, parameter_name: command.parameter_name }, rules)
+    : { slots: [], pieces: [{ type: 'literal', cleaned: cleanTranscribedText(phrase, rules) }], rules };
+
+  return {
+    command,
+    phrase,
+    compiled,
+    cleaned: cleanTranscribedText(phrase, rules),
+    // Slot names don't change what a phrase matches: "open {site}" and "open {page}" are the same
+    shape: compiled.pieces.map(piece => piece.type === 'slot' ? '{}' : piece.cleaned).join(' ')
+  };
+}
+
+// Would this phrase fire for the utterance, including typed parameters parsing?
+function matches(entry, utterance) {
+  if (entry.compiled.slots.length === 0) {
+    return entry.cleaned === cleanTranscribedText(utterance, entry.compiled.rules);
+  }
+
+  const parameters = matchTemplate(entry.compiled, cleanTranscribedText(utterance, entry.compiled.rules), utterance, 'conflict-check');
+  return parameters !== null && parseParameters(entry.command.parameters, parameters).ok;
+}
+
+function sampleValue(entry, slot) {
+  const definition = (entry.command.parameters || []).find(param => param.name === slot);
+  return SAMPLE_VALUES[definition?.type] || SAMPLE_VALUES.text;
+}
+
+function joinPieces(pieces, values) {
+  let text = '';
+  pieces.forEach((piece, index) => {
+    const previous = pieces[index - 1];
+    if (previous && (previous.trailingSpace || piece.leadingSpace)) {
+      text += ' ';
+    }
+    text += piece.type === 'slot' ? values[piece.name] : piece.cleaned;
+  });
+  return text;
+}
+
+// Utterances a template accepts. Besides plain sample values, slots are also
+// filled with the other template's words ("something on something") since
+// that is where two greedy templates start to overlap.
+function* exampleUtterances(entry, other) {
+  const { pieces, slots } = entry.compiled;
+  const otherWords = other.compiled.pieces.filter(piece => piece.type === 'literal').map(piece => piece.cleaned);
+
+  const fillers = slots.map(slot => {
+    const sample = sampleValue(entry, slot);
+    return [
+      sample,
+      ...otherWords.map(words => `${sample} ${words}`),
+      ...otherWords.map(words => `${words} ${sample}`),
+      ...otherWords.map(words => `${sample} ${words} ${sample}`)
+    ];
+  });
+
+  let tries = 0;
+  function* fill(index, values) {
+    if (tries >= MAX_TRIES) {
+      return;
+    }
+    if (index === slots.length) {
+      tries++;
+      yield joinPieces(pieces, values);
+      return;
+    }
+    for (const filler of fillers[index]) {
+      yield* fill(index + 1, { ...values, [slots[index]]: filler });
+    }
+  }
+
+  yield* fill(0, {});
+}
+
+function collidingExamples(entry, other) {
+  const examples = new Set();
+
+  for (const [from, to] of [[entry, other], [other, entry]]) {
+    for (const utterance of exampleUtterances(from, to)) {
+      if (examples.size >= MAX_EXAMPLES) {
+        return [...examples];
+      }
+      if (matches(from, utterance) && matches(to, utterance)) {
+        examples.add(utterance);
+      }
+    }
+  }
+
+  return [...examples];
+}
+
+function conflictBetween(entry, existing) {
+  const base = {
+    phrase: entry.phrase,
+    command_id: existing.command.id,
+    command_name: existing.command.command_name,
+    conflicting_phrase: existing.phrase
+  };
+  const newHasSlots = entry.compiled.slots.length > 0;
+  const existingHasSlots = existing.compiled.slots.length > 0;
+
+  if (entry.shape === existing.shape) {
+    return {
+      ...base,
+      type: 'duplicate',
+      message: `"${entry.phrase}" is the same phrase as "${existing.phrase}"`,
+      examples: [joinPieces(entry.compiled.pieces, Object.fromEntries(entry.compiled.slots.map(slot => [slot, sampleValue(entry, slot)])))]
+    };
+  }
+
+  if (!newHasSlots && existingHasSlots && matches(existing, entry.phrase)) {
+    return {
+      ...base,
+      type: 'shadowed',
+      message: `"${entry.phrase}" is already matched by the template "${existing.phrase}"`,
+      examples: [entry.cleaned]
+    };
+  }
+
+  if (newHasSlots && !existingHasSlots && matches(entry, existing.phrase)) {
+    return {
+      ...base,
+      type: 'shadows',
+      message: `The template "${entry.phrase}" would also match "${existing.phrase}"`,
+      examples: [existing.cleaned]
+    };
+  }
+
+  if (newHasSlots && existingHasSlots) {
+    const examples = collidingExamples(entry, existing);
+    if (examples.length > 0) {
+      return {
+        ...base,
+        type: 'ambiguous',
+        message: `"${entry.phrase}" and "${existing.phrase}" can both match the same utterance`,
+        examples
+      };
+    }
+  }
+
+  return null;
+}
+
+// Compare a command about to be saved (its name and aliases) with the user's
+// other commands, comparing phrases after the user's normalization rules.
+// Commands in different languages never compete, so they can't conflict.
+// Returns a list of conflicts, empty when the command is safe.
+export function findCommandConflicts(command, existingCommands, rules = DEFAULT_RULES) {
+  const entries = commandPhrases(command).map(({ phrase }) => compilePhrase(command, phrase, rules));
+  const others = existingCommands
+    .filter(other => other.id !== command.id && localesOverlap(other.locale, command.locale))
+    .flatMap(other => commandPhrases(other).map(({ phrase }) => {
+      try {
+        return compilePhrase(other, phrase, rules);
+      } catch {
+        // A broken saved row can't collide with anything the matcher would use
+        return null;
+      }
+    }))
+    .filter(Boolean);
+
+  const conflicts = [];
+  for (const entry of entries) {
+    for (const existing of others) {
+      const conflict = conflictBetween(entry, existing);
+      if (conflict) {
+        conflicts.push(conflict);
+      }
+    }
+  }
+
+  return conflicts;
+}
@@ -0,0 +1,11 @@
+import { Pool } from 'pg';
+import 'dotenv/config';
+
+// PostgreSQL connection shared by the server and the migration CLI
+export const pool = new Pool({
+  user: process.env.DATABASE_USER,
+  password: process.env.DATABASE_PASSWORD,
+  database: process.env.DATABASE_NAME,
+  host: 'localhost',
+  port: process.env.DATABASE_PORT,
+});
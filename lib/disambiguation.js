@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { cleanTranscribedText } from './text.js';
+import { scoreSimilarity } from './similarity.js';
+import { envInt } from './env.js';
+
+// How long the user has to answer "which one did you mean?"
+const SESSION_TTL_MS = envInt('DISAMBIGUATION_TTL_MS', 60 * 1000, { min: 1 });
+
+// Open disambiguation sessions, keyed by session id. They only need to live for
+// the few seconds between the question and the answer, so memory is enough.
+const sessions = new Map();
+
+const ORDINAL_WORDS = {
+  first: 1, one: 1, '1st': 1,
+  second: 2, two: 2, '2nd': 2,
+  third: 3, three: 3, '3rd': 3,
+  fourth: 4, four: 4, '4th': 4,
+  fifth: 5, five: 5, '5th': 5
+};
+
+// Words people wrap around their answer: "the second one please". "one" is
+// only filler after another word ("the second one"); on its own it is option 1.
+const ANSWER_FILLER = new Set(['the', 'number', 'option', 'please', 'i', 'mean', 'meant', 'want', 'choose', 'pick', 'that']);
+
+function sweepExpired() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expires_at <= now) {
+      sessions.delete(id);
+    }
+  }
+}
+
+setInterval(sweepExpired, SESSION_TTL_MS).unref();
+
+export function createSession(userId, options, context = {}) {
+  const session = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    options,
+    context,
+    expires_at: Date.now() + SESSION_TTL_MS
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+// Look up a live session for this user, or null when it expired or never existed
+export function getSession(sessionId, userId) {
+  const session = sessions.get(sessionId);
+
+  if (!session || session.expires_at <= Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  if (session.user_id !== userId) {
+    return null;
+  }
+  return session;
+}
+
+export function closeSession(sessionId) {
+  sessions.delete(sessionId);
+}
+
+// Turn the user's answer into an option index (0-based), or -1.
+// Accepts 1-based numbers (2, "2"), ordinals ("the second one", "last"),
+// or the spoken phrase of one of the options ("check my mail").
+export function parseChoice(choice, options) {
+  if (typeof choice === 'number') {
+    return Number.isInteger(choice) && choice >= 1 && choice <= options.length ? choice - 1 : -1;
+  }
+  if (typeof choice !== 'string') {
+    return -1;
+  }
+
+  // Only folded, not rewritten: "the second one" must not turn into "the second 1"
+  const cleaned = cleanTranscribedText(choice, []);
+  const words = cleaned.split(' ')
+    .filter(word => word && !ANSWER_FILLER.has(word))
+    .filter((word, index) => !(word === 'one' && index > 0));
+
+  if (words.length === 1) {
+    const word = words[0];
+    if (/^\d+$/.test(word)) {
+      return parseChoice(parseInt(word, 10), options);
+    }
+    if (word === 'last') {
+      return options.length - 1;
+    }
+    if (ORDINAL_WORDS[word] && ORDINAL_WORDS[word] <= options.length) {
+      return ORDINAL_WORDS[word] - 1;
+    }
+  }
+
+  // Otherwise compare the answer with each option's phrase and command name
+  let best = { index: -1, score: 0 };
+  options.forEach((option, index) => {
+    for (const text of [option.matched_phrase, option.command]) {
+      const { score } = scoreSimilarity(cleaned, cleanTranscribedText(text, []));
+      if (score > best.score) {
+        best = { index, score };
+      }
+    }
+  });
+
+  return best.score >= 0.8 ? best.index : -1;
+}
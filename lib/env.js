@@ -0,0 +1,12 @@
+// Numeric settings read from the environment. An unset or unparseable value,
+// or one below `min`, falls back to the default.
+
+export function envInt(name, fallback, { min = -Infinity } = {}) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+export function envNumber(name, fallback, { min = -Infinity } = {}) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { checkProviderHealth } from './transcription/index.js';
+import { envInt } from './env.js';
+
+// Dependency probes behind GET /health and /health/ready. Each probe resolves
+// to { status: 'up' | 'down', ...details } and is timed and bounded by
+// HEALTH_CHECK_TIMEOUT_MS, so one hanging dependency can't hang the endpoint.
+
+const CHECK_TIMEOUT_MS = envInt('HEALTH_CHECK_TIMEOUT_MS', 3000, { min: 1 });
+
+function withTimeout(promise, timeout) {
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${timeout}ms`)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Run probes side by side. The service is healthy only when every probe is up.
+export async function runHealthChecks(probes, { timeout = CHECK_TIMEOUT_MS } = {}) {
+  const entries = await Promise.all(Object.entries(probes).map(async ([name, probe]) => {
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await withTimeout(probe(), timeout);
+    } catch (error) {
+      result = { status: 'down', error: error.message };
+    }
+    return [name, { ...result, latency_ms: Date.now() - startTime }];
+  }));
+
+  const checks = Object.fromEntries(entries);
+  const healthy = Object.values(checks).every(check => check.status === 'up');
+  return { status: healthy ? 'healthy' : 'degraded', checks };
+}
+
+// A real round trip to Postgres
+export async function probeDatabase(pool) {
+  await pool.query('SELECT 1');
+  return { status: 'up' };
+}
+
+// The transcription backend's own health endpoint, plus the circuit breaker:
+// while it is open, voice requests are refused even if the probe gets through
+export async function probeTranscription(transcriber) {
+  const health = await checkProviderHealth(transcriber);
+  const breaker = transcriber.breaker.status();
+  return {
+    status: health.status === 'ready' && breaker.state !== 'open' ? 'up' : 'down',
+    provider: transcriber.name,
+    provider_status: health.status,
+    circuit_breaker: breaker.state,
+    details: health.details
+  };
+}
+
+// Uploads land on disk before anything else happens, so the directory must take a write
+export async function probeUploadDir(uploadDir) {
+  await fs.promises.mkdir(uploadDir, { recursive: true });
+  const probeFile = path.join(uploadDir, `.health-${crypto.randomUUID().slice(0, 8)}`);
+  await fs.promises.writeFile(probeFile, '');
+  await fs.promises.unlink(probeFile);
+  return { status: 'up', path: uploadDir };
+}
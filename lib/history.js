@@ -0,0 +1,205 @@
+import { pool } from './db.js';
+import { logger } from './logger.js';
+import { getUserSettings } from './settings.js';
+import { envInt } from './env.js';
+
+// Every voice or text invocation is kept in command_invocations so users can
+// see what was heard and what ran. Writing it must never fail a command, so
+// recordInvocation logs errors instead of throwing.
+
+export const HISTORY_SOURCES = ['voice', 'stream', 'job', 'text'];
+
+// The matcher decisions plus the ways an invocation can end before matching
+export const HISTORY_OUTCOMES = ['execute', 'confirm', 'needs_disambiguation', 'reject', 'no_speech', 'audio_rejected', 'error'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Retention is applied after every HISTORY_PRUNE_EVERY invocations a user
+// records (default 50) rather than after each one, and before a read when
+// anything was recorded since, or PRUNE_INTERVAL_MS passed since the last prune
+const PRUNE_EVERY_INSERTS = envInt('HISTORY_PRUNE_EVERY', 50, { min: 1 });
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// user id -> { inserts: recorded since the last prune, pruned_at }
+const pruneState = new Map();
+
+const COLUMNS = [
+  'user_id', 'request_id', 'source', 'transcript', 'language', 'transcription_confidence',
+  'command_id', 'command_name', 'matched_phrase', 'parameter', 'parameters', 'match_confidence',
+  'outcome', 'error', 'preprocessing_time_ms', 'transcription_time_ms', 'matching_time_ms', 'total_time_ms'
+];
+
+function historyError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_HISTORY_QUERY';
+  return error;
+}
+
+// Drop entries past the user's retention period or beyond their entry limit
+export async function pruneHistory(userId, settings, db = pool) {
+  const { history_retention_days, history_max_entries } = settings ?? await getUserSettings(userId);
+
+  const result = await db.query(
+    `DELETE FROM command_invocations
+     WHERE user_id = $1
+       AND (created_at < NOW() - $2 * INTERVAL '1 day'
+         OR id NOT IN (
+           SELECT id FROM command_invocations
+           WHERE user_id = $1
+           ORDER BY created_at DESC, id DESC
+           LIMIT $3
+         ))`,
+    [userId, history_retention_days, history_max_entries]
+  );
+  pruneState.set(userId, { inserts: 0, pruned_at: Date.now() });
+  return result.rowCount;
+}
+
+function pruneOverdue(state) {
+  return !state || Date.now() - state.pruned_at >= PRUNE_INTERVAL_MS;
+}
+
+// Prune before showing a user's history, unless nothing changed since the last prune
+export async function pruneHistoryBeforeRead(userId) {
+  const state = pruneState.get(userId);
+  if (pruneOverdue(state) || state.inserts > 0) {
+    await pruneHistory(userId);
+  }
+}
+
+// Store one invocation (an object keyed by column name) and apply retention
+export async function recordInvocation(entry) {
+  try {
+    const settings = await getUserSettings(entry.user_id);
+
+    if (settings.history_max_entries === 0) {
+      return;
+    }
+
+    const values = COLUMNS.map(column => {
+      const value = entry[column] ?? null;
+      return column === 'parameters' && value !== null ? JSON.stringify(value) : value;
+    });
+    const placeholders = COLUMNS.map((_, index) => `$${index + 1}`).join(', ');
+
+    await pool.query(`INSERT INTO command_invocations (${COLUMNS.join(', ')}) VALUES (${placeholders})`, values);
+
+    const state = pruneState.get(entry.user_id);
+    let pruned = 0;
+    if (pruneOverdue(state) || state.inserts + 1 >= PRUNE_EVERY_INSERTS) {
+      pruned = await pruneHistory(entry.user_id, settings);
+    } else {
+      state.inserts++;
+    }
+    logger.debug('Recorded invocation', { component: 'history', request_id: entry.request_id, source: entry.source, outcome: entry.outcome, pruned });
+  } catch (error) {
+    logger.error('Failed to record invocation', { component: 'history', request_id: entry.request_id, error });
+  }
+}
+
+function parseInteger(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw historyError(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw historyError(`${name} must be an ISO 8601 date`);
+  }
+  return date.toISOString();
+}
+
+function parseList(value, name, allowed) {
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const unknown = items.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) {
+    throw historyError(`Unknown ${name}: ${unknown.join(', ')} (expected ${allowed.join(', ')})`);
+  }
+  return items;
+}
+
+// Validate GET /history query parameters. Throws INVALID_HISTORY_QUERY.
+export function parseHistoryQuery(query) {
+  const filters = {
+    limit: query.limit !== undefined ? parseInteger(query.limit, 'limit', 1, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: query.offset !== undefined ? parseInteger(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER) : 0
+  };
+
+  if (query.outcome !== undefined) {
+    filters.outcome = parseList(query.outcome, 'outcome', HISTORY_OUTCOMES);
+  }
+  if (query.source !== undefined) {
+    filters.source = parseList(query.source, 'source', HISTORY_SOURCES);
+  }
+  if (query.command_id !== undefined) {
+    filters.command_id = parseInteger(query.command_id, 'command_id', 1, 2147483647);
+  }
+  if (query.from !== undefined) {
+    filters.from = parseDate(query.from, 'from');
+  }
+  if (query.to !== undefined) {
+    filters.to = parseDate(query.to, 'to');
+  }
+  if (query.q !== undefined && query.q !== '') {
+    filters.q = String(query.q);
+  }
+
+  return filters;
+}
+
+// A page of a user's history, newest first, with the total number of matching entries
+export async function listHistory(userId, filters) {
+  await pruneHistoryBeforeRead(userId);
+
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.outcome) {
+    addCondition('outcome = ANY(?)', filters.outcome);
+  }
+  if (filters.source) {
+    addCondition('source = ANY(?)', filters.source);
+  }
+  if (filters.command_id) {
+    addCondition('command_id = ?', filters.command_id);
+  }
+  if (filters.from) {
+    addCondition('created_at >= ?', filters.from);
+  }
+  if (filters.to) {
+    addCondition('created_at < ?', filters.to);
+  }
+  if (filters.q) {
+    // Plain substring search: LIKE wildcards in the query are matched literally
+    addCondition(`transcript ILIKE ? ESCAPE '\\'`, `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  const where = conditions.join(' AND ');
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM command_invocations WHERE ${where}`, params);
+  const result = await pool.query(
+    `SELECT * FROM command_invocations WHERE ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, filters.limit, filters.offset]
+  );
+
+  const total = countResult.rows[0].total;
+  return {
+    entries: result.rows,
+    pagination: {
+      limit: filters.limit,
+      offset: filters.offset,
+      total,
+      next_offset: filters.offset + result.rows.length < total ? filters.offset + result.rows.length : null
+    }
+  };
+}
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+import { envInt } from './env.js';
+
+// Background voice jobs. Like disambiguation sessions they only live for
+// minutes, so they are kept in memory rather than in Postgres.
+
+// How many jobs transcribe at once; the rest wait in line
+const JOB_CONCURRENCY = envInt('JOB_CONCURRENCY', 2, { min: 1 });
+
+// Finished jobs stay readable this long so slow pollers still get the result
+const JOB_TTL_MS = envInt('JOB_TTL_MS', 10 * 60 * 1000, { min: 1 });
+
+export const JOB_STATES = ['queued', 'transcribing', 'matching', 'done', 'failed', 'cancelled'];
+const FINAL_STATES = ['done', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+// Emits `<job id>` with the job's public view on every state change
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function jobError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function isFinalState(state) {
+  return FINAL_STATES.includes(state);
+}
+
+// What clients see: never the task itself or the abort controller
+export function describeJob(job) {
+  const position = queue.indexOf(job);
+  return {
+    job_id: job.id,
+    state: job.state,
+    queue_position: position === -1 ? null : position + 1,
+    created_at: new Date(job.created_at).toISOString(),
+    updated_at: new Date(job.updated_at).toISOString(),
+    result: job.result,
+    error: job.error
+  };
+}
+
+function setState(job, state, fields = {}) {
+  if (isFinalState(job.state)) {
+    return;
+  }
+
+  Object.assign(job, fields, { state, updated_at: Date.now() });
+  if (isFinalState(state)) {
+    job.finished_at = job.updated_at;
+    // A started task may still be reading its input, even once cancelled
+    if (!job.started) {
+      job.cleanup?.();
+    }
+  }
+  jobEvents.emit(job.id, describeJob(job));
+}
+
+function runNext() {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    job.started = true;
+    running++;
+
+    // Everyone still waiting moved up one place
+    queue.forEach(waiting => jobEvents.emit(waiting.id, describeJob(waiting)));
+
+    Promise.resolve()
+      .then(() => job.task({
+        signal: job.controller.signal,
+        setState: state => setState(job, state)
+      }))
+      .then(result => setState(job, 'done', { result }))
+      .catch(error => {
+        if (job.controller.signal.aborted) {
+          setState(job, 'cancelled');
+          return;
+        }
+        logger.error('Job failed', { component: 'jobs', job_id: job.id, error });
+        setState(job, 'failed', { error: { message: error.message, code: error.code ?? null } });
+      })
+      .finally(() => {
+        job.cleanup?.();
+        running--;
+        runNext();
+      });
+  }
+}
+
+// Queue a task for a user. The task receives { signal, setState } and
+// returns the job result; `cleanup` runs once the job reaches a final state
+// and its task, if it started, has settled.
+export function enqueueJob(userId, task, { cleanup } = {}) {
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    state: 'queued',
+    created_at: now,
+    updated_at: now,
+    result: null,
+    error: null,
+    task,
+    cleanup,
+    started: false,
+    controller: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  logger.info('Job queued', { component: 'jobs', job_id: job.id, user_id: userId, waiting: queue.length, running });
+
+  runNext();
+  return job;
+}
+
+// A user's job, or null for unknown ids and other users' jobs
+export function getJob(jobId, userId) {
+  const job = jobs.get(jobId);
+  return job && job.user_id === userId ? job : null;
+}
+
+// Cancel a job. Queued jobs are dropped; running ones are told to stop and
+// report `cancelled` right away, whatever their task still finishes.
+export function cancelJob(job) {
+  if (isFinalState(job.state)) {
+    throw jobError(`Job is already ${job.state}`, 'JOB_FINISHED');
+  }
+
+  const position = queue.indexOf(job);
+  if (position !== -1) {
+    queue.splice(position, 1);
+  }
+
+  job.controller.abort();
+  setState(job, 'cancelled');
+  logger.info('Job cancelled', { component: 'jobs', job_id: job.id });
+  return job;
+}
+
+function sweepFinished() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (isFinalState(job.state) && now - job.finished_at > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+}
+
+setInterval(sweepFinished, 60 * 1000).unref();
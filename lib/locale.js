@@ -0,0 +1,81 @@
+// Command locales. Commands carry a BCP 47 tag ("en", "es-MX", "ja") or null
+// for "any language"; transcripts are matched against the commands whose
+// language is the one requested by the client or detected by Whisper.
+
+// Whisper reports either an ISO 639-1 code or, through the OpenAI API, the
+// language's English name
+const WHISPER_LANGUAGE_NAMES = {
+  afrikaans: 'af', arabic: 'ar', armenian: 'hy', azerbaijani: 'az', belarusian: 'be', bosnian: 'bs',
+  bulgarian: 'bg', catalan: 'ca', chinese: 'zh', croatian: 'hr', czech: 'cs', danish: 'da',
+  dutch: 'nl', english: 'en', estonian: 'et', finnish: 'fi', french: 'fr', galician: 'gl',
+  german: 'de', greek: 'el', hebrew: 'he', hindi: 'hi', hungarian: 'hu', icelandic: 'is',
+  indonesian: 'id', italian: 'it', japanese: 'ja', kannada: 'kn', kazakh: 'kk', korean: 'ko',
+  latvian: 'lv', lithuanian: 'lt', macedonian: 'mk', malay: 'ms', marathi: 'mr', maori: 'mi',
+  nepali: 'ne', norwegian: 'no', persian: 'fa', polish: 'pl', portuguese: 'pt', romanian: 'ro',
+  russian: 'ru', serbian: 'sr', slovak: 'sk', slovenian: 'sl', spanish: 'es', swahili: 'sw',
+  swedish: 'sv', tagalog: 'tl', tamil: 'ta', thai: 'th', turkish: 'tr', ukrainian: 'uk',
+  urdu: 'ur', vietnamese: 'vi', welsh: 'cy'
+};
+
+function localeError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_LOCALE';
+  return error;
+}
+
+// Canonical BCP 47 form of a locale ("es-mx" -> "es-MX"); null stays null.
+// Throws INVALID_LOCALE for anything that is not a locale tag.
+export function normalizeLocale(locale) {
+  if (locale === null || locale === undefined || locale === '') {
+    return null;
+  }
+  if (typeof locale !== 'string') {
+    throw localeError('locale must be a BCP 47 language tag such as "en" or "es-MX"');
+  }
+
+  try {
+    return Intl.getCanonicalLocales(locale.trim())[0];
+  } catch {
+    throw localeError(`"${locale}" is not a BCP 47 language tag such as "en" or "es-MX"`);
+  }
+}
+
+// The primary language of a locale or Whisper language: "es-MX" -> "es", "Spanish" -> "es"
+export function languageOf(locale) {
+  if (!locale || typeof locale !== 'string') {
+    return null;
+  }
+
+  const lowered = locale.trim().toLowerCase();
+  if (WHISPER_LANGUAGE_NAMES[lowered]) {
+    return WHISPER_LANGUAGE_NAMES[lowered];
+  }
+
+  try {
+    return new Intl.Locale(lowered).language;
+  } catch {
+    return null;
+  }
+}
+
+// Whether commands tagged with these locales can ever compete for the same
+// utterance. Untagged commands compete with everything.
+export function localesOverlap(a, b) {
+  return !a || !b || languageOf(a) === languageOf(b);
+}
+
+// The commands a transcript in `locale` is matched against. A requested
+// locale is strict. A detected one falls back to every command when the user
+// has none in that language, since Whisper can misjudge very short clips.
+export function commandsForLocale(commands, locale, { requested = false } = {}) {
+  const language = languageOf(locale);
+  if (!language) {
+    return commands;
+  }
+
+  const inLanguage = commands.filter(command => !command.locale || languageOf(command.locale) === language);
+  if (requested || inLanguage.some(command => command.locale)) {
+    return inLanguage;
+  }
+  return commands;
+}
@@ -0,0 +1,117 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+// Structured logging: one JSON object per line with time, level, msg, the
+// request_id of the request being served and whatever fields the caller adds.
+//
+//   LOG_LEVEL=debug|info|warn|error|silent   (default info)
+//
+// Fields that carry what users said (transcripts, parameters, request bodies)
+// are redacted unless the level is debug. Validation messages that quote the
+// user's phrases go in `detail` (with the error code alongside), never in `reason`
+// or a logged error's message.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const SENSITIVE_FIELDS = new Set([
+  'transcript', 'transcribed_text', 'transcription', 'text', 'input', 'user_input', 'cleaned_input',
+  'parameter', 'parameters', 'typed_parameters', 'phrase', 'matched_phrase', 'choice', 'body', 'detail'
+]);
+
+const requestContext = new AsyncLocalStorage();
+
+function configuredLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+function describeRedacted(value) {
+  if (typeof value === 'string') {
+    return `[redacted ${value.length} chars]`;
+  }
+  return '[redacted]';
+}
+
+// Make a value safe to JSON.stringify: errors become plain objects and
+// sensitive fields are blanked out unless `reveal` is set
+function serialize(value, reveal, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => serialize(item, reveal, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) {
+      continue;
+    }
+    result[key] = !reveal && SENSITIVE_FIELDS.has(key) && field !== null
+      ? describeRedacted(field)
+      : serialize(field, reveal, depth + 1);
+  }
+  return result;
+}
+
+function createLogger(bindings = {}) {
+  const level = configuredLevel();
+  const threshold = LEVELS[level];
+  const reveal = threshold <= LEVELS.debug;
+
+  function write(entryLevel, msg, fields = {}) {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+
+    const context = requestContext.getStore();
+    const entry = serialize({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      request_id: context?.requestId,
+      ...bindings,
+      ...(fields instanceof Error ? { error: fields } : fields)
+    }, reveal);
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (LEVELS[entryLevel] >= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  return {
+    level,
+    isDebug: reveal,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    // A logger that adds these fields to every line, e.g. { component: 'matcher' }
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+export const logger = createLogger();
+
+// Ids clients send in X-Request-ID are reused when they look like ids
+const CLIENT_REQUEST_ID = /^[A-Za-z0-9._:-]{1,100}$/;
+
+export function newRequestId(presented) {
+  return typeof presented === 'string' && CLIENT_REQUEST_ID.test(presented) ? presented : crypto.randomUUID();
+}
+
+// Run fn with requestId attached to every line logged inside it, however deep
+// the call goes. Background jobs call this again since they outlive their request.
+export function withRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
@@ -0,0 +1,274 @@
+import { cleanTranscribedText } from './text.js';
+import { matchTemplate } from './templates.js';
+import { scoreSimilarity } from './similarity.js';
+import { parseParameters } from './parameterTypes.js';
+import { getUserSettings } from './settings.js';
+import { commandsForLocale } from './locale.js';
+import { getMatcherIndex, exactEntries, templateEntries } from './matcherIndex.js';
+import { createSession, getSession, closeSession, parseChoice } from './disambiguation.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'matcher' });
+
+// When confidences tie, a literal phrase is more specific than a template,
+// and a template is more trustworthy than a fuzzy guess
+const KIND_PRIORITY = { exact: 0, template: 1, fuzzy: 2 };
+
+const MAX_DISAMBIGUATION_OPTIONS = 5;
+
+// The match fields shared by every matcher response
+function describeCandidate(candidate) {
+  // Single-slot commands keep filling the old `parameter` field
+  const values = Object.values(candidate.parameters);
+
+  return {
+    command: candidate.command.command_name,
+    command_id: candidate.command.id,
+    matched_phrase: candidate.phrase,
+    parameter: values.length === 1 ? values[0] : null,
+    parameters: candidate.parameters,
+    typed_parameters: candidate.typed_parameters,
+    workflow_id: candidate.command.workflow_id,
+    confidence: candidate.confidence
+  };
+}
+
+function executeMessage(match) {
+  return Object.keys(match.parameters).length > 0 ? 'Ready to execute workflow with parameter' : 'Ready to execute workflow';
+}
+
+function optionsList(options) {
+  return options.map(option => `${option.index}. "${option.matched_phrase}"`).join(', ');
+}
+
+// provisional: match a transcript that is still growing (live streaming). Ambiguous
+// results list the options without opening a disambiguation session.
+// locale limits matching to commands in the language the client asked for;
+// detectedLanguage (from transcription) does the same unless the user has no
+// commands tagged with that language.
+export async function findMatchingCommand(userInput, userId, requestId, { provisional = false, locale = null, detectedLanguage = null } = {}) {
+  try {
+    // STEP 1: Clean the user input with the user's normalization rules.
+    // The index holds the user's phrases already cleaned with the same rules.
+    const index = await getMatcherIndex(userId);
+    const cleanedUserInput = cleanTranscribedText(userInput, index.rules);
+    log.debug('Matching input', { request_id: requestId, user_id: userId, user_input: userInput, cleaned_input: cleanedUserInput });
+
+    if (!cleanedUserInput) {
+      log.info('Empty input after cleaning', { request_id: requestId });
+      return {
+        success: false,
+        message: 'Empty command after cleaning'
+      };
+    }
+
+    const commands = locale
+      ? commandsForLocale(index.commands, locale, { requested: true })
+      : commandsForLocale(index.commands, detectedLanguage);
+    const inLocale = new Set(commands.map(command => command.id));
+    const phrasesInLocale = entries => entries.filter(entry => inLocale.has(entry.command.id));
+
+    if (commands.length === 0) {
+      log.info('No commands found for user', { request_id: requestId, user_id: userId, locale: locale || detectedLanguage || undefined });
+      return {
+        success: false,
+        message: 'No commands found for this user'
+      };
+    }
+
+    const settings = await getUserSettings(userId);
+    log.debug('Candidate commands', {
+      request_id: requestId,
+      commands: commands.length,
+      locale: locale || detectedLanguage || 'any',
+      execute_threshold: settings.match_execute_threshold,
+      confirm_threshold: settings.match_confirm_threshold,
+      ambiguity_margin: settings.match_ambiguity_margin
+    });
+
+    // Every phrase that could be what the user meant; the best one is chosen at the end
+    const candidates = [];
+
+    // STEP 2: Commands without parameters, looked up by their exact cleaned phrase
+    for (const { command, phrase } of phrasesInLocale(exactEntries(index, cleanedUserInput))) {
+      candidates.push({ command, phrase, kind: 'exact', confidence: 1, parameters: {}, typed_parameters: {} });
+    }
+
+    // STEP 3: Commands with parameters (templates with one or more {slots}).
+    // Only templates whose leading text starts the input can match it.
+    const templates = phrasesInLocale(templateEntries(index, cleanedUserInput));
+    for (const { command, phrase, compiled } of templates) {
+      const parameters = matchTemplate(compiled, cleanedUserInput, userInput, requestId);
+
+      if (!parameters) {
+        continue;
+      }
+
+      // Typed parameters must parse ("twenty five" -> 25) or the phrase does not match
+      const typed = parseParameters(command.parameters, parameters);
+
+      if (!typed.ok) {
+        log.debug('Parameter values did not parse', { request_id: requestId, command_id: command.id, phrase, errors: typed.errors });
+        continue;
+      }
+
+      candidates.push({ command, phrase, kind: 'template', confidence: 1, parameters, typed_parameters: typed.values });
+    }
+
+    // STEP 4: Score commands without parameters for near misses ("open my in box" vs "open my inbox").
+    // A literal exact match already settles it, so only look for near misses without one.
+    const literals = phrasesInLocale(index.literals);
+    let bestFuzzyScore = 0;
+    if (!candidates.some(candidate => candidate.kind === 'exact')) {
+      for (const { command, phrase, cleaned } of literals) {
+        const similarity = scoreSimilarity(cleanedUserInput, cleaned);
+        bestFuzzyScore = Math.max(bestFuzzyScore, similarity.score);
+        if (similarity.score >= settings.match_confirm_threshold) {
+          candidates.push({ command, phrase, kind: 'fuzzy', confidence: similarity.score, parameters: {}, typed_parameters: {} });
+        }
+      }
+    }
+
+    // STEP 5: Rank what matched. Keep the best phrase per command, highest confidence first.
+    const bestPerCommand = new Map();
+    for (const candidate of candidates) {
+      const current = bestPerCommand.get(candidate.command.id);
+      if (!current || candidate.confidence > current.confidence ||
+          (candidate.confidence === current.confidence && KIND_PRIORITY[candidate.kind] < KIND_PRIORITY[current.kind])) {
+        bestPerCommand.set(candidate.command.id, candidate);
+      }
+    }
+
+    const ranked = [...bestPerCommand.values()].sort((a, b) =>
+      b.confidence - a.confidence || KIND_PRIORITY[a.kind] - KIND_PRIORITY[b.kind]
+    );
+
+    if (ranked.length === 0) {
+      log.info('No matching command found', {
+        request_id: requestId,
+        exact_phrases: literals.length,
+        templates_tried: templates.length,
+        best_fuzzy_score: bestFuzzyScore,
+        cleaned_input: cleanedUserInput
+      });
+
+      return {
+        success: false,
+        confidence: bestFuzzyScore,
+        decision: 'reject',
+        message: 'No matching command found'
+      };
+    }
+
+    const [best] = ranked;
+
+    // Everything within the margin of the best match (of the same or a better kind) is a real contender
+    const contenders = ranked
+      .filter(candidate => best.confidence - candidate.confidence <= settings.match_ambiguity_margin)
+      .filter(candidate => KIND_PRIORITY[candidate.kind] <= KIND_PRIORITY[best.kind])
+      .slice(0, MAX_DISAMBIGUATION_OPTIONS);
+
+    if (contenders.length > 1) {
+      const options = contenders.map((candidate, index) => ({ index: index + 1, ...describeCandidate(candidate) }));
+
+      if (provisional) {
+        return {
+          success: false,
+          decision: 'needs_disambiguation',
+          needs_disambiguation: true,
+          options,
+          confidence: best.confidence,
+          message: `Which one did you mean? ${optionsList(options)}`
+        };
+      }
+
+      const session = createSession(userId, options, { user_input: userInput });
+
+      log.info('Several commands match, asking the user', {
+        request_id: requestId,
+        session_id: session.id,
+        options: options.map(option => ({ command_id: option.command_id, confidence: option.confidence }))
+      });
+
+      return {
+        success: false,
+        decision: 'needs_disambiguation',
+        needs_disambiguation: true,
+        session_id: session.id,
+        expires_at: new Date(session.expires_at).toISOString(),
+        options,
+        confidence: best.confidence,
+        message: `Which one did you mean? ${optionsList(options)}`
+      };
+    }
+
+    const match = describeCandidate(best);
+    const execute = best.kind !== 'fuzzy' || best.confidence >= settings.match_execute_threshold;
+
+    log.info('Command matched', {
+      request_id: requestId,
+      kind: best.kind,
+      command_id: best.command.id,
+      matched_phrase: best.phrase,
+      confidence: best.confidence,
+      decision: execute ? 'execute' : 'confirm',
+      parameters: best.parameters
+    });
+
+    return {
+      success: execute,
+      ...match,
+      decision: execute ? 'execute' : 'confirm',
+      message: execute ? executeMessage(match) : `Did you mean "${best.phrase}"?`
+    };
+
+  } catch (error) {
+    log.error('Command matching failed', { request_id: requestId, error });
+    throw error;
+  }
+}
+
+export function expiredSessionResult() {
+  return {
+    success: false,
+    decision: 'reject',
+    message: 'This choice has expired - please say the command again'
+  };
+}
+
+// Apply the user's answer to an open disambiguation session. Returns null when
+// the session expired; an unclear answer keeps the session open and asks again.
+export function resolveDisambiguation(sessionId, userId, choice, requestId) {
+  const session = getSession(sessionId, userId);
+
+  if (!session) {
+    log.info('Disambiguation session not found or expired', { request_id: requestId, session_id: sessionId });
+    return null;
+  }
+
+  const index = parseChoice(choice, session.options);
+  log.info('Disambiguation answer', { request_id: requestId, session_id: sessionId, choice, option: index + 1 });
+
+  if (index === -1) {
+    return {
+      success: false,
+      decision: 'needs_disambiguation',
+      needs_disambiguation: true,
+      session_id: session.id,
+      expires_at: new Date(session.expires_at).toISOString(),
+      options: session.options,
+      message: `Sorry, which one? ${optionsList(session.options)}`
+    };
+  }
+
+  closeSession(session.id);
+  const match = { ...session.options[index] };
+  delete match.index;
+
+  return {
+    success: true,
+    ...match,
+    decision: 'execute',
+    message: executeMessage(match)
+  };
+}
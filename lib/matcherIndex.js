@@ -0,0 +1,220 @@
+import { Client } from 'pg';
+import { pool } from './db.js';
+import { cleanTranscribedText } from './text.js';
+import { compileCommandTemplate } from './templates.js';
+import { getUserCommands, commandPhrases } from './commands.js';
+import { getNormalizationRules } from './normalization.js';
+import { logger } from './logger.js';
+import { envInt } from './env.js';
+
+// Per-user matcher indexes: every saved phrase cleaned and compiled once, with
+// a hash lookup for exact phrases and a trie over the text templates start
+// with, so matching an utterance doesn't re-read and re-clean every command.
+//
+//   MATCHER_CACHE_SIZE   users kept in memory (default 1000, 0 disables the cache)
+//
+// Triggers on commands, command_aliases and user_settings (migration 014) send
+// the user id on the matcher_invalidate channel; every instance LISTENs and
+// drops that user's index. While the listener is down, or the triggers don't
+// exist yet (migration 014 pending), nothing is cached, so a missed
+// notification can never leave an instance matching stale commands. The
+// instance that made a change also drops the index itself right after its
+// COMMIT, so its own next match never waits on the notification.
+
+const CACHE_SIZE = envInt('MATCHER_CACHE_SIZE', 1000, { min: 0 });
+
+const CHANNEL = 'matcher_invalidate';
+const RECONNECT_DELAY_MS = 5000;
+
+// Created by migrations/014_matcher_invalidation.sql
+const TRIGGERS = ['commands_matcher_invalidate', 'command_aliases_matcher_invalidate', 'user_settings_matcher_invalidate'];
+
+const log = logger.child({ component: 'matcher-index' });
+
+// user id -> Promise of the index, least recently used first
+const cache = new Map();
+let listening = false;
+
+function createTrieNode() {
+  return { children: new Map(), entries: [] };
+}
+
+function addToTrie(root, prefix, entry) {
+  let node = root;
+  for (const char of prefix) {
+    if (!node.children.has(char)) {
+      node.children.set(char, createTrieNode());
+    }
+    node = node.children.get(char);
+  }
+  node.entries.push(entry);
+}
+
+// Compile a user's commands into the index the matcher searches
+export async function buildMatcherIndex(userId, db = pool) {
+  const [commands, rules] = await Promise.all([getUserCommands(userId, db), getNormalizationRules(userId, db)]);
+
+  const literals = [];
+  const exact = new Map();
+  const templates = createTrieNode();
+  let templateCount = 0;
+  let order = 0;
+
+  for (const command of commands) {
+    for (const { phrase } of commandPhrases(command)) {
+      if (!command.has_parameter) {
+        const entry = { command, phrase, cleaned: cleanTranscribedText(phrase, rules), order: order++ };
+        literals.push(entry);
+        if (entry.cleaned) {
+          exact.set(entry.cleaned, [...(exact.get(entry.cleaned) || []), entry]);
+        }
+        continue;
+      }
+
+      let compiled;
+      try {
+        compiled = compileCommandTemplate({ command_name: phrase, parameter_name: command.parameter_name }, rules);
+      } catch (templateError) {
+        // A saved phrase that no longer compiles means the row was corrupted
+        log.error('Saved command phrase does not compile', { user_id: userId, command_id: command.id, code: templateError.code, detail: templateError.message });
+        continue;
+      }
+
+      // Templates are filed under their leading literal text; one that starts with a slot sits at the root
+      const [first] = compiled.pieces;
+      addToTrie(templates, first.type === 'literal' ? first.cleaned : '', { command, phrase, compiled, order: order++ });
+      templateCount++;
+    }
+  }
+
+  return { user_id: userId, rules, commands, literals, exact, templates, template_count: templateCount };
+}
+
+// Exact phrases whose cleaned text is the cleaned input
+export function exactEntries(index, cleanedInput) {
+  return index.exact.get(cleanedInput) || [];
+}
+
+// Templates whose leading literal text starts the cleaned input - the only
+// ones whose regex can match it - in the order the phrases were saved
+export function templateEntries(index, cleanedInput) {
+  const found = [...index.templates.entries];
+  let node = index.templates;
+
+  for (const char of cleanedInput) {
+    node = node.children.get(char);
+    if (!node) {
+      break;
+    }
+    found.push(...node.entries);
+  }
+
+  return found.sort((a, b) => a.order - b.order);
+}
+
+export function getMatcherIndex(userId, db = pool) {
+  if (!listening || CACHE_SIZE === 0) {
+    return buildMatcherIndex(userId, db);
+  }
+
+  let index = cache.get(userId);
+  if (index) {
+    // Move to the back so the least recently used user is evicted first
+    cache.delete(userId);
+  } else {
+    index = buildMatcherIndex(userId, db);
+    index.catch(() => cache.get(userId) === index && cache.delete(userId));
+  }
+  cache.set(userId, index);
+
+  while (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return index;
+}
+
+// Drop a user's index after a change to their commands or normalization rules
+export function invalidateMatcherIndex(userId) {
+  cache.delete(userId);
+}
+
+async function triggersInstalled(client) {
+  const result = await client.query(
+    'SELECT COUNT(DISTINCT tgname)::int AS count FROM pg_trigger WHERE tgname = ANY($1) AND NOT tgisinternal',
+    [TRIGGERS]
+  );
+  return result.rows[0].count === TRIGGERS.length;
+}
+
+// Keep the cache in step with the database: LISTEN on a connection of its own
+// (pool connections are shared, so they can't hold a LISTEN) and reconnect
+// whenever it drops. Until the listener is up and the triggers that notify it
+// exist, every match builds a fresh index. `createClient` is only there for tests.
+export function startMatcherInvalidation(pool, { createClient = options => new Client(options) } = {}) {
+  if (CACHE_SIZE === 0) {
+    return;
+  }
+
+  // Only the first failure in a row is logged, not every retry
+  let failing = false;
+  let waitingForTriggers = false;
+
+  async function connect() {
+    const client = createClient(pool.options);
+    let closed = false;
+
+    const reconnect = error => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      if (!failing) {
+        log.warn('Not listening for command changes - matcher indexes are not cached until it reconnects', { error });
+        failing = true;
+      }
+      listening = false;
+      cache.clear();
+      client.end().catch(() => {});
+      setTimeout(connect, RECONNECT_DELAY_MS).unref();
+    };
+
+    client.on('error', reconnect);
+    client.on('end', () => reconnect(new Error('Connection closed')));
+    client.on('notification', message => invalidateMatcherIndex(message.payload));
+
+    // Migrations may still be running (or be left to `npm run migrate`), so check until they are in
+    async function enableWhenTriggersExist() {
+      if (closed) {
+        return;
+      }
+      try {
+        if (!(await triggersInstalled(client))) {
+          if (!waitingForTriggers) {
+            log.warn('Command change triggers are missing (migration 014 not applied) - matcher indexes are not cached');
+            waitingForTriggers = true;
+          }
+          setTimeout(enableWhenTriggersExist, RECONNECT_DELAY_MS).unref();
+          return;
+        }
+      } catch (error) {
+        reconnect(error);
+        return;
+      }
+
+      listening = true;
+      waitingForTriggers = false;
+      log.info('Listening for command changes', { channel: CHANNEL, cache_size: CACHE_SIZE });
+    }
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+      failing = false;
+      await enableWhenTriggersExist();
+    } catch (error) {
+      reconnect(error);
+    }
+  }
+
+  connect();
+}
@@ -0,0 +1,141 @@
+import client from 'prom-client';
+
+// Prometheus metrics served on GET /metrics. Durations are in seconds, as
+// Prometheus expects; everything else the server measures is in ms.
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Uploads and transcription run for seconds, matching for milliseconds
+const STAGE_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route, method and outcome (success, client_error, server_error)',
+  labelNames: ['route', 'method', 'outcome'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to answer HTTP requests, by route and method',
+  labelNames: ['route', 'method'],
+  buckets: STAGE_BUCKETS,
+  registers: [registry]
+});
+
+const stageDuration = new client.Histogram({
+  name: 'voice_stage_duration_seconds',
+  help: 'Time spent in each voice pipeline stage (upload, preprocessing, transcription, matching)',
+  labelNames: ['stage'],
+  buckets: STAGE_BUCKETS,
+  registers: [registry]
+});
+
+const commandOutcomes = new client.Counter({
+  name: 'command_invocations_total',
+  help: 'Voice and text commands by source and outcome (execute, confirm, needs_disambiguation, reject, no_speech, audio_rejected, error)',
+  labelNames: ['source', 'outcome'],
+  registers: [registry]
+});
+
+const matchResults = new client.Counter({
+  name: 'command_match_results_total',
+  help: 'Matching results by source: match, no_match or ambiguous',
+  labelNames: ['source', 'result'],
+  registers: [registry]
+});
+
+const transcriptionErrors = new client.Counter({
+  name: 'transcription_errors_total',
+  help: 'Failed transcription attempts, retries included, by provider and error code',
+  labelNames: ['provider', 'code'],
+  registers: [registry]
+});
+
+const rateLimited = new client.Counter({
+  name: 'rate_limited_total',
+  help: 'Requests refused with 429, by route (voice, text), limit (requests, audio_seconds) and scope (user, ip)',
+  labelNames: ['route', 'limit', 'scope'],
+  registers: [registry]
+});
+
+const MATCH_RESULTS = {
+  execute: 'match',
+  confirm: 'match',
+  needs_disambiguation: 'ambiguous',
+  reject: 'no_match'
+};
+
+function outcomeOf(status) {
+  if (status >= 500) {
+    return 'server_error';
+  }
+  return status >= 400 ? 'client_error' : 'success';
+}
+
+// Express middleware. Routes are labelled by their pattern (/commands/:id),
+// never the raw path, so ids don't turn into thousands of series.
+export function httpMetrics(req, res, next) {
+  const stopTimer = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const labels = { route, method: req.method };
+    stopTimer(labels);
+    httpRequests.inc({ ...labels, outcome: outcomeOf(res.statusCode) });
+  });
+
+  next();
+}
+
+export function observeStage(stage, durationMs) {
+  if (Number.isFinite(durationMs)) {
+    stageDuration.observe({ stage }, durationMs / 1000);
+  }
+}
+
+// One finished voice or text command. Outcomes that never reached matching
+// (no speech, rejected audio, errors) don't count towards match rates.
+export function countInvocation(source, outcome) {
+  commandOutcomes.inc({ source, outcome });
+
+  const result = MATCH_RESULTS[outcome];
+  if (result) {
+    matchResults.inc({ source, result });
+  }
+}
+
+// HTTP errors from the backend carry no code of their own, so they are counted by status
+export function countTranscriptionError(provider, error) {
+  const code = error.code === 'TRANSCRIPTION_FAILED' && error.status ? `HTTP_${error.status}` : error.code || 'UNKNOWN';
+  transcriptionErrors.inc({ provider, code });
+}
+
+export function countRateLimited(route, limit, scope) {
+  rateLimited.inc({ route, limit, scope });
+}
+
+// Connection counts of a pg Pool, read whenever /metrics is scraped
+export function registerPoolMetrics(pool) {
+  new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'Database pool connections by state: active (checked out), idle, or waiting (clients queued for one)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      this.set({ state: 'active' }, pool.totalCount - pool.idleCount);
+      this.set({ state: 'idle' }, pool.idleCount);
+      this.set({ state: 'waiting' }, pool.waitingCount);
+    }
+  });
+
+  new client.Gauge({
+    name: 'db_pool_max_connections',
+    help: 'Size limit of the database pool',
+    registers: [registry],
+    collect() {
+      this.set(pool.options.max);
+    }
+  });
+}
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Migrations live next to lib/ as NNN_description.sql and are applied in version order
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+// Arbitrary constant so concurrent instances never run migrations at the same time
+const MIGRATION_LOCK_KEY = 724031;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+// Read every migration file from disk, sorted by version
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid migration filename: ${file} (expected NNN_description.sql)`);
+      }
+
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  // Two files with the same number would make the applied order ambiguous
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+// Compare the versions recorded in the database with the files shipped with the code
+export async function getMigrationStatus(client, migrations = loadMigrations()) {
+  await ensureMigrationsTable(client);
+
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const applied = result.rows;
+  const known = new Map(migrations.map(migration => [migration.version, migration]));
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  const latestKnown = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const latestApplied = applied.length > 0 ? applied[applied.length - 1].version : 0;
+
+  return {
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !known.has(row.version)),
+    modified: applied.filter(row => known.has(row.version) && known.get(row.version).checksum !== row.checksum),
+    latest_known: latestKnown,
+    latest_applied: latestApplied,
+    database_ahead: latestApplied > latestKnown
+  };
+}
+
+// Apply pending migrations, each in its own transaction.
+// Throws with code SCHEMA_AHEAD when the database was migrated by newer code.
+export async function runMigrations(pool, { dryRun = false, log = message => console.log(`🗄️ [Migrations] ${message}`) } = {}) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    const status = await getMigrationStatus(client, migrations);
+    assertSchemaNotAhead(status);
+
+    status.modified.forEach(row => {
+      log(`Migration ${row.version}_${row.name} changed on disk after it was applied`);
+    });
+
+    if (status.pending.length === 0) {
+      log(`Schema is up to date (version ${status.latest_applied})`);
+      return { applied: [], version: status.latest_applied };
+    }
+
+    const appliedNow = [];
+    for (const migration of status.pending) {
+      if (dryRun) {
+        log(`Would apply ${migration.file}`);
+        appliedNow.push(migration.version);
+        continue;
+      }
+
+      log(`Applying ${migration.file}...`);
+      const migrationStart = Date.now();
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        error.migration = migration.file;
+        throw error;
+      }
+
+      log(`Applied ${migration.file} in ${Date.now() - migrationStart}ms`);
+      appliedNow.push(migration.version);
+    }
+
+    return {
+      applied: appliedNow,
+      version: dryRun ? status.latest_applied : status.latest_known
+    };
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Startup check used when migrations are not run automatically
+export async function verifySchema(pool) {
+  const client = await pool.connect();
+
+  try {
+    const status = await getMigrationStatus(client);
+    assertSchemaNotAhead(status);
+    return status;
+  } finally {
+    client.release();
+  }
+}
+
+function assertSchemaNotAhead(status) {
+  if (!status.database_ahead) {
+    return;
+  }
+
+  const error = new Error(
+    `Database schema is at version ${status.latest_applied} but this code only knows up to ${status.latest_known} ` +
+    `(unknown migrations: ${status.unknown.map(row => `${row.version}_${row.name}`).join(', ')}). ` +
+    'Deploy the newer code or restore a matching database.'
+  );
+  error.code = 'SCHEMA_AHEAD';
+  throw error;
+}
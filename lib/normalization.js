@@ -0,0 +1,357 @@
+import { pool } from './db.js';
+import { readNumber } from './numberWords.js';
+
+// Text normalization for matching. Saved phrases and utterances go through the
+// same pipeline: Unicode folding (case, full-width forms, Latin accents), then
+// the user's ordered rules, then whatever punctuation is left is dropped.
+//
+// Rules work on words and remember which part of the original text each word
+// came from, so a parameter matched in normalized text ("25") is still handed
+// to the workflow as it was said ("twenty-five").
+//
+//   { "type": "hyphens", "mode": "split" }     "to-do" -> "to do" ("join": "todo")
+//   { "type": "contractions" }                 "what's" -> "what is", "don't" -> "do not"
+//   { "type": "numbers" }                      "twenty five" -> "25"
+//   { "type": "fillers", "words": ["um"] }     drops the words (default list when left out)
+//   { "type": "replace", "from": "e mail", "to": "email" }
+
+export const RULE_TYPES = ['hyphens', 'contractions', 'numbers', 'fillers', 'replace'];
+
+const HYPHEN_MODES = ['split', 'join'];
+
+const DEFAULT_FILLERS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'hmm', 'mm', 'ah'];
+
+// What users get until they save their own list
+export const DEFAULT_RULES = [
+  { type: 'hyphens', mode: 'split' },
+  { type: 'contractions' },
+  { type: 'numbers' },
+  { type: 'fillers', words: DEFAULT_FILLERS }
+];
+
+const MAX_RULES = 100;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function rulesError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_NORMALIZATION_RULES';
+  return error;
+}
+
+// Fold one user-perceived character: NFKC (full-width "ｏｐｅｎ" and "？" become
+// "open" and "?"), lowercase, and accents dropped from Latin letters ("á" -> "a").
+// Other scripts keep their marks, which can change the letter (Japanese
+// dakuten, Devanagari vowel signs).
+function foldGrapheme(grapheme) {
+  if (/^\s+$/u.test(grapheme)) {
+    return ' ';
+  }
+
+  const folded = grapheme.normalize('NFKC').toLowerCase();
+  const decomposed = folded.normalize('NFD');
+  if (/^\p{Script=Latin}/u.test(decomposed)) {
+    return decomposed.replace(/\p{M}+/gu, '');
+  }
+  return folded;
+}
+
+const isApostrophe = char => /^['’ʼ]$/u.test(char);
+const isHyphen = char => char === '_' || /^\p{Pd}$/u.test(char);
+const isPunctuationChar = char => /^\p{P}$/u.test(char);
+
+// Apostrophes and hyphens inside a word are left for the rules to interpret;
+// any other punctuation goes straight away
+function keepsJoiner(chars, index) {
+  const { char } = chars[index];
+  if (!isApostrophe(char) && !isHyphen(char)) {
+    return false;
+  }
+  const before = chars[index - 1];
+  const after = chars[index + 1];
+  return Boolean(before && after && !isPunctuationChar(before.char) && !isPunctuationChar(after.char));
+}
+
+function tokenText(token) {
+  return token.chars.map(({ char }) => char).join('');
+}
+
+// Fold the text and split it into words: [{ chars: [{ char, start, end }] }]
+// where start/end is the span of the original text a character came from
+function tokenize(text) {
+  const tokens = [];
+  let current = [];
+
+  const endWord = () => {
+    const chars = current
+      .filter((entry, index) => !isPunctuationChar(entry.char) || keepsJoiner(current, index))
+      .map(entry => (isApostrophe(entry.char) ? { ...entry, char: "'" } : entry));
+    if (chars.length > 0) {
+      tokens.push({ chars });
+    }
+    current = [];
+  };
+
+  for (const { segment, index } of graphemes.segment(text)) {
+    const folded = foldGrapheme(segment);
+    if (folded === ' ') {
+      endWord();
+      continue;
+    }
+    for (const char of folded) {
+      current.push({ char, start: index, end: index + segment.length });
+    }
+  }
+  endWord();
+
+  return tokens;
+}
+
+// A word that replaces tokens[from..to) and maps back to all of them
+function spanningToken(tokens, from, to, text) {
+  const start = tokens[from].chars[0].start;
+  const lastChars = tokens[to - 1].chars;
+  const end = lastChars[lastChars.length - 1].end;
+  return { chars: [...text].map(char => ({ char, start, end })) };
+}
+
+// Walk the words and let `match(words, index)` replace runs of them. It returns
+// { length, replacement } (replacement may be empty) or null to keep the word.
+function rewrite(tokens, match) {
+  const words = tokens.map(tokenText);
+  const result = [];
+
+  for (let i = 0; i < tokens.length;) {
+    const found = match(words, i);
+    if (!found) {
+      result.push(tokens[i]);
+      i++;
+      continue;
+    }
+    for (const word of found.replacement) {
+      result.push(spanningToken(tokens, i, i + found.length, word));
+    }
+    i += found.length;
+  }
+
+  return result;
+}
+
+// Match a fixed phrase (already split into words) at words[index]
+function phraseAt(words, index, phrase) {
+  return phrase.length > 0 && phrase.every((word, offset) => words[index + offset] === word);
+}
+
+function applyHyphens(tokens, { mode }) {
+  return tokens.flatMap(token => {
+    if (mode === 'join') {
+      return [{ chars: token.chars.filter(({ char }) => !isHyphen(char)) }];
+    }
+
+    const parts = [[]];
+    for (const entry of token.chars) {
+      if (isHyphen(entry.char)) {
+        parts.push([]);
+      } else {
+        parts[parts.length - 1].push(entry);
+      }
+    }
+    return parts.filter(chars => chars.length > 0).map(chars => ({ chars }));
+  });
+}
+
+const IRREGULAR_CONTRACTIONS = {
+  "can't": 'cannot', "won't": 'will not', "shan't": 'shall not', "ain't": 'is not',
+  "let's": 'let us', "y'all": 'you all'
+};
+
+const CONTRACTION_SUFFIXES = [
+  ["n't", ' not'], ["'re", ' are'], ["'ve", ' have'], ["'ll", ' will'], ["'m", ' am'], ["'d", ' would']
+];
+
+// "'s" is only expanded after words where it can't be a possessive
+const IS_CONTRACTED_AFTER = new Set(['it', 'that', 'what', 'where', 'who', 'how', 'when', 'why', 'there', 'here', 'he', 'she']);
+
+function expandContraction(word) {
+  if (!word.includes("'")) {
+    return null;
+  }
+  if (IRREGULAR_CONTRACTIONS[word]) {
+    return IRREGULAR_CONTRACTIONS[word];
+  }
+  for (const [suffix, expansion] of CONTRACTION_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length > suffix.length) {
+      return word.slice(0, -suffix.length) + expansion;
+    }
+  }
+  if (word.endsWith("'s") && IS_CONTRACTED_AFTER.has(word.slice(0, -2))) {
+    return `${word.slice(0, -2)} is`;
+  }
+  return null;
+}
+
+function applyContractions(tokens) {
+  return rewrite(tokens, (words, index) => {
+    const expanded = expandContraction(words[index]);
+    return expanded ? { length: 1, replacement: expanded.split(' ') } : null;
+  });
+}
+
+function applyNumbers(tokens) {
+  return rewrite(tokens, (words, index) => {
+    const number = readNumber(words, index);
+    return number ? { length: number.length, replacement: [String(number.value)] } : null;
+  });
+}
+
+// Phrases in rules are written by people, so they are folded like any other text
+function phraseWords(phrase) {
+  return tokenize(phrase).map(tokenText);
+}
+
+function applyFillers(tokens, { words }) {
+  const fillers = words.map(phraseWords).filter(phrase => phrase.length > 0);
+  return rewrite(tokens, (current, index) => {
+    const filler = fillers.find(phrase => phraseAt(current, index, phrase));
+    return filler ? { length: filler.length, replacement: [] } : null;
+  });
+}
+
+function applyReplace(tokens, { from, to }) {
+  const fromWords = phraseWords(from);
+  const toWords = phraseWords(to);
+  return rewrite(tokens, (words, index) =>
+    phraseAt(words, index, fromWords) ? { length: fromWords.length, replacement: toWords } : null
+  );
+}
+
+const RULES = {
+  hyphens: applyHyphens,
+  contractions: applyContractions,
+  numbers: applyNumbers,
+  fillers: applyFillers,
+  replace: applyReplace
+};
+
+// Normalized text plus, for every character of it, the span of the original
+// text it came from: starts[i] and ends[i]. Whitespace between words becomes
+// one space; punctuation the rules didn't consume is dropped.
+function render(tokens) {
+  const chars = [];
+  const starts = [];
+  const ends = [];
+
+  for (const token of tokens) {
+    const kept = token.chars.filter(({ char }) => !isPunctuationChar(char));
+    if (kept.length === 0) {
+      continue;
+    }
+    if (chars.length > 0) {
+      chars.push(' ');
+      starts.push(ends[ends.length - 1]);
+      ends.push(kept[0].start);
+    }
+    for (const { char, start, end } of kept) {
+      chars.push(char);
+      starts.push(start);
+      ends.push(end);
+    }
+  }
+
+  return { text: chars.join(''), starts, ends };
+}
+
+// Run text through a rule list. An empty list only folds and strips punctuation.
+export function normalizeText(text, rules = DEFAULT_RULES) {
+  if (!text || typeof text !== 'string') {
+    return { text: '', starts: [], ends: [] };
+  }
+
+  let tokens = tokenize(text);
+  for (const rule of rules) {
+    tokens = RULES[rule.type](tokens, rule);
+  }
+  return render(tokens);
+}
+
+// The text after folding and after each rule, to see what a rule list does
+export function traceNormalization(text, rules = DEFAULT_RULES) {
+  let tokens = tokenize(text);
+  const steps = [{ rule: { type: 'fold' }, text: render(tokens).text }];
+
+  for (const rule of rules) {
+    tokens = RULES[rule.type](tokens, rule);
+    steps.push({ rule, text: render(tokens).text });
+  }
+
+  return { input: text, normalized: render(tokens).text, steps };
+}
+
+function validatePhrase(value, name, index, { allowEmpty = false } = {}) {
+  if (typeof value !== 'string' || (!allowEmpty && phraseWords(value).length === 0)) {
+    throw rulesError(`Rule ${index + 1}: ${name} must be a non-empty phrase`);
+  }
+  return value;
+}
+
+function validateRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+    throw rulesError(`Rule ${index + 1}: type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  switch (rule.type) {
+    case 'hyphens': {
+      const mode = rule.mode ?? 'split';
+      if (!HYPHEN_MODES.includes(mode)) {
+        throw rulesError(`Rule ${index + 1}: mode must be one of: ${HYPHEN_MODES.join(', ')}`);
+      }
+      return { type: 'hyphens', mode };
+    }
+    case 'fillers': {
+      const words = rule.words ?? DEFAULT_FILLERS;
+      if (!Array.isArray(words)) {
+        throw rulesError(`Rule ${index + 1}: words must be an array of phrases`);
+      }
+      return { type: 'fillers', words: words.map(word => validatePhrase(word, 'every filler', index)) };
+    }
+    case 'replace':
+      return {
+        type: 'replace',
+        from: validatePhrase(rule.from, 'from', index),
+        to: validatePhrase(rule.to ?? '', 'to', index, { allowEmpty: true })
+      };
+    default:
+      return { type: rule.type };
+  }
+}
+
+// Check a rule list from a client and fill in defaults. Throws INVALID_NORMALIZATION_RULES.
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw rulesError('rules must be an array');
+  }
+  if (rules.length > MAX_RULES) {
+    throw rulesError(`At most ${MAX_RULES} rules are allowed`);
+  }
+  return rules.map(validateRule);
+}
+
+// The rules a user's text is normalized with: their own list, or the defaults
+export async function getNormalizationRules(userId, db = pool) {
+  const result = await db.query('SELECT normalization_rules FROM user_settings WHERE user_id = $1', [userId]);
+  return result.rows[0]?.normalization_rules ?? DEFAULT_RULES;
+}
+
+// Replace a user's rule list. null goes back to the defaults.
+export async function setNormalizationRules(userId, rules) {
+  const validated = rules === null ? null : validateRules(rules);
+
+  await pool.query(
+    `INSERT INTO user_settings (user_id, normalization_rules, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET normalization_rules = EXCLUDED.normalization_rules, updated_at = NOW()`,
+    [userId, validated === null ? null : JSON.stringify(validated)]
+  );
+
+  return validated ?? DEFAULT_RULES;
+}
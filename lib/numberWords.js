@@ -0,0 +1,67 @@
+// The spoken number grammar shared by text normalization ("twenty five" -> "25")
+// and typed parameters. Lookups go through Object.hasOwn so words like
+// "constructor" are never mistaken for numbers.
+
+export const UNITS = { zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+export const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+export const SCALES = { thousand: 1000, million: 1000000, billion: 1000000000 };
+
+const isSmallNumber = word => Object.hasOwn(UNITS, word) || Object.hasOwn(TEENS, word) || Object.hasOwn(TENS, word);
+
+// Read one spoken number starting at words[index]: "twenty five" -> 25,
+// "one hundred and two" -> 102. Returns { length, value } or null.
+// Reading stops at the first word that can't continue the number, so
+// "one two three" is three numbers and "five hundred hundred" stops after "hundred".
+export function readNumber(words, index) {
+  let total = 0;
+  let current = 0;
+  let last = null;
+  let lastScale = Infinity;
+  let i = index;
+
+  for (; i < words.length; i++) {
+    const word = words[i];
+
+    if (Object.hasOwn(UNITS, word)) {
+      if (last === 'unit' || last === 'teen' || (last !== null && UNITS[word] === 0)) {
+        break;
+      }
+      current += UNITS[word];
+      last = 'unit';
+    } else if (Object.hasOwn(TEENS, word) || Object.hasOwn(TENS, word)) {
+      if (last === 'unit' || last === 'teen' || last === 'tens') {
+        break;
+      }
+      current += TEENS[word] ?? TENS[word];
+      last = Object.hasOwn(TEENS, word) ? 'teen' : 'tens';
+    } else if (word === 'hundred') {
+      if ((last !== 'unit' && last !== 'teen') || current === 0 || current % 100 !== current) {
+        break;
+      }
+      current *= 100;
+      last = 'hundred';
+    } else if (Object.hasOwn(SCALES, word)) {
+      // Scales only get smaller: "two million three thousand", never "two thousand three million"
+      if (last === null || last === 'scale' || current === 0 || SCALES[word] >= lastScale) {
+        break;
+      }
+      total += current * SCALES[word];
+      current = 0;
+      last = 'scale';
+      lastScale = SCALES[word];
+    } else if (word === 'and' && (last === 'hundred' || last === 'scale') && isSmallNumber(words[i + 1])) {
+      continue;
+    } else {
+      break;
+    }
+  }
+
+  if (i === index) {
+    return null;
+  }
+  return { length: i - index, value: total + current };
+}
@@ -0,0 +1,418 @@
+// Typed command parameters. Whisper writes what it hears, so values arrive in
+// spoken form ("twenty five minutes", "example dot com") and are normalized here.
+// Word lookups use Object.hasOwn so "constructor" and friends are not numbers or units.
+
+import { UNITS, TENS, SCALES, readNumber } from './numberWords.js';
+
+export const PARAMETER_TYPES = ['text', 'number', 'duration', 'datetime', 'url', 'email'];
+
+// Digits after "point" are read one at a time, and "oh" is a zero there
+const DIGIT_WORDS = { ...UNITS, oh: 0 };
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+};
+
+const DURATION_UNITS = {
+  second: 1, seconds: 1, sec: 1, secs: 1,
+  minute: 60, minutes: 60, min: 60, mins: 60,
+  hour: 3600, hours: 3600, hr: 3600, hrs: 3600,
+  day: 86400, days: 86400,
+  week: 604800, weeks: 604800
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+function words(text) {
+  return text.toLowerCase().replace(/[,!?;]/g, ' ').replace(/-/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+// "twenty five" -> 25, "one hundred and five" -> 105, "two point five" -> 2.5, "1,200" -> 1200
+export function parseNumber(text) {
+  const compact = String(text).trim().toLowerCase().replace(/(\d),(?=\d{3})/g, '$1');
+  if (/^[-+]?\d+(\.\d+)?$/.test(compact)) {
+    return parseFloat(compact);
+  }
+
+  const tokens = words(compact);
+  let negative = false;
+  if (tokens[0] === 'minus' || tokens[0] === 'negative') {
+    negative = true;
+    tokens.shift();
+  }
+  if (tokens[0] === 'a' && (tokens[1] === 'hundred' || Object.hasOwn(SCALES, tokens[1] ?? ''))) {
+    tokens[0] = 'one';
+  }
+
+  const pointIndex = tokens.indexOf('point');
+  const integerWords = pointIndex === -1 ? tokens : tokens.slice(0, pointIndex);
+
+  // The whole integer part must read as one number: "one two three" and "five hundred hundred" don't
+  let value;
+  if (integerWords.length === 1 && /^\d+$/.test(integerWords[0])) {
+    value = parseInt(integerWords[0], 10);
+  } else {
+    const number = readNumber(integerWords, 0);
+    if (!number || number.length !== integerWords.length) {
+      return null;
+    }
+    value = number.value;
+  }
+
+  // "two point five oh" -> 2.50
+  if (pointIndex !== -1) {
+    const decimals = tokens.slice(pointIndex + 1);
+    if (decimals.length === 0 || !decimals.every(word => /^\d$/.test(word) || Object.hasOwn(DIGIT_WORDS, word))) {
+      return null;
+    }
+    value = parseFloat(`${value}.${decimals.map(word => DIGIT_WORDS[word] ?? word).join('')}`);
+  }
+
+  return negative ? -value : value;
+}
+
+// Replace runs of number words with digits so date and time patterns only
+// have to deal with one form: "five thirty pm" -> "5 30 pm", "twenty first" -> "21st"
+function numberWordsToDigits(tokens) {
+  const output = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const word = tokens[i];
+
+    if (Object.hasOwn(TENS, word) && Object.hasOwn(ORDINALS, tokens[i + 1] ?? '') && ORDINALS[tokens[i + 1]] < 10) {
+      output.push(`${TENS[word] + ORDINALS[tokens[i + 1]]}th`);
+      i++;
+      continue;
+    }
+    // "second" is only an ordinal when it cannot be the time unit
+    if (Object.hasOwn(ORDINALS, word) && !(word === 'second' && /^\d/.test(output[output.length - 1] || ''))) {
+      output.push(`${ORDINALS[word]}th`);
+      continue;
+    }
+
+    // "five thirty" reads as two numbers, 5 and 30, so it stays a time rather than 35
+    const number = readNumber(tokens, i);
+    if (number) {
+      output.push(String(number.value));
+      i += number.length - 1;
+      continue;
+    }
+
+    output.push(word);
+  }
+
+  return output;
+}
+
+function toIsoDuration(totalSeconds) {
+  let remaining = Math.round(totalSeconds);
+  const days = Math.floor(remaining / 86400);
+  remaining -= days * 86400;
+  const hours = Math.floor(remaining / 3600);
+  remaining -= hours * 3600;
+  const minutes = Math.floor(remaining / 60);
+  const seconds = remaining - minutes * 60;
+
+  let iso = 'P';
+  if (days) iso += `${days}D`;
+  if (hours || minutes || seconds || !days) {
+    iso += 'T';
+    if (hours) iso += `${hours}H`;
+    if (minutes) iso += `${minutes}M`;
+    if (seconds || (!hours && !minutes)) iso += `${seconds}S`;
+  }
+  return iso;
+}
+
+// "twenty five minutes" -> 1500s, "an hour and a half" -> 5400s, "1 hour 30 minutes" -> 5400s
+export function parseDuration(text) {
+  const tokens = words(text);
+  let seconds = 0;
+  let pending = [];
+  let lastUnit = null;
+
+  for (const word of tokens) {
+    if (!Object.hasOwn(DURATION_UNITS, word)) {
+      pending.push(word);
+      continue;
+    }
+
+    const phrase = pending.filter((token, index) => !(index === 0 && token === 'and')).join(' ');
+    let amount;
+    if (phrase === '' || phrase === 'a' || phrase === 'an') {
+      amount = 1;
+    } else if (/^(a )?half( an| a)?$/.test(phrase)) {
+      amount = 0.5;
+    } else if (/ and a half$/.test(phrase)) {
+      amount = parseNumber(phrase.replace(/ and a half$/, ''));
+      amount = amount === null ? null : amount + 0.5;
+    } else {
+      amount = parseNumber(phrase);
+    }
+
+    if (amount === null || amount < 0) {
+      return null;
+    }
+
+    seconds += amount * DURATION_UNITS[word];
+    lastUnit = word;
+    pending = [];
+  }
+
+  if (!lastUnit) {
+    return null;
+  }
+
+  // "an hour and a half": the half belongs to the last unit spoken
+  const rest = pending.join(' ');
+  if (rest) {
+    if (!/^(and )?a half$/.test(rest)) {
+      return null;
+    }
+    seconds += DURATION_UNITS[lastUnit] / 2;
+  }
+
+  return { seconds, iso: toIsoDuration(seconds) };
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Local date and time with the server's UTC offset: 2026-10-23T17:00:00+02:00
+function formatDateTime(date) {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const hours = pad(Math.floor(Math.abs(offset) / 60));
+  const minutes = pad(Math.abs(offset) % 60);
+  return `${formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}${sign}${hours}:${minutes}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Pull a time of day out of the phrase. Returns { hours, minutes, rest } or null.
+function extractTime(phrase) {
+  if (/\bnoon\b/.test(phrase)) {
+    return { hours: 12, minutes: 0, rest: phrase.replace(/\b(at )?noon\b/, '') };
+  }
+  if (/\bmidnight\b/.test(phrase)) {
+    return { hours: 0, minutes: 0, rest: phrase.replace(/\b(at )?midnight\b/, '') };
+  }
+
+  const match = phrase.match(/\b(?:at )?(\d{1,2})(?:(?::| )(\d{2}))?(?:\s*(am|pm|a m|p m|o'?clock))?(?:\s+in the (morning|afternoon|evening)|\s+tonight)?\b/);
+  // A bare number is only a time when something marks it as one
+  if (!match || (!match[2] && !match[3] && !match[4] && !/\bat \d/.test(match[0]))) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = (match[3] || '').replace(' ', '');
+  const partOfDay = match[4] || (/tonight/.test(match[0]) ? 'evening' : null);
+
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  if ((meridiem === 'pm' || partOfDay === 'afternoon' || partOfDay === 'evening') && hours < 12) {
+    hours += 12;
+  } else if ((meridiem === 'am' || partOfDay === 'morning') && hours === 12) {
+    hours = 0;
+  }
+
+  return { hours, minutes, rest: phrase.replace(match[0], ' ') };
+}
+
+// Resolve the date part of the phrase relative to `now`. Returns a Date at local midnight or null.
+function extractDate(phrase, now) {
+  const today = startOfDay(now);
+  const trimmed = phrase.replace(/\b(on|the|of)\b/g, ' ').replace(/\s+/g, ' ').trim();
+
+  if (trimmed === '' || trimmed === 'today' || trimmed === 'tonight') return today;
+  if (trimmed === 'tomorrow') return addDays(today, 1);
+  if (trimmed === 'yesterday') return addDays(today, -1);
+  if (trimmed === 'day after tomorrow') return addDays(today, 2);
+  if (trimmed === 'next week') return addDays(today, 7);
+
+  const weekday = trimmed.match(/^(this |next |coming )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[2]);
+    let delta = (target - today.getDay() + 7) % 7;
+    // "friday" / "next friday" mean the next one after today; "this friday" may be today
+    if (delta === 0 && weekday[1] !== 'this ') {
+      delta = 7;
+    }
+    return addDays(today, delta);
+  }
+
+  const monthFirst = trimmed.match(/^([a-z]+) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/);
+  const dayFirst = trimmed.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)(?: (\d{4}))?$/);
+  const parts = monthFirst
+    ? { month: monthFirst[1], day: monthFirst[2], year: monthFirst[3] }
+    : dayFirst ? { month: dayFirst[2], day: dayFirst[1], year: dayFirst[3] } : null;
+
+  if (parts && MONTHS.includes(parts.month)) {
+    const month = MONTHS.indexOf(parts.month);
+    const day = parseInt(parts.day, 10);
+    let year = parts.year ? parseInt(parts.year, 10) : today.getFullYear();
+    let date = new Date(year, month, day);
+
+    // Without a year, a date that already passed means next year's
+    if (!parts.year && date < today) {
+      year++;
+      date = new Date(year, month, day);
+    }
+    return date.getMonth() === month ? date : null;
+  }
+
+  return null;
+}
+
+// "next friday" -> "2026-10-23", "tomorrow at 5 pm" -> "2026-10-20T17:00:00+00:00",
+// "in twenty minutes" -> now + 20 minutes. Dates without a time stay date-only.
+export function parseDateTime(text, now = new Date()) {
+  const raw = String(text).trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    const date = new Date(`${raw}T00:00:00`);
+    return Number.isNaN(date.getTime()) ? null : raw;
+  }
+  if (/^\d{4}-\d{2}-\d{2}T/.test(raw)) {
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? null : formatDateTime(date);
+  }
+
+  const phrase = numberWordsToDigits(words(raw.replace(/\./g, ' '))).join(' ');
+
+  const relative = phrase.match(/^in (.+)$/);
+  if (relative) {
+    const duration = parseDuration(relative[1]);
+    if (!duration) return null;
+    return formatDateTime(new Date(now.getTime() + duration.seconds * 1000));
+  }
+
+  const time = extractTime(phrase);
+  const date = extractDate(time ? time.rest : phrase, now);
+
+  if (!date) {
+    return null;
+  }
+  if (!time) {
+    return formatDate(date);
+  }
+
+  date.setHours(time.hours, time.minutes, 0, 0);
+  return formatDateTime(date);
+}
+
+const SPOKEN_SYMBOLS = {
+  dot: '.', period: '.', point: '.',
+  slash: '/', 'forward slash': '/',
+  colon: ':',
+  dash: '-', hyphen: '-', minus: '-',
+  underscore: '_',
+  plus: '+',
+  at: '@'
+};
+
+// Turn spoken punctuation into symbols and remove the spaces between words
+function joinSpokenSymbols(text, symbols) {
+  const tokens = String(text).trim().toLowerCase().replace(/forward slash/g, 'slash').split(/\s+/);
+  return tokens.map(token => symbols.includes(token) ? SPOKEN_SYMBOLS[token] : token).join('');
+}
+
+// "example dot com" -> "https://example.com", "docs dot example dot com slash api" -> "https://docs.example.com/api"
+export function parseUrl(text) {
+  let candidate = joinSpokenSymbols(text, ['dot', 'period', 'point', 'slash', 'colon', 'dash', 'hyphen', 'underscore']);
+
+  if (!/^[a-z][a-z0-9+.-]*:\/\//.test(candidate)) {
+    candidate = `https://${candidate}`;
+  }
+
+  try {
+    const url = new URL(candidate);
+    const labels = url.hostname.split('.');
+    const validHost = url.hostname === 'localhost' || (labels.length > 1 && /^[a-z]{2,}$/.test(labels[labels.length - 1]) && labels.every(Boolean));
+
+    if (!['http:', 'https:'].includes(url.protocol) || !validHost) {
+      return null;
+    }
+    return candidate;
+  } catch {
+    return null;
+  }
+}
+
+// "john dot smith at example dot com" -> "john.smith@example.com"
+export function parseEmail(text) {
+  const candidate = joinSpokenSymbols(text, ['dot', 'period', 'point', 'dash', 'hyphen', 'underscore', 'plus', 'at']);
+  return /^[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(candidate) ? candidate : null;
+}
+
+// Parse one captured value. Returns { ok: true, value } or { ok: false, error }.
+export function parseParameterValue(type, raw, now = new Date()) {
+  let value;
+
+  switch (type || 'text') {
+    case 'text':
+      return { ok: true, value: raw };
+    case 'number':
+      value = parseNumber(raw);
+      break;
+    case 'duration':
+      value = parseDuration(raw);
+      break;
+    case 'datetime':
+      value = parseDateTime(raw, now);
+      break;
+    case 'url':
+      value = parseUrl(raw);
+      break;
+    case 'email':
+      value = parseEmail(raw);
+      break;
+    default:
+      return { ok: false, error: `Unknown parameter type "${type}"` };
+  }
+
+  return value === null
+    ? { ok: false, error: `"${raw}" is not a valid ${type}` }
+    : { ok: true, value };
+}
+
+// Parse every captured slot using the command's parameter definitions.
+// Any value that fails to parse makes the whole match fail.
+export function parseParameters(definitions, rawParameters, now = new Date()) {
+  const types = Object.fromEntries((definitions || []).map(param => [param.name, param.type || 'text']));
+  const values = {};
+  const errors = {};
+
+  for (const [name, raw] of Object.entries(rawParameters)) {
+    const parsed = parseParameterValue(types[name], raw, now);
+    if (parsed.ok) {
+      values[name] = parsed.value;
+    } else {
+      errors[name] = parsed.error;
+    }
+  }
+
+  return { ok: Object.keys(errors).length === 0, values, errors };
+}
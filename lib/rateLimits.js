@@ -0,0 +1,254 @@
+import { pool } from './db.js';
+import { logger } from './logger.js';
+import { countRateLimited } from './metrics.js';
+import { envInt } from './env.js';
+
+// Request rate limits and daily audio quotas, per user and per client IP.
+//
+//   VOICE_REQUESTS_PER_MINUTE          (default 30)     /voice-command and /voice-stream, per user
+//   VOICE_REQUESTS_PER_MINUTE_PER_IP   (default 60)
+//   TEXT_REQUESTS_PER_MINUTE           (default 120)    /execute-command, per user
+//   TEXT_REQUESTS_PER_MINUTE_PER_IP    (default 240)
+//   AUDIO_SECONDS_PER_DAY              (default 3600)   audio sent to transcription, per user
+//   AUDIO_SECONDS_PER_DAY_PER_IP       (default 14400)
+//
+// 0 turns a limit off. Windows are fixed: calendar minutes, and UTC days for
+// audio. Counters live in memory (RATE_LIMIT_STORE=memory, one instance) or in
+// Postgres (RATE_LIMIT_STORE=postgres) so several instances share them.
+//
+// The audio quota is checked before a recording is accepted and charged once
+// its length is known, so the call that crosses the limit still goes through.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const REQUEST_LIMITS = {
+  voice: { user: envInt('VOICE_REQUESTS_PER_MINUTE', 30, { min: 0 }), ip: envInt('VOICE_REQUESTS_PER_MINUTE_PER_IP', 60, { min: 0 }) },
+  text: { user: envInt('TEXT_REQUESTS_PER_MINUTE', 120, { min: 0 }), ip: envInt('TEXT_REQUESTS_PER_MINUTE_PER_IP', 240, { min: 0 }) }
+};
+
+const AUDIO_LIMITS = { user: envInt('AUDIO_SECONDS_PER_DAY', 3600, { min: 0 }), ip: envInt('AUDIO_SECONDS_PER_DAY_PER_IP', 14400, { min: 0 }) };
+
+function windowStart(now, windowMs) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+// Counters keyed by name and window: add(key, windowMs, amount) and
+// get(key, windowMs) both resolve to the total for the current window
+function createMemoryStore() {
+  const counters = new Map();
+
+  function current(key, windowMs) {
+    const start = windowStart(Date.now(), windowMs);
+    const counter = counters.get(key);
+    return counter && counter.window_start === start ? counter : { window_start: start, expires_at: start + windowMs, count: 0 };
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expires_at <= now) {
+        counters.delete(key);
+      }
+    }
+  }, MINUTE_MS).unref();
+
+  return {
+    name: 'memory',
+    async add(key, windowMs, amount) {
+      const counter = current(key, windowMs);
+      counter.count += amount;
+      counters.set(key, counter);
+      return counter.count;
+    },
+    async get(key, windowMs) {
+      return current(key, windowMs).count;
+    }
+  };
+}
+
+function createPostgresStore(db) {
+  setInterval(() => {
+    db.query('DELETE FROM rate_limit_counters WHERE expires_at < NOW()').catch(error => {
+      logger.warn('Could not prune rate limit counters', { component: 'rate-limits', error });
+    });
+  }, 10 * MINUTE_MS).unref();
+
+  return {
+    name: 'postgres',
+    async add(key, windowMs, amount) {
+      const start = windowStart(Date.now(), windowMs);
+      const result = await db.query(
+        `INSERT INTO rate_limit_counters (key, window_start, count, expires_at)
+         VALUES ($1, to_timestamp($2 / 1000.0), $3, to_timestamp($4 / 1000.0))
+         ON CONFLICT (key, window_start) DO UPDATE SET count = rate_limit_counters.count + EXCLUDED.count
+         RETURNING count`,
+        [key, start, amount, start + windowMs]
+      );
+      return result.rows[0].count;
+    },
+    async get(key, windowMs) {
+      const result = await db.query(
+        'SELECT count FROM rate_limit_counters WHERE key = $1 AND window_start = to_timestamp($2 / 1000.0)',
+        [key, windowStart(Date.now(), windowMs)]
+      );
+      return result.rows[0]?.count ?? 0;
+    }
+  };
+}
+
+const STORES = {
+  memory: () => createMemoryStore(),
+  postgres: () => createPostgresStore(pool)
+};
+
+function createStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  const factory = STORES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+  }
+  return factory();
+}
+
+const store = createStore();
+
+// Whom a request counts against: the API key's user and the client address
+function subjectsOf({ userId, ip }) {
+  return [['user', userId], ['ip', ip]].filter(([, id]) => id);
+}
+
+function usage(limit, used, windowMs, scope) {
+  const resetAt = windowStart(Date.now(), windowMs) + windowMs;
+  return {
+    scope,
+    limit,
+    used,
+    remaining: Math.max(0, Math.floor(limit - used)),
+    reset_s: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+  };
+}
+
+// The tightest of several limits: an exceeded one first, then the one with the least left
+function tightest(usages, exceeded) {
+  return usages.find(exceeded) ?? usages.sort((a, b) => a.remaining - b.remaining)[0] ?? null;
+}
+
+// Count one request against the per-minute limits of a route ('voice' or 'text')
+async function takeRequest(route, caller) {
+  const usages = [];
+  for (const [scope, id] of subjectsOf(caller)) {
+    const limit = REQUEST_LIMITS[route][scope];
+    if (limit > 0) {
+      const used = await store.add(`${route}:${scope}:${id}`, MINUTE_MS, 1);
+      usages.push(usage(limit, used, MINUTE_MS, scope));
+    }
+  }
+  return tightest(usages, entry => entry.used > entry.limit);
+}
+
+async function peekAudioQuota(caller) {
+  const usages = [];
+  for (const [scope, id] of subjectsOf(caller)) {
+    const limit = AUDIO_LIMITS[scope];
+    if (limit > 0) {
+      const used = await store.get(`audio:${scope}:${id}`, DAY_MS);
+      usages.push(usage(limit, used, DAY_MS, scope));
+    }
+  }
+  return tightest(usages, entry => entry.used >= entry.limit);
+}
+
+// Check a request against its route's limits (and, for voice, the audio
+// quota). Resolves to { headers, rejection }; rejection is null when the
+// request may go ahead, or the 429 body plus Retry-After otherwise.
+// A store that can't be reached lets requests through rather than failing them.
+export async function checkLimits(route, caller) {
+  let requests;
+  let audio = null;
+  try {
+    requests = await takeRequest(route, caller);
+    if (route === 'voice') {
+      audio = await peekAudioQuota(caller);
+    }
+  } catch (error) {
+    logger.warn('Rate limit store unavailable - letting the request through', { component: 'rate-limits', store: store.name, error });
+    return { headers: {}, rejection: null };
+  }
+
+  const headers = {};
+  if (requests) {
+    headers['X-RateLimit-Limit'] = String(requests.limit);
+    headers['X-RateLimit-Remaining'] = String(requests.remaining);
+    headers['X-RateLimit-Reset'] = String(requests.reset_s);
+  }
+  if (audio) {
+    headers['X-Audio-Quota-Limit'] = String(audio.limit);
+    headers['X-Audio-Quota-Remaining'] = String(audio.remaining);
+    headers['X-Audio-Quota-Reset'] = String(audio.reset_s);
+  }
+
+  let rejection = null;
+  if (requests && requests.used > requests.limit) {
+    countRateLimited(route, 'requests', requests.scope);
+    rejection = {
+      retry_after_s: requests.reset_s,
+      body: {
+        success: false,
+        error: 'Rate limit exceeded',
+        message: `Too many ${route} requests - at most ${requests.limit} per minute per ${requests.scope === 'ip' ? 'client address' : 'user'}`,
+        limit: requests.limit,
+        scope: requests.scope,
+        retry_after_s: requests.reset_s
+      }
+    };
+  } else if (audio && audio.used >= audio.limit) {
+    countRateLimited(route, 'audio_seconds', audio.scope);
+    rejection = {
+      retry_after_s: audio.reset_s,
+      body: {
+        success: false,
+        error: 'Audio quota exceeded',
+        message: `Daily audio quota of ${audio.limit} seconds per ${audio.scope === 'ip' ? 'client address' : 'user'} is used up`,
+        limit: audio.limit,
+        scope: audio.scope,
+        retry_after_s: audio.reset_s
+      }
+    };
+  }
+
+  return { headers, rejection };
+}
+
+// Express middleware for a route group. Goes after requireAuth, and before
+// the upload is read so an over-limit caller's file is never stored.
+export function rateLimit(route) {
+  return async (req, res, next) => {
+    const { headers, rejection } = await checkLimits(route, { userId: req.caller?.user_id, ip: req.ip });
+    res.set(headers);
+
+    if (rejection) {
+      req.log.info('Rate limited', { route, error: rejection.body.error, scope: rejection.body.scope });
+      res.set('Retry-After', String(rejection.retry_after_s));
+      return res.status(429).json({ ...rejection.body, request_id: req.id });
+    }
+    next();
+  };
+}
+
+// Charge audio that went to the transcription backend against the daily quotas
+export async function chargeAudioSeconds(caller, seconds) {
+  if (!(seconds > 0)) {
+    return;
+  }
+
+  try {
+    for (const [scope, id] of subjectsOf(caller)) {
+      if (AUDIO_LIMITS[scope] > 0) {
+        await store.add(`audio:${scope}:${id}`, DAY_MS, seconds);
+      }
+    }
+  } catch (error) {
+    logger.warn('Could not charge audio quota', { component: 'rate-limits', store: store.name, error });
+  }
+}
@@ -0,0 +1,105 @@
+import { pool } from './db.js';
+import { envNumber } from './env.js';
+
+function isRatio(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+// Every per-user setting with its server default and validation.
+// Keys double as column names in user_settings.
+const SETTINGS = {
+  // Fuzzy matches at or above this confidence run the workflow straight away
+  match_execute_threshold: {
+    default: envNumber('MATCH_EXECUTE_THRESHOLD', 0.85),
+    validate: isRatio,
+    description: 'a number between 0 and 1'
+  },
+  // Between this and the execute threshold the user is asked to confirm
+  match_confirm_threshold: {
+    default: envNumber('MATCH_CONFIRM_THRESHOLD', 0.65),
+    validate: isRatio,
+    description: 'a number between 0 and 1'
+  },
+  // Matches this close to the best one make the user choose between them
+  match_ambiguity_margin: {
+    default: envNumber('MATCH_AMBIGUITY_MARGIN', 0.05),
+    validate: value => typeof value === 'number' && value >= 0 && value <= 0.5,
+    description: 'a number between 0 and 0.5'
+  },
+  // Invocation history older than this many days is deleted
+  history_retention_days: {
+    default: envNumber('HISTORY_RETENTION_DAYS', 30),
+    validate: value => Number.isInteger(value) && value >= 1 && value <= 3650,
+    description: 'a whole number of days between 1 and 3650'
+  },
+  // Only the newest entries are kept; 0 turns history off for the user
+  history_max_entries: {
+    default: envNumber('HISTORY_MAX_ENTRIES', 1000),
+    validate: value => Number.isInteger(value) && value >= 0 && value <= 100000,
+    description: 'a whole number between 0 and 100000'
+  }
+};
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default])
+);
+
+function settingsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SETTINGS';
+  return error;
+}
+
+// Resolve a user's settings, filling gaps with server defaults
+export async function getUserSettings(userId) {
+  const result = await pool.query('SELECT * FROM user_settings WHERE user_id = $1', [userId]);
+  const row = result.rows[0] || {};
+
+  const settings = {};
+  for (const key of Object.keys(SETTINGS)) {
+    settings[key] = row[key] ?? DEFAULT_SETTINGS[key];
+  }
+  return settings;
+}
+
+// Validate and store a partial update. A null value resets a setting to its default.
+export async function updateUserSettings(userId, changes) {
+  const keys = Object.keys(changes || {});
+
+  if (keys.length === 0) {
+    throw settingsError('No settings provided');
+  }
+
+  for (const key of keys) {
+    const setting = SETTINGS[key];
+    if (!setting) {
+      throw settingsError(`Unknown setting: ${key}`);
+    }
+    if (changes[key] !== null && !setting.validate(changes[key])) {
+      throw settingsError(`${key} must be ${setting.description}`);
+    }
+  }
+
+  const merged = { ...(await getUserSettings(userId)) };
+  for (const key of keys) {
+    merged[key] = changes[key] ?? DEFAULT_SETTINGS[key];
+  }
+
+  if (merged.match_confirm_threshold > merged.match_execute_threshold) {
+    throw settingsError('match_confirm_threshold cannot be higher than match_execute_threshold');
+  }
+
+  // Keys are checked against SETTINGS above, so they are safe to use as column names
+  const columns = keys.join(', ');
+  const placeholders = keys.map((_, index) => `$${index + 2}`).join(', ');
+  const updates = keys.map(key => `${key} = EXCLUDED.${key}`).join(', ');
+
+  await pool.query(
+    `INSERT INTO user_settings (user_id, ${columns}, updated_at)
+     VALUES ($1, ${placeholders}, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET ${updates}, updated_at = NOW()`,
+    [userId, ...keys.map(key => changes[key])]
+  );
+
+  return merged;
+}
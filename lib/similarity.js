@@ -0,0 +1,156 @@
+// Similarity scoring for spoken commands. All inputs are expected to be
+// cleaned already (lowercase, no punctuation, single spaces).
+
+// Words Whisper adds or drops freely that rarely change what the user meant
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'my', 'please', 'uh', 'um']);
+
+const WEIGHTS = {
+  edit: 0.4,
+  tokens: 0.35,
+  phonetic: 0.25
+};
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function ratio(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Character-level similarity. Comparing without spaces as well means
+// "in box" and "inbox" count as the same text.
+export function editSimilarity(a, b) {
+  return Math.max(ratio(a, b), ratio(a.replace(/ /g, ''), b.replace(/ /g, '')));
+}
+
+// Join neighbouring tokens in `tokens` when the joined word appears in `other`
+// and the pieces do not ("in" + "box" -> "inbox")
+function mergeCompounds(tokens, other) {
+  const otherSet = new Set(other);
+  const merged = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const joined = tokens[i] + (tokens[i + 1] ?? '');
+    if (i + 1 < tokens.length && otherSet.has(joined) && !otherSet.has(tokens[i]) && !otherSet.has(tokens[i + 1])) {
+      merged.push(joined);
+      i++;
+    } else {
+      merged.push(tokens[i]);
+    }
+  }
+
+  return merged;
+}
+
+function dice(aTokens, bTokens) {
+  if (aTokens.length === 0 && bTokens.length === 0) return 1;
+
+  const remaining = [...bTokens];
+  let shared = 0;
+  for (const token of aTokens) {
+    const index = remaining.indexOf(token);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+
+  return (2 * shared) / (aTokens.length + bTokens.length);
+}
+
+// Word-level overlap, ignoring filler words when that helps
+export function tokenSimilarity(a, b) {
+  let aTokens = a.split(' ').filter(Boolean);
+  let bTokens = b.split(' ').filter(Boolean);
+
+  aTokens = mergeCompounds(aTokens, bTokens);
+  bTokens = mergeCompounds(bTokens, aTokens);
+
+  const withFillers = dice(aTokens, bTokens);
+  const withoutFillers = dice(
+    aTokens.filter(token => !FILLER_WORDS.has(token)),
+    bTokens.filter(token => !FILLER_WORDS.has(token))
+  );
+
+  return Math.max(withFillers, withoutFillers);
+}
+
+// Simplified Metaphone-style key for one word: similar-sounding spellings
+// ("fone"/"phone", "nite"/"night") map to the same consonant skeleton
+export function phoneticKey(word) {
+  let key = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!key) return '';
+
+  key = key
+    .replace(/^kn|^gn|^pn|^wr/, match => match[1])
+    .replace(/^x/, 's')
+    .replace(/^wh/, 'w')
+    .replace(/mb$/, 'm')
+    .replace(/ph/g, 'f')
+    .replace(/gh(?=[^aeiou]|$)/g, '')
+    .replace(/dg(?=[eiy])/g, 'j')
+    .replace(/tch/g, 'ch')
+    .replace(/sch/g, 'sk')
+    .replace(/c(?=[iey])/g, 's')
+    .replace(/ck/g, 'k')
+    .replace(/c/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 's')
+    .replace(/v/g, 'f')
+    .replace(/th/g, '0')
+    .replace(/sh/g, 'x')
+    .replace(/ch/g, 'x');
+
+  // Keep the first letter, drop later vowels and collapse repeated letters
+  const first = key[0];
+  const rest = key.slice(1).replace(/[aeiouyhw]/g, '');
+  return (first + rest).replace(/(.)\1+/g, '$1');
+}
+
+// null when either side has no key (phoneticKey only reads Latin letters),
+// since two empty keys say nothing about how the phrases sound
+export function phoneticSimilarity(a, b) {
+  const keyA = a.split(' ').map(phoneticKey).join('');
+  const keyB = b.split(' ').map(phoneticKey).join('');
+  return keyA && keyB ? ratio(keyA, keyB) : null;
+}
+
+// Weighted similarity between two cleaned phrases, from 0 (unrelated) to 1 (identical).
+// Without a phonetic score the other two components share its weight.
+export function scoreSimilarity(a, b) {
+  if (a === b) {
+    return { score: 1, edit: 1, tokens: 1, phonetic: 1 };
+  }
+
+  const edit = editSimilarity(a, b);
+  const tokens = tokenSimilarity(a, b);
+  const phonetic = phoneticSimilarity(a, b);
+  const score = phonetic === null
+    ? (WEIGHTS.edit * edit + WEIGHTS.tokens * tokens) / (WEIGHTS.edit + WEIGHTS.tokens)
+    : WEIGHTS.edit * edit + WEIGHTS.tokens * tokens + WEIGHTS.phonetic * phonetic;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    edit: Math.round(edit * 1000) / 1000,
+    tokens: Math.round(tokens * 1000) / 1000,
+    phonetic: phonetic === null ? null : Math.round(phonetic * 1000) / 1000
+  };
+}
@@ -0,0 +1,254 @@
+import { cleanTranscribedText, extractParameterWithCasingAndPunctuation } from './text.js';
+import { DEFAULT_RULES } from './normalization.js';
+import { PARAMETER_TYPES } from './parameterTypes.js';
+
+// Command templates name their parameters in braces: "send {message} to {contact}"
+const SLOT_PATTERN = /\{([^{}]*)\}/g;
+const SLOT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export function isTemplate(commandName) {
+  return typeof commandName === 'string' && /\{[^{}]*\}/.test(commandName);
+}
+
+function templateError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TEMPLATE';
+  return error;
+}
+
+// Split a template into literal and slot segments, validating slot names
+export function parseTemplate(template) {
+  const segments = [];
+  const slots = [];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(SLOT_PATTERN)) {
+    const name = match[1].trim();
+
+    if (!SLOT_NAME_PATTERN.test(name)) {
+      throw templateError(`Invalid parameter name "{${match[1]}}" - use letters, digits and underscores`);
+    }
+    if (slots.includes(name)) {
+      throw templateError(`Parameter "{${name}}" is used more than once`);
+    }
+
+    if (match.index > lastIndex) {
+      segments.push({ type: 'literal', text: template.substring(lastIndex, match.index) });
+    }
+    segments.push({ type: 'slot', name });
+    slots.push(name);
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < template.length) {
+    segments.push({ type: 'literal', text: template.substring(lastIndex) });
+  }
+
+  if (segments.some(segment => segment.type === 'literal' && /[{}]/.test(segment.text))) {
+    throw templateError('Unbalanced "{" or "}" in command template');
+  }
+
+  return { segments, slots };
+}
+
+// Validate a template before it is saved. Slots must be separated by spoken
+// words, otherwise there is no way to tell where one value ends and the next begins.
+export function validateTemplate(template) {
+  const parsed = parseTemplate(template);
+
+  if (parsed.slots.length === 0) {
+    return parsed;
+  }
+
+  const literals = parsed.segments.filter(segment => segment.type === 'literal');
+  if (!literals.some(segment => cleanTranscribedText(segment.text, []))) {
+    throw templateError('Command template needs at least one word besides its parameters');
+  }
+
+  for (let i = 1; i < parsed.segments.length; i++) {
+    const previous = parsed.segments[i - 1];
+    const current = parsed.segments[i];
+    const next = parsed.segments[i + 1];
+
+    if (previous.type === 'slot' && current.type === 'slot') {
+      throw templateError(`Parameters "{${previous.name}}" and "{${current.name}}" must be separated by at least one word`);
+    }
+    if (previous.type === 'slot' && current.type === 'literal' && next?.type === 'slot' && !cleanTranscribedText(current.text, [])) {
+      throw templateError(`Parameters "{${previous.name}}" and "{${next.name}}" must be separated by at least one word`);
+    }
+  }
+
+  return parsed;
+}
+
+// Turn the old single-parameter format (parameter_name appears literally inside
+// command_name) into template segments, using the same cleaned prefix/suffix split.
+// Only folding is applied here; the rules run when the segments are compiled.
+function legacySegments(commandName, parameterName) {
+  const cleanedCommand = cleanTranscribedText(commandName, []);
+  const cleanedParam = cleanTranscribedText(parameterName, []);
+  const paramIndex = cleanedCommand.indexOf(cleanedParam);
+
+  if (!cleanedParam || paramIndex === -1) {
+    throw templateError(`Parameter "${parameterName}" not found in command "${commandName}"`);
+  }
+
+  const segments = [];
+  const prefix = cleanedCommand.substring(0, paramIndex);
+  const suffix = cleanedCommand.substring(paramIndex + cleanedParam.length);
+
+  if (prefix) {
+    segments.push({ type: 'literal', text: prefix });
+  }
+  segments.push({ type: 'slot', name: parameterName });
+  if (suffix) {
+    segments.push({ type: 'literal', text: suffix });
+  }
+
+  return { segments, slots: [parameterName] };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a saved command row into a regular expression over cleaned text.
+// Each slot becomes a greedy capture group; literal words are cleaned with the
+// same normalization rules as the user's input so punctuation, casing and the
+// way numbers or contractions are spoken never affect matching.
+export function compileCommandTemplate(command, rules = DEFAULT_RULES) {
+  const { segments, slots } = isTemplate(command.command_name)
+    ? parseTemplate(command.command_name)
+    : legacySegments(command.command_name, command.parameter_name || '');
+
+  const pieces = segments
+    .map(segment => segment.type === 'slot'
+      ? { type: 'slot', name: segment.name }
+      : {
+          type: 'literal',
+          cleaned: cleanTranscribedText(segment.text, rules),
+          leadingSpace: /^\s/.test(segment.text),
+          trailingSpace: /\s$/.test(segment.text)
+        })
+    .filter(piece => piece.type === 'slot' || piece.cleaned);
+
+  let source = '';
+  pieces.forEach((piece, index) => {
+    const previous = pieces[index - 1];
+    if (previous && (previous.trailingSpace || piece.leadingSpace)) {
+      source += ' ';
+    }
+    source += piece.type === 'slot' ? '(.+)' : escapeRegExp(piece.cleaned);
+  });
+
+  return {
+    slots,
+    pieces,
+    rules,
+    regex: new RegExp(`^${source}$`, 'd')
+  };
+}
+
+// Match cleaned user input against a compiled template. Returns the slot values
+// with the casing and punctuation of the original transcript, or null.
+export function matchTemplate(compiled, cleanedInput, originalInput, requestId) {
+  const match = compiled.regex.exec(cleanedInput);
+
+  if (!match) {
+    return null;
+  }
+
+  const parameters = {};
+
+  for (let i = 0; i < compiled.slots.length; i++) {
+    const captured = match[i + 1];
+    const [captureStart] = match.indices[i + 1];
+    const basicValue = captured.trim();
+
+    if (!basicValue) {
+      return null;
+    }
+
+    const start = captureStart + (captured.length - captured.trimStart().length);
+    const enhancedValue = extractParameterWithCasingAndPunctuation(originalInput, basicValue, requestId, start, compiled.rules);
+
+    parameters[compiled.slots[i]] = enhancedValue || basicValue;
+  }
+
+  return parameters;
+}
+
+// Derive the stored parameter columns for a command about to be saved.
+// Templates carry their own slots; the legacy format names one parameter
+// that must appear literally in command_name. Types come from parameter_types
+// ({ slot: type }) or, for single-parameter commands, parameter_type.
+export function buildCommandDefinition({ command_name, has_parameter, parameter_name, parameter_type, parameter_types }) {
+  let slots;
+  if (isTemplate(command_name)) {
+    slots = validateTemplate(command_name).slots;
+  } else if (has_parameter) {
+    if (!parameter_name) {
+      throw templateError('parameter_name is required when has_parameter is true');
+    }
+    legacySegments(command_name, parameter_name);
+    slots = [parameter_name];
+  } else {
+    slots = [];
+  }
+
+  const types = resolveParameterTypes(slots, parameter_type, parameter_types);
+
+  return {
+    has_parameter: slots.length > 0,
+    parameter_name: isTemplate(command_name) ? (slots.length === 1 ? slots[0] : null) : (slots[0] ?? null),
+    parameters: slots.map(name => ({ name, type: types[name] }))
+  };
+}
+
+function resolveParameterTypes(slots, parameterType, parameterTypes) {
+  const types = {};
+
+  if (parameterTypes !== undefined && parameterTypes !== null) {
+    if (typeof parameterTypes !== 'object' || Array.isArray(parameterTypes)) {
+      throw templateError('parameter_types must be an object mapping parameter names to types');
+    }
+    Object.assign(types, parameterTypes);
+  }
+
+  if (parameterType !== undefined && parameterType !== null) {
+    if (slots.length !== 1) {
+      throw templateError('parameter_type can only be used with exactly one parameter - use parameter_types instead');
+    }
+    types[slots[0]] = parameterType;
+  }
+
+  for (const [name, type] of Object.entries(types)) {
+    if (!slots.includes(name)) {
+      throw templateError(`parameter_types names "${name}", which is not a parameter of this command`);
+    }
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw templateError(`Unknown parameter type "${type}" for "${name}" (expected one of: ${PARAMETER_TYPES.join(', ')})`);
+    }
+  }
+
+  return Object.fromEntries(slots.map(name => [name, types[name] || 'text']));
+}
+
+// Check that an alias phrase can stand in for a command: it must declare
+// exactly the same {slots} so the workflow receives the same parameters.
+export function validateAliasPhrase(command, phrase) {
+  if (typeof phrase !== 'string' || !cleanTranscribedText(phrase, [])) {
+    throw templateError('Alias phrases must be non-empty strings');
+  }
+
+  const aliasSlots = isTemplate(phrase) ? validateTemplate(phrase).slots : [];
+  const commandSlots = (command.parameters || []).map(param => param.name);
+
+  const missing = commandSlots.filter(slot => !aliasSlots.includes(slot));
+  const extra = aliasSlots.filter(slot => !commandSlots.includes(slot));
+
+  if (missing.length > 0 || extra.length > 0) {
+    const expected = commandSlots.length > 0 ? commandSlots.map(slot => `{${slot}}`).join(', ') : 'no parameters';
+    throw templateError(`Alias "${phrase}" must use the same parameters as "${command.command_name}" (${expected})`);
+  }
+}
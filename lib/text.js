@@ -0,0 +1,78 @@
+import { normalizeText, DEFAULT_RULES } from './normalization.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'text' });
+
+// Clean transcribed text for matching: no punctuation, lowercase, accents folded,
+// then the user's normalization rules (see normalization.js)
+export function cleanTranscribedText(text, rules = DEFAULT_RULES) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+  
+  return normalizeText(text, rules).text;
+}
+
+// Function to check if character is punctuation (any Unicode punctuation class)
+export function isPunctuation(char) {
+  return /^\p{P}$/u.test(char);
+}
+
+// FIXED: Enhanced fuzzy parameter extraction function
+// cleanedStartIndex pins the parameter to a known position in the cleaned text,
+// which matters when the same words appear more than once (multi-slot templates).
+// rules must be the ones the text was cleaned with.
+export function extractParameterWithCasingAndPunctuation(originalText, extractedParameter, requestId, cleanedStartIndex = null, rules = DEFAULT_RULES) {
+  const og = originalText;
+  const normalized = normalizeText(og, rules);
+  const cleanedOgText = normalized.text;
+  const raw = extractedParameter.toLowerCase();
+  
+  if (raw.length === 0 || cleanedOgText.length === 0) {
+    log.debug('Parameter extraction skipped: empty input or parameter', { request_id: requestId });
+    return null;
+  }
+  
+  // STEP 1: Find where the extracted parameter appears in the cleaned text
+  const paramStartInCleaned = cleanedStartIndex !== null && cleanedOgText.startsWith(raw, cleanedStartIndex)
+    ? cleanedStartIndex
+    : cleanedOgText.indexOf(raw);
+  
+  if (paramStartInCleaned === -1) {
+    log.debug('Parameter not found in cleaned text', { request_id: requestId, parameter: raw, cleaned_input: cleanedOgText });
+    return null;
+  }
+  
+  const paramEndInCleaned = paramStartInCleaned + raw.length - 1;
+  
+  // STEP 2: Map cleaned positions back to original text positions.
+  // Every cleaned character remembers the span of the original it came from,
+  // so folded accents, full-width forms, dropped punctuation and rewritten
+  // words ("25" from "twenty-five") all map back
+  const originalStartIndex = normalized.starts[paramStartInCleaned] ?? -1;
+  const originalEndIndex = paramEndInCleaned < normalized.ends.length ? normalized.ends[paramEndInCleaned] - 1 : -1;
+  
+  if (originalStartIndex === -1 || originalEndIndex === -1) {
+    log.warn('Could not map parameter positions to the original text', {
+      request_id: requestId,
+      cleaned_start: paramStartInCleaned,
+      cleaned_end: paramEndInCleaned
+    });
+    return null;
+  }
+  
+  // Extract parameter with original punctuation and casing
+  const enhancedParameter = og.substring(originalStartIndex, originalEndIndex + 1);
+  
+  log.debug('Extracted parameter', {
+    request_id: requestId,
+    input: originalText,
+    parameter: enhancedParameter,
+    cleaned_start: paramStartInCleaned,
+    cleaned_end: paramEndInCleaned,
+    original_start: originalStartIndex,
+    original_end: originalEndIndex
+  });
+  
+  return enhancedParameter;
+}
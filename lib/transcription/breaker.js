@@ -0,0 +1,103 @@
+import { transcriptionError } from './http.js';
+
+// Circuit breaker around the transcription backend.
+//   closed    - requests flow; consecutive failures are counted
+//   open      - requests fail fast until resetTimeoutMs has passed
+//   half_open - one trial request decides between closed and open again
+// It also keeps recent outcomes so /health can report an error rate.
+export function createCircuitBreaker({ failureThreshold = 5, resetTimeoutMs = 30000, windowMs = 5 * 60 * 1000 } = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  const outcomes = [];
+
+  function record(ok) {
+    const now = Date.now();
+    outcomes.push({ at: now, ok });
+    while (outcomes.length > 0 && now - outcomes[0].at > windowMs) {
+      outcomes.shift();
+    }
+  }
+
+  function open() {
+    state = 'open';
+    openedAt = Date.now();
+  }
+
+  return {
+    // Throws CIRCUIT_OPEN instead of letting a request through while the backend is down
+    beforeRequest() {
+      if (state === 'open') {
+        const retryAt = openedAt + resetTimeoutMs;
+        if (Date.now() < retryAt) {
+          const error = transcriptionError('Transcription service is unavailable - not retrying until it recovers', { code: 'CIRCUIT_OPEN', status: 503 });
+          error.retry_after_ms = retryAt - Date.now();
+          throw error;
+        }
+        state = 'half_open';
+      }
+
+      if (state === 'half_open') {
+        if (trialInFlight) {
+          const error = transcriptionError('Transcription service is recovering - try again shortly', { code: 'CIRCUIT_OPEN', status: 503 });
+          error.retry_after_ms = 1000;
+          throw error;
+        }
+        trialInFlight = true;
+      }
+    },
+
+    onSuccess() {
+      record(true);
+      consecutiveFailures = 0;
+      trialInFlight = false;
+      state = 'closed';
+      openedAt = null;
+    },
+
+    // trip = false for failures that prove the backend is up (it rejected this
+    // particular request); they count toward the error rate only
+    onFailure(trip = true) {
+      record(false);
+      trialInFlight = false;
+
+      if (!trip) {
+        consecutiveFailures = 0;
+        state = 'closed';
+        openedAt = null;
+        return;
+      }
+
+      consecutiveFailures++;
+      if (state === 'half_open' || consecutiveFailures >= failureThreshold) {
+        open();
+      }
+    },
+
+    // For requests that ended without telling us anything about the backend (cancelled)
+    onIgnored() {
+      trialInFlight = false;
+    },
+
+    status() {
+      const now = Date.now();
+      const recent = outcomes.filter(outcome => now - outcome.at <= windowMs);
+      const failures = recent.filter(outcome => !outcome.ok).length;
+
+      return {
+        state,
+        consecutive_failures: consecutiveFailures,
+        failure_threshold: failureThreshold,
+        opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+        retry_at: state === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+        error_rate: {
+          window_ms: windowMs,
+          requests: recent.length,
+          failures,
+          rate: recent.length > 0 ? Math.round((failures / recent.length) * 1000) / 1000 : 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import fetch from 'node-fetch';
+import { logger } from '../logger.js';
+import { envInt } from '../env.js';
+
+// node-fetch v3 ignores a `timeout` option, so every request gets a real deadline
+export const TRANSCRIPTION_TIMEOUT_MS = envInt('TRANSCRIPTION_TIMEOUT_MS', 30000);
+const HEALTH_TIMEOUT_MS = envInt('TRANSCRIPTION_HEALTH_TIMEOUT_MS', 2000);
+
+// Answers that mean "try again shortly" rather than "this request is wrong"
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'TRANSCRIPTION_TIMEOUT'];
+
+export function transcriptionError(message, { code = 'TRANSCRIPTION_FAILED', status = null, transient = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.transient = transient;
+  return error;
+}
+
+export function isTransient(error) {
+  return Boolean(error.transient) || TRANSIENT_CODES.includes(error.code);
+}
+
+// Providers add their own context to the message but keep code/status/transient,
+// which the retry and circuit breaker logic rely on
+export function wrapProviderError(error, message) {
+  error.message = `${message}: ${error.message}`;
+  return error;
+}
+
+// fetch with a deadline, and hand the response to readResponse before the
+// deadline ends, so a body that stalls after the headers times out too.
+// The caller's signal (a cancelled job) aborts as well, but is reported as a
+// cancellation rather than a timeout.
+async function fetchWithDeadline(url, options, { timeout, signal }, readResponse) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    return await readResponse(response);
+  } catch (error) {
+    if (signal?.aborted) {
+      throw transcriptionError('Request cancelled', { code: 'ABORT_ERR' });
+    }
+    if (error.name === 'AbortError') {
+      throw transcriptionError(`No answer within ${timeout}ms`, { code: 'TRANSCRIPTION_TIMEOUT', transient: true });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// Shared by the HTTP-based providers: POST a multipart form and return the
+// parsed JSON body, turning non-2xx answers into errors with the server's message.
+// The request id travels as X-Request-ID so the backend's logs line up with ours.
+export async function postForm(url, formData, { requestId, label, headers = {}, timeout = TRANSCRIPTION_TIMEOUT_MS, signal }) {
+  const log = logger.child({ component: label, request_id: requestId });
+  log.debug('Sending transcription request', { url, deadline_ms: timeout });
+
+  const requestHeaders = { ...formData.getHeaders(), ...headers };
+  if (requestId) {
+    requestHeaders['X-Request-ID'] = requestId;
+  }
+
+  return fetchWithDeadline(url, {
+    method: 'POST',
+    body: formData,
+    headers: requestHeaders
+  }, { timeout, signal }, async response => {
+    log.debug('Transcription backend answered', { status: response.status });
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        errorData = await response.json();
+      } catch (parseError) {
+        if (parseError.name === 'AbortError') {
+          throw parseError;
+        }
+        errorData = { error: 'Unknown error' };
+      }
+      log.error('Transcription backend returned an error', { status: response.status, status_text: response.statusText, response: errorData });
+
+      throw transcriptionError(`${label} error (${response.status}): ${JSON.stringify(errorData)}`, {
+        status: response.status,
+        transient: TRANSIENT_STATUSES.includes(response.status)
+      });
+    }
+
+    return response.json();
+  });
+}
+
+// GET a health URL; resolves to { ok, status, body } and never throws for HTTP errors
+export async function getHealth(url, { headers = {}, timeout = HEALTH_TIMEOUT_MS } = {}) {
+  return fetchWithDeadline(url, { headers }, { timeout }, async response => {
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Some servers answer health checks with plain text; a stalled body is still a timeout
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+    }
+    return { ok: response.ok, status: response.status, body };
+  });
+}
+
+export function assertAudioFile(audioFilePath, requestId, label) {
+  if (!fs.existsSync(audioFilePath)) {
+    throw transcriptionError(`Audio file not found: ${audioFilePath}`, { code: 'AUDIO_NOT_FOUND' });
+  }
+
+  const fileStats = fs.statSync(audioFilePath);
+  logger.debug('Audio file ready to send', { component: label, request_id: requestId, size: fileStats.size, path: audioFilePath });
+}
+
+// Explain the usual network failures in the log before they bubble up
+export function logTransportError(error, requestId, label, hint) {
+  const fields = { component: label, request_id: requestId, error };
+
+  if (error.code === 'ECONNREFUSED') {
+    logger.error('Connection refused - transcription server is not running', { ...fields, hint });
+  } else if (error.code === 'TRANSCRIPTION_TIMEOUT') {
+    logger.error('Request timed out - transcription server too slow', fields);
+  } else {
+    logger.error('Transcription request failed', fields);
+  }
+}
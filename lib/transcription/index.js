@@ -0,0 +1,122 @@
+import { createWhisperServerProvider } from './whisperServer.js';
+import { createOpenAIProvider } from './openai.js';
+import { createWhisperCppProvider } from './whisperCpp.js';
+import { createStubProvider } from './stub.js';
+import { createCircuitBreaker } from './breaker.js';
+import { isTransient, transcriptionError } from './http.js';
+import { logger } from '../logger.js';
+import { envInt } from '../env.js';
+import { countTranscriptionError } from '../metrics.js';
+
+// Every provider implements the same shape:
+//   name, url, capabilities
+//   transcribe(audioFilePath, { requestId, signal, language }) -> { success, transcription, language, confidence, processing_time_ms, message }
+//   health() -> { status: 'ready' | 'not_ready', details }
+const PROVIDERS = {
+  'whisper-server': createWhisperServerProvider,
+  openai: createOpenAIProvider,
+  'whisper-cpp': createWhisperCppProvider,
+  stub: createStubProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Extra attempts after the first one, for transient failures only
+const TRANSCRIPTION_RETRIES = envInt('TRANSCRIPTION_RETRIES', 2);
+const RETRY_BASE_MS = envInt('TRANSCRIPTION_RETRY_BASE_MS', 300);
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(transcriptionError('Request cancelled', { code: 'ABORT_ERR' }));
+    }, { once: true });
+  });
+}
+
+// Exponential backoff with full jitter: 0..300ms, 0..600ms, ...
+function backoffDelay(attempt) {
+  return Math.round(Math.random() * RETRY_BASE_MS * 2 ** attempt);
+}
+
+// Wrap a provider so every transcription goes through the circuit breaker and
+// transient failures (connection refused, timeouts, 5xx, 429) are retried.
+// Errors that reach the caller carry `status`: 503 while the backend is down,
+// 504 when it kept timing out.
+function withResilience(provider) {
+  const breaker = createCircuitBreaker({
+    failureThreshold: envInt('TRANSCRIPTION_BREAKER_THRESHOLD', 5),
+    resetTimeoutMs: envInt('TRANSCRIPTION_BREAKER_RESET_MS', 30000),
+    windowMs: envInt('TRANSCRIPTION_ERROR_WINDOW_MS', 5 * 60 * 1000)
+  });
+
+  return {
+    ...provider,
+    breaker,
+
+    async transcribe(audioFilePath, options) {
+      const { requestId, signal } = options;
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          breaker.beforeRequest();
+        } catch (error) {
+          countTranscriptionError(provider.name, error);
+          throw error;
+        }
+
+        try {
+          const result = await provider.transcribe(audioFilePath, options);
+          breaker.onSuccess();
+          return result;
+        } catch (error) {
+          if (signal?.aborted || error.code === 'ABORT_ERR' || error.code === 'AUDIO_NOT_FOUND') {
+            breaker.onIgnored();
+            throw error;
+          }
+          const transient = isTransient(error);
+          breaker.onFailure(transient);
+          countTranscriptionError(provider.name, error);
+
+          if (!transient) {
+            throw error;
+          }
+          if (attempt >= TRANSCRIPTION_RETRIES || breaker.status().state === 'open') {
+            error.status = error.code === 'TRANSCRIPTION_TIMEOUT' ? 504 : 503;
+            throw error;
+          }
+
+          const delay = backoffDelay(attempt);
+          logger.warn('Transcription attempt failed - retrying', {
+            component: 'transcription',
+            request_id: requestId,
+            attempt: attempt + 1,
+            reason: error.code || error.status,
+            retry_in_ms: delay
+          });
+          await sleep(delay, signal);
+        }
+      }
+    }
+  };
+}
+
+// Pick the backend named by TRANSCRIPTION_PROVIDER (default: the FastAPI Whisper server)
+export function createTranscriptionProvider(name = process.env.TRANSCRIPTION_PROVIDER || 'whisper-server') {
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return withResilience(factory());
+}
+
+// Health that never throws: an unreachable backend is reported, not raised
+export async function checkProviderHealth(provider) {
+  try {
+    return await provider.health();
+  } catch (error) {
+    return { status: 'unreachable', details: { error: error.message } };
+  }
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import FormData from 'form-data';
+import { logger } from '../logger.js';
+import { postForm, getHealth, assertAudioFile, logTransportError, wrapProviderError } from './http.js';
+
+const LABEL = 'OpenAI Transcription';
+
+// Average per-segment probability, when the server returns verbose_json segments
+function segmentConfidence(segments) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return null;
+  }
+  const probabilities = segments
+    .map(segment => segment.avg_logprob)
+    .filter(Number.isFinite)
+    .map(logprob => Math.exp(logprob));
+
+  return probabilities.length > 0
+    ? probabilities.reduce((sum, probability) => sum + probability, 0) / probabilities.length
+    : null;
+}
+
+// Any service implementing OpenAI's POST /audio/transcriptions: OpenAI itself,
+// faster-whisper-server, LocalAI, Groq and similar
+export function createOpenAIProvider({
+  baseUrl = process.env.OPENAI_TRANSCRIPTION_URL || 'https://api.openai.com/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+  language: defaultLanguage = process.env.TRANSCRIPTION_LANGUAGE
+} = {}) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    url: baseUrl,
+    capabilities: {
+      accepted_formats: ['flac', 'm4a', 'mp3', 'mp4', 'mpeg', 'mpga', 'oga', 'ogg', 'wav', 'webm'],
+      language_detection: true,
+      confidence: true,
+      streaming: false,
+      model
+    },
+
+    // language: a per-request hint (ISO 639-1) that overrides TRANSCRIPTION_LANGUAGE
+    async transcribe(audioFilePath, { requestId, signal, language: requestedLanguage }) {
+      const startTime = Date.now();
+      const language = requestedLanguage || defaultLanguage;
+      try {
+        assertAudioFile(audioFilePath, requestId, LABEL);
+
+        // The API infers the format from the file name, so keep the extension
+        const formData = new FormData();
+        formData.append('file', fs.createReadStream(audioFilePath), { filename: path.basename(audioFilePath) });
+        formData.append('model', model);
+        formData.append('response_format', 'verbose_json');
+        if (language) {
+          formData.append('language', language);
+        }
+
+        const result = await postForm(`${baseUrl}/audio/transcriptions`, formData, { requestId, label: LABEL, headers, signal });
+        const transcription = (result.text || '').trim();
+
+        logger.debug('Received transcription', { component: LABEL, request_id: requestId, transcription, language: result.language });
+
+        return {
+          success: true,
+          transcription,
+          language: result.language ?? language ?? null,
+          confidence: segmentConfidence(result.segments),
+          processing_time_ms: Date.now() - startTime
+        };
+      } catch (error) {
+        logTransportError(error, requestId, LABEL, `Check OPENAI_TRANSCRIPTION_URL (${baseUrl})`);
+        throw wrapProviderError(error, 'Failed to transcribe audio');
+      }
+    },
+
+    // Listing models is the cheapest authenticated call these servers offer
+    async health() {
+      const { ok, status } = await getHealth(`${baseUrl}/models`, { headers });
+      return {
+        status: ok ? 'ready' : 'not_ready',
+        details: { http_status: status, model }
+      };
+    }
+  };
+}
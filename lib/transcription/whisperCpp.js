@@ -0,0 +1,66 @@
+import fs from 'fs';
+import FormData from 'form-data';
+import { logger } from '../logger.js';
+import { postForm, getHealth, assertAudioFile, logTransportError, wrapProviderError } from './http.js';
+
+const LABEL = 'whisper.cpp';
+
+// whisper.cpp's example HTTP server (`whisper-server -m model.bin`): POST /inference.
+// Unless it was started with --convert it only accepts 16-bit WAV.
+export function createWhisperCppProvider({
+  url = process.env.WHISPER_CPP_SERVER || 'http://localhost:8080',
+  language: defaultLanguage = process.env.TRANSCRIPTION_LANGUAGE
+} = {}) {
+  return {
+    name: 'whisper-cpp',
+    url,
+    capabilities: {
+      accepted_formats: ['wav'],
+      language_detection: false,
+      confidence: false,
+      streaming: false
+    },
+
+    // language: a per-request hint (ISO 639-1) that overrides TRANSCRIPTION_LANGUAGE
+    async transcribe(audioFilePath, { requestId, signal, language: requestedLanguage }) {
+      const startTime = Date.now();
+      const language = requestedLanguage || defaultLanguage;
+      try {
+        assertAudioFile(audioFilePath, requestId, LABEL);
+
+        const formData = new FormData();
+        formData.append('file', fs.createReadStream(audioFilePath));
+        formData.append('response_format', 'json');
+        formData.append('temperature', '0.0');
+        if (language) {
+          formData.append('language', language);
+        }
+
+        const result = await postForm(`${url}/inference`, formData, { requestId, label: LABEL, signal });
+        const transcription = (result.text || '').trim();
+
+        logger.debug('Received transcription', { component: LABEL, request_id: requestId, transcription });
+
+        return {
+          success: true,
+          transcription,
+          language: language ?? null,
+          confidence: null,
+          processing_time_ms: Date.now() - startTime
+        };
+      } catch (error) {
+        logTransportError(error, requestId, LABEL, `Start whisper.cpp: whisper-server -m <model> --port ${new URL(url).port || 80}`);
+        throw wrapProviderError(error, 'Failed to transcribe audio');
+      }
+    },
+
+    // /health answers 503 while the model is still loading
+    async health() {
+      const { ok, status, body } = await getHealth(`${url}/health`);
+      return {
+        status: ok ? 'ready' : 'not_ready',
+        details: body ?? { http_status: status }
+      };
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import FormData from 'form-data';
+import { logger } from '../logger.js';
+import { postForm, getHealth, assertAudioFile, logTransportError, wrapProviderError } from './http.js';
+
+const LABEL = 'Whisper Client';
+
+// The FastAPI Whisper service (whisper_server.py): POST /transcribe with an
+// `audio` field, GET /health reporting { status, model_loaded }
+export function createWhisperServerProvider({ url = process.env.WHISPER_SERVER } = {}) {
+  return {
+    name: 'whisper-server',
+    url,
+    capabilities: {
+      accepted_formats: ['webm', 'wav', 'mp3', 'ogg', 'm4a'],
+      language_detection: true,
+      confidence: true,
+      streaming: false
+    },
+
+    async transcribe(audioFilePath, { requestId, signal }) {
+      try {
+        assertAudioFile(audioFilePath, requestId, LABEL);
+
+        const formData = new FormData();
+        formData.append('audio', fs.createReadStream(audioFilePath));
+
+        const result = await postForm(`${url}/transcribe`, formData, { requestId, label: LABEL, signal });
+
+        logger.debug('Received transcription result', {
+          component: LABEL,
+          request_id: requestId,
+          success: result.success,
+          transcription: result.transcription,
+          message: result.message,
+          processing_time_ms: result.processing_time_ms,
+          language: result.language,
+          confidence: result.confidence
+        });
+
+        return result;
+      } catch (error) {
+        logTransportError(error, requestId, LABEL, 'Start Whisper server: python whisper_server.py');
+        throw wrapProviderError(error, 'Failed to transcribe audio');
+      }
+    },
+
+    async health() {
+      const { body } = await getHealth(`${url}/health`);
+      return {
+        status: body?.status === 'healthy' && body?.model_loaded ? 'ready' : 'not_ready',
+        details: body
+      };
+    }
+  };
+}
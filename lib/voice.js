@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { preprocessAudio } from './audio.js';
+import { findMatchingCommand, resolveDisambiguation, expiredSessionResult } from './matcher.js';
+import { recordInvocation } from './history.js';
+import { languageOf } from './locale.js';
+import { logger, withRequestId } from './logger.js';
+import { countInvocation, observeStage } from './metrics.js';
+import { chargeAudioSeconds } from './rateLimits.js';
+
+// Preprocessing rejections are answers about the recording, not server failures
+const AUDIO_REJECTIONS = ['AUDIO_TOO_LONG', 'AUDIO_SILENT', 'UNSUPPORTED_AUDIO'];
+
+// What the probe found, reported next to the timings of each voice response
+function audioSummary(audio) {
+  return {
+    ...audio.probe,
+    processed_duration_ms: audio.processed.duration_ms,
+    probe_time_ms: audio.probe_time_ms,
+    conversion_time_ms: audio.conversion_time_ms
+  };
+}
+
+export function removeFile(filePath, requestId) {
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      fs.unlinkSync(filePath);
+      logger.debug('Audio file cleaned up', { request_id: requestId, file: path.basename(filePath) });
+    } catch (cleanupErr) {
+      logger.error('Error cleaning audio file', { request_id: requestId, file: path.basename(filePath), error: cleanupErr });
+    }
+  }
+}
+
+// The voice pipeline shared by POST /voice-command and the /voice-stream socket:
+// preprocess -> transcribe -> match. Returns the /voice-command response body;
+// the caller owns (and deletes) the uploaded file.
+//
+// sessionId makes the transcript the answer to a disambiguation question.
+// provisional runs the matcher without opening disambiguation sessions, for
+// live feedback on a recording that is still in progress.
+// locale is the language the client says the user speaks: it is passed to the
+// transcriber as a hint and restricts matching to commands in that language.
+// Background jobs pass onStage ('transcribing', 'matching') to follow progress
+// and an AbortSignal to stop between stages.
+async function runVoicePipeline(audioPath, {
+  userId,
+  sessionId,
+  requestId,
+  transcriber,
+  startTime = Date.now(),
+  provisional = false,
+  locale = null,
+  onStage = () => {},
+  signal
+}) {
+  let transcribedText = '';
+  let audio = null;
+
+  try {
+    onStage('transcribing');
+
+    // Probe the real format, reject unusable clips and convert to 16 kHz mono WAV
+    const preprocessingStartTime = Date.now();
+    try {
+      audio = await preprocessAudio(audioPath, requestId);
+      signal?.throwIfAborted();
+    } catch (audioError) {
+      if (!AUDIO_REJECTIONS.includes(audioError.code)) {
+        throw audioError;
+      }
+
+      logger.info('Audio rejected', { request_id: requestId, code: audioError.code, reason: audioError.message });
+      return {
+        success: false,
+        error: audioError.code,
+        message: audioError.message,
+        transcribed_text: '',
+        audio: audioError.probe,
+        processing_time_ms: Date.now() - startTime,
+        preprocessing_time_ms: Date.now() - preprocessingStartTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      };
+    }
+    const preprocessingTime = Date.now() - preprocessingStartTime;
+
+    // Send audio to the configured transcription backend
+    logger.debug('Sending audio for transcription', { request_id: requestId, provider: transcriber.name });
+
+    const transcriptionStartTime = Date.now();
+    const transcriptionResult = await transcriber.transcribe(audio.path, { requestId, signal, language: languageOf(locale) ?? undefined });
+    signal?.throwIfAborted();
+
+    const transcriptionTime = Date.now() - transcriptionStartTime;
+    logger.info('Transcription completed', {
+      request_id: requestId,
+      provider: transcriber.name,
+      duration_ms: transcriptionTime,
+      success: transcriptionResult.success,
+      language: transcriptionResult.language,
+      transcription: transcriptionResult.transcription
+    });
+
+    if (!transcriptionResult.success) {
+      logger.warn('Transcription failed', { request_id: requestId, reason: transcriptionResult.message });
+      return {
+        success: false,
+        message: transcriptionResult.message || 'Transcription failed',
+        transcribed_text: '',
+        audio: audioSummary(audio),
+        processing_time_ms: Date.now() - startTime,
+        preprocessing_time_ms: preprocessingTime,
+        transcription_time_ms: transcriptionTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    transcribedText = transcriptionResult.transcription;
+
+    if (!transcribedText || transcribedText.trim() === '') {
+      logger.info('Empty transcription result', { request_id: requestId });
+      return {
+        success: false,
+        message: 'No speech detected in audio',
+        transcribed_text: '',
+        audio: audioSummary(audio),
+        processing_time_ms: Date.now() - startTime,
+        preprocessing_time_ms: preprocessingTime,
+        transcription_time_ms: transcriptionTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // Command matching. A provisional answer to a disambiguation question is
+    // not applied - that would close the session before the user finished speaking.
+    onStage('matching');
+    const matchingStartTime = Date.now();
+
+    let matchResult;
+    if (sessionId && provisional) {
+      matchResult = { success: false, message: 'Waiting for the rest of the answer' };
+    } else if (sessionId) {
+      matchResult = resolveDisambiguation(sessionId, userId, transcribedText.trim(), requestId) ?? expiredSessionResult();
+    } else {
+      matchResult = await findMatchingCommand(transcribedText.trim(), userId, requestId, {
+        provisional,
+        locale,
+        detectedLanguage: transcriptionResult.language
+      });
+    }
+
+    const matchingTime = Date.now() - matchingStartTime;
+    logger.info('Command matching completed', {
+      request_id: requestId,
+      duration_ms: matchingTime,
+      success: matchResult.success,
+      decision: matchResult.decision,
+      command_id: matchResult.command_id,
+      parameters: matchResult.parameters
+    });
+
+    const totalTime = Date.now() - startTime;
+    return {
+      success: matchResult.success,
+      transcribed_text: transcribedText.trim(),
+      command: matchResult.command,
+      command_id: matchResult.command_id,
+      matched_phrase: matchResult.matched_phrase,
+      parameter: matchResult.parameter,
+      parameters: matchResult.parameters,
+      typed_parameters: matchResult.typed_parameters,
+      workflow_id: matchResult.workflow_id,
+      match_confidence: matchResult.confidence,
+      decision: matchResult.decision,
+      session_id: matchResult.session_id,
+      expires_at: matchResult.expires_at,
+      options: matchResult.options,
+      message: matchResult.message,
+      processing_time_ms: totalTime,
+      preprocessing_time_ms: preprocessingTime,
+      transcription_time_ms: transcriptionTime,
+      matching_time_ms: matchingTime,
+      audio: audioSummary(audio),
+      language: transcriptionResult.language,
+      confidence: transcriptionResult.confidence,
+      request_id: requestId,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    // Let the caller report what was heard before things went wrong
+    error.transcribed_text = transcribedText;
+    throw error;
+  } finally {
+    removeFile(audio?.path, requestId);
+  }
+}
+
+// The history row for a finished pipeline run
+function invocationEntry(response, { userId, source }) {
+  let outcome = response.decision;
+  if (!outcome) {
+    outcome = AUDIO_REJECTIONS.includes(response.error) ? 'audio_rejected' : response.transcribed_text ? 'reject' : 'no_speech';
+  }
+
+  return {
+    user_id: userId,
+    request_id: response.request_id,
+    source,
+    transcript: response.transcribed_text || null,
+    language: response.language,
+    transcription_confidence: response.confidence,
+    command_id: response.command_id,
+    command_name: response.command,
+    matched_phrase: response.matched_phrase,
+    parameter: response.parameter,
+    parameters: response.parameters,
+    match_confidence: response.match_confidence,
+    outcome,
+    error: response.success ? null : response.error,
+    preprocessing_time_ms: response.preprocessing_time_ms,
+    transcription_time_ms: response.transcription_time_ms,
+    matching_time_ms: response.matching_time_ms,
+    total_time_ms: response.processing_time_ms
+  };
+}
+
+// Run the pipeline and write the outcome to the invocation history and the
+// metrics, and charge the audio that was transcribed to the daily quotas.
+// source says where the audio came from: 'voice', 'stream' or 'job'.
+// Provisional runs and cancelled jobs are not recorded, but the audio of
+// provisional runs is still charged: it was transcribed all the same.
+async function runAndRecord(audioPath, options) {
+  const { userId, requestId, clientIp, source = 'voice', provisional = false, signal, startTime = Date.now() } = options;
+
+  try {
+    const response = await runVoicePipeline(audioPath, { ...options, startTime });
+    if (!provisional) {
+      const entry = invocationEntry(response, { userId, source });
+      recordInvocation(entry);
+      countInvocation(source, entry.outcome);
+      observeStage('preprocessing', response.preprocessing_time_ms);
+      observeStage('transcription', response.transcription_time_ms);
+      observeStage('matching', response.matching_time_ms);
+    }
+    if (response.transcription_time_ms !== undefined) {
+      await chargeAudioSeconds({ userId, ip: clientIp }, response.audio.processed_duration_ms / 1000);
+    }
+    return response;
+  } catch (error) {
+    if (!provisional && !signal?.aborted) {
+      recordInvocation({
+        user_id: userId,
+        request_id: requestId,
+        source,
+        transcript: error.transcribed_text || null,
+        outcome: 'error',
+        error: error.code ? `${error.code}: ${error.message}` : error.message,
+        total_time_ms: Date.now() - startTime
+      });
+      countInvocation(source, 'error');
+    }
+    throw error;
+  }
+}
+
+// Jobs and stream segments outlive the HTTP request that started them, so
+// the request id is attached here for everything logged along the way
+export function processVoiceCommand(audioPath, options) {
+  return withRequestId(options.requestId, () => runAndRecord(audioPath, options));
+}
@@ -0,0 +1,314 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import { authenticateApiKey } from './auth.js';
+import { processVoiceCommand, removeFile } from './voice.js';
+import { normalizeLocale } from './locale.js';
+import { logger, newRequestId } from './logger.js';
+import { checkLimits } from './rateLimits.js';
+import { envInt } from './env.js';
+
+// How often the audio received so far is re-transcribed for live feedback
+const PARTIAL_INTERVAL_MS = envInt('STREAM_PARTIAL_INTERVAL_MS', 1000, { min: 1 });
+
+// Each partial re-transcribes the whole recording, so one only runs once at
+// least this much new audio arrived, and at least half again as much as the
+// last partial covered. That keeps the partials of a stream to a few times the
+// cost of the final pass however long the user talks.
+const PARTIAL_MIN_NEW_BYTES = envInt('STREAM_PARTIAL_MIN_NEW_BYTES', 16 * 1024, { min: 1 });
+
+// Same upload limit as POST /voice-command
+const MAX_STREAM_BYTES = 50 * 1024 * 1024;
+
+const UPLOAD_DIR = './uploads';
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// Browsers can't set headers on a WebSocket, so the key may also come as ?api_key=
+function presentedApiKey(request, url) {
+  const header = request.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return url.searchParams.get('api_key') || request.headers['x-api-key'];
+}
+
+// Behind a trusted proxy the client is the first X-Forwarded-For address, as Express takes it
+function clientIpOf(request, trustProxy) {
+  const forwarded = request.headers['x-forwarded-for'];
+  if (trustProxy && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return request.socket.remoteAddress;
+}
+
+function rejectUpgrade(socket, status, headers = {}) {
+  const lines = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  socket.write(`HTTP/1.1 ${status}\r\n${lines}Connection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Only the fields a client needs to show "you are about to run ..." while speaking
+function provisionalMatch(result) {
+  if (!result.decision) {
+    return null;
+  }
+  return {
+    command: result.command,
+    command_id: result.command_id,
+    matched_phrase: result.matched_phrase,
+    parameters: result.parameters,
+    typed_parameters: result.typed_parameters,
+    workflow_id: result.workflow_id,
+    match_confidence: result.match_confidence,
+    decision: result.decision,
+    options: result.options
+  };
+}
+
+// One streamed utterance. Audio chunks (binary frames, e.g. MediaRecorder
+// output) are buffered; every PARTIAL_INTERVAL_MS the recording so far is run
+// through the pipeline provisionally once enough new audio came in. {"type":"stop"} produces the final result,
+// shaped exactly like the /voice-command response.
+function handleStream(socket, { requestId, caller, clientIp, sessionId, locale, transcriber }) {
+  const log = logger.child({ component: 'voice-stream', request_id: requestId });
+  const startTime = Date.now();
+  const basePath = path.join(UPLOAD_DIR, `voice-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`);
+
+  const chunks = [];
+  let receivedBytes = 0;
+  let transcribedBytes = 0;
+  let partialRun = null;
+  let partialCount = 0;
+  let finished = false;
+  // Set by the first stop, so a repeated one can't run the final pass twice
+  let stopping = false;
+
+  log.info('Voice stream started', { user_id: caller.user_id, session_id: sessionId ?? undefined, locale: locale ?? undefined });
+
+  // Write what has arrived so far to its own file, so a running partial and the
+  // final pass never read a file that is being rewritten
+  function snapshot(suffix) {
+    const filePath = `${basePath}-${suffix}`;
+    fs.writeFileSync(filePath, Buffer.concat(chunks));
+    return filePath;
+  }
+
+  function runPipeline(provisional) {
+    const filePath = snapshot(provisional ? `partial-${++partialCount}` : 'final');
+    return processVoiceCommand(filePath, {
+      userId: caller.user_id,
+      clientIp,
+      sessionId,
+      requestId,
+      transcriber,
+      locale,
+      startTime,
+      provisional,
+      source: 'stream'
+    }).finally(() => removeFile(filePath, requestId));
+  }
+
+  async function partial() {
+    const newBytes = receivedBytes - transcribedBytes;
+    if (finished || partialRun || newBytes < Math.max(PARTIAL_MIN_NEW_BYTES, transcribedBytes / 2)) {
+      return;
+    }
+    transcribedBytes = receivedBytes;
+
+    partialRun = runPipeline(true)
+      .then(result => {
+        if (finished) {
+          return;
+        }
+        if (result.error === 'AUDIO_TOO_LONG') {
+          // No point listening further; answer with the rejection now
+          finish(result);
+          return;
+        }
+        // Silence and not-yet-decodable audio just mean "nothing to show yet"
+        if (result.transcribed_text) {
+          send(socket, {
+            type: 'partial',
+            transcript: result.transcribed_text,
+            provisional_match: provisionalMatch(result),
+            audio_duration_ms: result.audio?.duration_ms ?? null,
+            request_id: requestId
+          });
+        }
+      })
+      .catch(error => {
+        log.warn('Partial transcription failed', { error });
+      })
+      .finally(() => {
+        partialRun = null;
+      });
+  }
+
+  const timer = setInterval(partial, PARTIAL_INTERVAL_MS);
+
+  function finish(result) {
+    finished = true;
+    clearInterval(timer);
+    log.debug('Sending final stream result', { success: result.success, decision: result.decision, transcribed_text: result.transcribed_text });
+    send(socket, { type: 'final', ...result });
+    socket.close(1000, 'done');
+  }
+
+  async function stop() {
+    if (finished || stopping) {
+      return;
+    }
+    stopping = true;
+    clearInterval(timer);
+    await partialRun;
+    if (finished) {
+      return;
+    }
+
+    if (receivedBytes === 0) {
+      finish({
+        success: false,
+        error: 'No audio file provided',
+        message: 'No audio was received before stop',
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    try {
+      finish(await runPipeline(false));
+    } catch (error) {
+      log.error('Error processing voice stream', { error });
+      finish({
+        success: false,
+        error: 'Voice processing failed',
+        code: error.code,
+        message: `Processing failed: ${error.message}`,
+        transcribed_text: error.transcribed_text || '',
+        processing_time_ms: Date.now() - startTime,
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  socket.on('message', (data, isBinary) => {
+    if (finished) {
+      return;
+    }
+
+    if (isBinary) {
+      receivedBytes += data.length;
+      if (receivedBytes > MAX_STREAM_BYTES) {
+        send(socket, { type: 'error', error: 'Audio too large', message: 'Streams are limited to 50MB', request_id: requestId });
+        finished = true;
+        clearInterval(timer);
+        socket.close(1009, 'too large');
+        return;
+      }
+      chunks.push(data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      send(socket, { type: 'error', error: 'Invalid message', message: 'Control messages must be JSON', request_id: requestId });
+      return;
+    }
+
+    if (message.type === 'stop') {
+      stop();
+    } else if (message.type === 'cancel') {
+      log.info('Voice stream cancelled by client');
+      finished = true;
+      clearInterval(timer);
+      socket.close(1000, 'cancelled');
+    } else {
+      send(socket, { type: 'error', error: 'Unknown message type', message: `Expected "stop" or "cancel", got "${message.type}"`, request_id: requestId });
+    }
+  });
+
+  // A malformed frame (e.g. an unmasked client frame) ends this stream only
+  socket.on('error', error => {
+    log.warn('Voice stream socket error', { error });
+    finished = true;
+    clearInterval(timer);
+    socket.close();
+  });
+
+  socket.on('close', () => {
+    finished = true;
+    clearInterval(timer);
+    log.info('Voice stream ended', { received_bytes: receivedBytes, partials: partialCount, duration_ms: Date.now() - startTime });
+  });
+
+  send(socket, { type: 'ready', request_id: requestId, partial_interval_ms: PARTIAL_INTERVAL_MS });
+}
+
+// Serve /voice-stream on the HTTP server Express listens on.
+// Connect with ?api_key=<key> (and ?session_id= to answer a disambiguation question,
+// ?locale= to say which language the user speaks).
+// A stream counts as one voice request against the rate limits; trustProxy
+// says whether X-Forwarded-For names the client, like Express's 'trust proxy'.
+export function attachVoiceStream(server, { transcriber, trustProxy = false }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR);
+  }
+
+  server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (url.pathname !== '/voice-stream') {
+      socket.destroy();
+      return;
+    }
+
+    const requestId = newRequestId(request.headers['x-request-id']);
+    let caller = null;
+    try {
+      caller = await authenticateApiKey(presentedApiKey(request, url));
+    } catch (error) {
+      logger.error('Error checking API key', { component: 'voice-stream', request_id: requestId, error });
+    }
+
+    if (!caller) {
+      logger.warn('Rejected connection without a valid API key', { component: 'voice-stream', request_id: requestId });
+      rejectUpgrade(socket, '401 Unauthorized');
+      return;
+    }
+
+    const clientIp = clientIpOf(request, trustProxy);
+    const { headers, rejection } = await checkLimits('voice', { userId: caller.user_id, ip: clientIp });
+    if (rejection) {
+      logger.info('Rate limited', { component: 'voice-stream', request_id: requestId, error: rejection.body.error, scope: rejection.body.scope });
+      rejectUpgrade(socket, '429 Too Many Requests', { ...headers, 'Retry-After': rejection.retry_after_s });
+      return;
+    }
+
+    let locale;
+    try {
+      locale = normalizeLocale(url.searchParams.get('locale'));
+    } catch (error) {
+      logger.warn('Rejected connection', { component: 'voice-stream', request_id: requestId, reason: error.message });
+      rejectUpgrade(socket, '400 Bad Request');
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, ws => {
+      handleStream(ws, { requestId, caller, clientIp, sessionId: url.searchParams.get('session_id'), locale, transcriber });
+    });
+  });
+
+  return wss;
+}
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { PARAMETER_TYPES } from './parameterTypes.js';
+
+// The Automa workflows voice commands are bound to. Commands reference them
+// by (user_id, workflow_id); the foreign key keeps that reference valid.
+
+// What DELETE /workflows/:id does with commands still bound to the workflow
+export const DELETE_POLICIES = ['restrict', 'cascade'];
+
+const WORKFLOW_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+function workflowError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+// Workflows with the number of commands bound to each
+const WORKFLOWS_WITH_COUNTS = `
+  SELECT w.*, COUNT(c.id)::int AS command_count
+  FROM workflows w
+  LEFT JOIN commands c ON c.user_id = w.user_id AND c.workflow_id = w.id
+`;
+
+function validateParameters(parameters) {
+  if (parameters === null) {
+    return null;
+  }
+  if (!Array.isArray(parameters)) {
+    throw workflowError('parameters must be an array of { name, type, required } or null', 'INVALID_WORKFLOW');
+  }
+
+  const names = new Set();
+  return parameters.map(param => {
+    if (!param || typeof param.name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(param.name)) {
+      throw workflowError('Every parameter needs a name made of letters, digits and underscores', 'INVALID_WORKFLOW');
+    }
+    if (names.has(param.name)) {
+      throw workflowError(`Parameter "${param.name}" is listed more than once`, 'INVALID_WORKFLOW');
+    }
+    names.add(param.name);
+
+    const type = param.type ?? 'text';
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw workflowError(`Unknown parameter type "${type}" for "${param.name}" (expected one of: ${PARAMETER_TYPES.join(', ')})`, 'INVALID_WORKFLOW');
+    }
+    if (param.required !== undefined && typeof param.required !== 'boolean') {
+      throw workflowError(`required must be true or false for "${param.name}"`, 'INVALID_WORKFLOW');
+    }
+    return { name: param.name, type, required: param.required ?? true };
+  });
+}
+
+// Validate the editable fields of a workflow. `partial` allows leaving fields out (PATCH).
+export function validateWorkflowFields({ name, description, parameters }, { partial = false } = {}) {
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw workflowError('name is required', 'INVALID_WORKFLOW');
+    }
+    fields.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      throw workflowError('description must be a string', 'INVALID_WORKFLOW');
+    }
+    fields.description = description;
+  }
+  if (parameters !== undefined) {
+    fields.parameters = validateParameters(parameters);
+  }
+
+  return fields;
+}
+
+// Reasons a command's parameters can't feed a workflow, empty when they fit.
+// Workflows that never declared parameters take whatever the command sends.
+export function workflowMismatches(commandParameters, workflow) {
+  if (workflow.parameters === null) {
+    return [];
+  }
+
+  const problems = [];
+  for (const param of commandParameters) {
+    const expected = workflow.parameters.find(candidate => candidate.name === param.name);
+    if (!expected) {
+      problems.push(`workflow "${workflow.name}" does not take a parameter named "${param.name}"`);
+    } else if (expected.type !== 'text' && expected.type !== param.type) {
+      problems.push(`workflow "${workflow.name}" expects "${param.name}" to be ${expected.type}, not ${param.type}`);
+    }
+  }
+  for (const expected of workflow.parameters) {
+    if (expected.required && !commandParameters.some(param => param.name === expected.name)) {
+      problems.push(`workflow "${workflow.name}" requires a "${expected.name}" parameter`);
+    }
+  }
+  return problems;
+}
+
+export async function getWorkflow(userId, workflowId, db = pool) {
+  const result = await db.query(
+    `${WORKFLOWS_WITH_COUNTS} WHERE w.user_id = $1 AND w.id = $2 GROUP BY w.user_id, w.id`,
+    [userId, workflowId]
+  );
+  return result.rows[0] || null;
+}
+
+// Make sure a command can be bound to a workflow before it is saved.
+// Throws UNKNOWN_WORKFLOW or WORKFLOW_PARAMETER_MISMATCH.
+export async function checkWorkflowBinding(userId, workflowId, commandParameters, db = pool) {
+  const workflow = await getWorkflow(userId, workflowId, db);
+
+  if (!workflow) {
+    throw workflowError(
+      `Workflow "${workflowId}" is not registered - create it with POST /workflows first`,
+      'UNKNOWN_WORKFLOW'
+    );
+  }
+
+  const problems = workflowMismatches(commandParameters, workflow);
+  if (problems.length > 0) {
+    throw workflowError(`Command parameters don't fit: ${problems.join('; ')}`, 'WORKFLOW_PARAMETER_MISMATCH', { problems });
+  }
+  return workflow;
+}
+
+export async function listWorkflows(userId, db = pool) {
+  const result = await db.query(
+    `${WORKFLOWS_WITH_COUNTS} WHERE w.user_id = $1 GROUP BY w.user_id, w.id ORDER BY w.name ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+export async function getWorkflowCommands(userId, workflowId, db = pool) {
+  const result = await db.query(
+    'SELECT * FROM commands WHERE user_id = $1 AND workflow_id = $2 ORDER BY command_name ASC',
+    [userId, workflowId]
+  );
+  return result.rows;
+}
+
+// Register a workflow. The id is normally the Automa workflow id; one is generated when missing.
+export async function createWorkflow(userId, { id, ...rest }, db = pool) {
+  const workflowId = id ?? crypto.randomUUID();
+  if (typeof workflowId !== 'string' || !WORKFLOW_ID_PATTERN.test(workflowId)) {
+    throw workflowError('id must be 1-100 letters, digits or _ . : -', 'INVALID_WORKFLOW');
+  }
+  const fields = validateWorkflowFields(rest);
+
+  try {
+    await db.query(
+      `INSERT INTO workflows (user_id, id, name, description, parameters)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, workflowId, fields.name, fields.description ?? null, fields.parameters ? JSON.stringify(fields.parameters) : null]
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw workflowError(`Workflow "${workflowId}" already exists`, 'WORKFLOW_EXISTS');
+    }
+    throw error;
+  }
+
+  return getWorkflow(userId, workflowId, db);
+}
+
+// Change name, description or parameters. New parameters must still fit every
+// bound command (WORKFLOW_PARAMETER_MISMATCH lists the ones that would break).
+export async function updateWorkflow(userId, workflowId, changes) {
+  const fields = validateWorkflowFields(changes, { partial: true });
+  if (Object.keys(fields).length === 0) {
+    throw workflowError('Provide name, description or parameters to change', 'INVALID_WORKFLOW');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query('SELECT * FROM workflows WHERE user_id = $1 AND id = $2 FOR UPDATE', [userId, workflowId]);
+    const current = locked.rows[0];
+    if (!current) {
+      throw workflowError(`Workflow "${workflowId}" not found`, 'WORKFLOW_NOT_FOUND');
+    }
+
+    if (fields.parameters !== undefined) {
+      const updated = { ...current, ...fields };
+      const broken = (await getWorkflowCommands(userId, workflowId, client))
+        .map(command => ({ command_id: command.id, command_name: command.command_name, problems: workflowMismatches(command.parameters, updated) }))
+        .filter(command => command.problems.length > 0);
+
+      if (broken.length > 0) {
+        throw workflowError(
+          `${broken.length} bound command(s) would no longer fit the workflow's parameters`,
+          'WORKFLOW_PARAMETER_MISMATCH',
+          { commands: broken }
+        );
+      }
+    }
+
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 3}`).join(', ');
+    const values = columns.map(column => (column === 'parameters' && fields.parameters !== null ? JSON.stringify(fields.parameters) : fields[column]));
+
+    await client.query(
+      `UPDATE workflows SET ${assignments}, updated_at = NOW() WHERE user_id = $1 AND id = $2`,
+      [userId, workflowId, ...values]
+    );
+    await client.query('COMMIT');
+
+    return getWorkflow(userId, workflowId);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Delete a workflow. With `restrict` a workflow that still has commands is
+// refused (WORKFLOW_IN_USE, listing them); `cascade` deletes those commands
+// in the same transaction. Returns the deleted commands.
+export async function deleteWorkflow(userId, workflowId, { onCommands = 'restrict' } = {}) {
+  if (!DELETE_POLICIES.includes(onCommands)) {
+    throw workflowError(`commands must be one of: ${DELETE_POLICIES.join(', ')}`, 'INVALID_WORKFLOW');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query('SELECT id FROM workflows WHERE user_id = $1 AND id = $2 FOR UPDATE', [userId, workflowId]);
+    if (locked.rows.length === 0) {
+      throw workflowError(`Workflow "${workflowId}" not found`, 'WORKFLOW_NOT_FOUND');
+    }
+
+    const bound = await getWorkflowCommands(userId, workflowId, client);
+    if (bound.length > 0 && onCommands === 'restrict') {
+      throw workflowError(
+        `Workflow "${workflowId}" still has ${bound.length} command(s)`,
+        'WORKFLOW_IN_USE',
+        { commands: bound.map(command => ({ id: command.id, command_name: command.command_name })) }
+      );
+    }
+
+    const deleted = await client.query(
+      'DELETE FROM commands WHERE user_id = $1 AND workflow_id = $2 RETURNING id, command_name',
+      [userId, workflowId]
+    );
+    await client.query('DELETE FROM workflows WHERE user_id = $1 AND id = $2', [userId, workflowId]);
+    await client.query('COMMIT');
+
+    return deleted.rows;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import { pool } from './lib/db.js';
+import { MIGRATIONS_DIR, loadMigrations, getMigrationStatus, runMigrations } from './lib/migrations.js';
+
+// Usage:
+//   node migrate.js up         Apply pending migrations
+//   node migrate.js up --dry   List what would be applied
+//   node migrate.js status     Show applied and pending versions
+//   node migrate.js create <name>  Add an empty migration file
+const [command = 'up', ...args] = process.argv.slice(2);
+
+async function status() {
+  const client = await pool.connect();
+  try {
+    const result = await getMigrationStatus(client);
+
+    console.log(`🗄️ [Migrations] Database version: ${result.latest_applied}`);
+    console.log(`🗄️ [Migrations] Code version:     ${result.latest_known}`);
+
+    result.applied.forEach(row => {
+      console.log(`   ✅ ${row.version}_${row.name} (applied ${row.applied_at.toISOString()})`);
+    });
+    result.pending.forEach(migration => {
+      console.log(`   ⏳ ${migration.file} (pending)`);
+    });
+    result.modified.forEach(row => {
+      console.log(`   ⚠️ ${row.version}_${row.name} changed on disk after it was applied`);
+    });
+
+    if (result.database_ahead) {
+      console.error('❌ [Migrations] Database is ahead of this code');
+      process.exitCode = 1;
+    }
+  } finally {
+    client.release();
+  }
+}
+
+function create(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Migration name is required and may only contain a-z, 0-9 and _');
+  }
+
+  const migrations = loadMigrations();
+  const nextVersion = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+  const file = `${String(nextVersion).padStart(3, '0')}_${name}.sql`;
+
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, file), `-- ${name.replace(/_/g, ' ')}\n`);
+  console.log(`📝 [Migrations] Created migrations/${file}`);
+}
+
+try {
+  if (command === 'up') {
+    await runMigrations(pool, { dryRun: args.includes('--dry') });
+  } else if (command === 'status') {
+    await status();
+  } else if (command === 'create') {
+    create(args[0]);
+  } else {
+    console.error(`❌ [Migrations] Unknown command: ${command} (expected up, status or create)`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`❌ [Migrations] ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,19 @@
+-- Voice commands saved by users through /save-command.
+-- IF NOT EXISTS lets deployments that created the table by hand adopt the
+-- migration history without losing their rows.
+CREATE TABLE IF NOT EXISTS commands (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  command_name TEXT NOT NULL,
+  has_parameter BOOLEAN NOT NULL DEFAULT FALSE,
+  parameter_name TEXT,
+  workflow_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- /save-command reports a 23505 as "Command with this name already exists for user"
+CREATE UNIQUE INDEX IF NOT EXISTS commands_user_id_command_name_key
+  ON commands (user_id, command_name);
+
+CREATE INDEX IF NOT EXISTS commands_user_id_workflow_id_idx
+  ON commands (user_id, workflow_id);
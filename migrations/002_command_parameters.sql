@@ -0,0 +1,8 @@
+-- Parameter definitions for multi-slot templates such as "send {message} to {contact}".
+-- Each entry is an object with at least a "name" key, in template order.
+ALTER TABLE commands ADD COLUMN parameters JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Single-parameter commands saved before templates existed
+UPDATE commands
+SET parameters = jsonb_build_array(jsonb_build_object('name', parameter_name))
+WHERE has_parameter AND parameter_name IS NOT NULL;
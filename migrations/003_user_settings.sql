@@ -0,0 +1,8 @@
+-- Per-user preferences. Missing rows or NULL columns fall back to the server defaults.
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id TEXT PRIMARY KEY,
+  match_execute_threshold REAL CHECK (match_execute_threshold BETWEEN 0 AND 1),
+  match_confirm_threshold REAL CHECK (match_confirm_threshold BETWEEN 0 AND 1),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (match_confirm_threshold <= match_execute_threshold)
+);
@@ -0,0 +1,15 @@
+-- Extra trigger phrases for a command. Templates may be used as aliases as long
+-- as they declare the same {slots} as the command they belong to.
+CREATE TABLE IF NOT EXISTS command_aliases (
+  id SERIAL PRIMARY KEY,
+  command_id INTEGER NOT NULL REFERENCES commands (id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  phrase TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS command_aliases_user_id_phrase_key
+  ON command_aliases (user_id, phrase);
+
+CREATE INDEX IF NOT EXISTS command_aliases_command_id_idx
+  ON command_aliases (command_id);
@@ -0,0 +1,8 @@
+-- Every parameter definition now carries a "type" (text, number, duration,
+-- datetime, url or email). Parameters saved before types existed are free text.
+UPDATE commands
+SET parameters = (
+  SELECT jsonb_agg(CASE WHEN param ? 'type' THEN param ELSE param || '{"type": "text"}'::jsonb END ORDER BY position)
+  FROM jsonb_array_elements(parameters) WITH ORDINALITY AS elements (param, position)
+)
+WHERE jsonb_array_length(parameters) > 0;
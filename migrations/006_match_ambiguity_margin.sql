@@ -0,0 +1,4 @@
+-- Matches whose confidence is within this margin of the best one are offered
+-- to the user as a choice instead of silently picking the first.
+ALTER TABLE user_settings
+  ADD COLUMN match_ambiguity_margin REAL CHECK (match_ambiguity_margin BETWEEN 0 AND 0.5);
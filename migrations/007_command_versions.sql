@@ -0,0 +1,11 @@
+-- PATCH /commands/:id only applies an edit when the caller sends the version
+-- it last read, so two edits can't silently overwrite each other.
+ALTER TABLE commands
+  ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN updated_at TIMESTAMPTZ;
+
+UPDATE commands SET updated_at = created_at;
+
+ALTER TABLE commands
+  ALTER COLUMN updated_at SET DEFAULT NOW(),
+  ALTER COLUMN updated_at SET NOT NULL;
@@ -0,0 +1,18 @@
+-- API keys issued by /get-user-id. Only an HMAC of each key is stored; the key
+-- itself is shown to the client once. Revoked keys stay for auditing.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  key_hash TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  label TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS api_keys_key_hash_key
+  ON api_keys (key_hash);
+
+CREATE INDEX IF NOT EXISTS api_keys_user_id_idx
+  ON api_keys (user_id);
@@ -0,0 +1,36 @@
+-- One row per /voice-command, /voice-stream, async job or /execute-command
+-- invocation: what was heard, what it matched and how long each stage took.
+-- command_name is copied so entries stay readable after the command is deleted.
+CREATE TABLE IF NOT EXISTS command_invocations (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  request_id TEXT NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('voice', 'stream', 'job', 'text')),
+  transcript TEXT,
+  language TEXT,
+  transcription_confidence REAL,
+  command_id INTEGER REFERENCES commands (id) ON DELETE SET NULL,
+  command_name TEXT,
+  matched_phrase TEXT,
+  parameter TEXT,
+  parameters JSONB,
+  match_confidence REAL,
+  outcome TEXT NOT NULL,
+  error TEXT,
+  preprocessing_time_ms INTEGER,
+  transcription_time_ms INTEGER,
+  matching_time_ms INTEGER,
+  total_time_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS command_invocations_user_id_created_at_idx
+  ON command_invocations (user_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS command_invocations_command_id_idx
+  ON command_invocations (command_id);
+
+-- How long and how many entries each user keeps; NULL falls back to the server default
+ALTER TABLE user_settings
+  ADD COLUMN history_retention_days INTEGER CHECK (history_retention_days BETWEEN 1 AND 3650),
+  ADD COLUMN history_max_entries INTEGER CHECK (history_max_entries BETWEEN 0 AND 100000);
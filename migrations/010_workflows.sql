@@ -0,0 +1,26 @@
+-- Automa workflows that voice commands run. Ids come from the browser
+-- extension, so they are only unique per user. parameters lists what the
+-- workflow expects ([{ "name", "type", "required" }]); NULL means undeclared
+-- and accepts any command parameters.
+CREATE TABLE IF NOT EXISTS workflows (
+  user_id TEXT NOT NULL,
+  id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  parameters JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
+
+-- Every workflow_id commands already point at becomes a workflow named after its id
+INSERT INTO workflows (user_id, id, name)
+SELECT DISTINCT user_id, workflow_id, workflow_id
+FROM commands
+ON CONFLICT DO NOTHING;
+
+-- A workflow with bound commands can't disappear underneath them;
+-- DELETE /workflows/:id decides what happens to those commands first
+ALTER TABLE commands
+  ADD CONSTRAINT commands_workflow_fkey
+  FOREIGN KEY (user_id, workflow_id) REFERENCES workflows (user_id, id) ON DELETE RESTRICT;
@@ -0,0 +1,4 @@
+-- The language a command is spoken in, as a BCP 47 tag ("en", "es-MX").
+-- NULL means any language: such commands are matched whatever the user speaks,
+-- which keeps every command saved before locales existed working as before.
+ALTER TABLE commands ADD COLUMN locale TEXT;
@@ -0,0 +1,3 @@
+-- Each user's ordered text normalization rules (see lib/normalization.js).
+-- NULL means the server's default rule list.
+ALTER TABLE user_settings ADD COLUMN normalization_rules JSONB;
@@ -0,0 +1,12 @@
+-- Shared rate limit counters for RATE_LIMIT_STORE=postgres (see lib/rateLimits.js).
+-- One row per key (e.g. voice:user:<id>, audio:ip:<address>) and fixed window;
+-- rows past expires_at are pruned by the server.
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  count DOUBLE PRECISION NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_counters_expires_at_idx ON rate_limit_counters (expires_at);
@@ -0,0 +1,31 @@
+-- Tell every server instance when a user's matcher index is out of date
+-- (see lib/matcherIndex.js): any change to their commands, aliases or
+-- normalization rules sends the user id on the matcher_invalidate channel.
+-- Notifications go out on commit, and repeats within a transaction are merged.
+CREATE OR REPLACE FUNCTION notify_matcher_invalidate() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM pg_notify('matcher_invalidate', OLD.user_id);
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM pg_notify('matcher_invalidate', NEW.user_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS commands_matcher_invalidate ON commands;
+CREATE TRIGGER commands_matcher_invalidate
+  AFTER INSERT OR UPDATE OR DELETE ON commands
+  FOR EACH ROW EXECUTE FUNCTION notify_matcher_invalidate();
+
+DROP TRIGGER IF EXISTS command_aliases_matcher_invalidate ON command_aliases;
+CREATE TRIGGER command_aliases_matcher_invalidate
+  AFTER INSERT OR UPDATE OR DELETE ON command_aliases
+  FOR EACH ROW EXECUTE FUNCTION notify_matcher_invalidate();
+
+-- Match thresholds are read on every request; only the rules are compiled in
+DROP TRIGGER IF EXISTS user_settings_matcher_invalidate ON user_settings;
+CREATE TRIGGER user_settings_matcher_invalidate
+  AFTER INSERT OR UPDATE OF normalization_rules OR DELETE ON user_settings
+  FOR EACH ROW EXECUTE FUNCTION notify_matcher_invalidate();
@@ -1,45 +1,72 @@
 import express from 'express';
 import cors from 'cors';
-import { Pool } from 'pg';
 import bodyParser from 'body-parser';
 import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
-import FormData from 'form-data';
-import fetch from 'node-fetch';
 import { v4 as uuidv4 } from 'uuid';
 import 'dotenv/config';
+import { pool } from './lib/db.js';
+import { envInt } from './lib/env.js';
+import { logger, newRequestId, withRequestId } from './lib/logger.js';
+import { registry, httpMetrics, observeStage, countInvocation, registerPoolMetrics } from './lib/metrics.js';
+import { runMigrations, verifySchema } from './lib/migrations.js';
+import { isTemplate, buildCommandDefinition } from './lib/templates.js';
+import { getUserSettings, updateUserSettings } from './lib/settings.js';
+import { getUserCommands, getCommandById, checkAliasPhrases, insertAliases } from './lib/commands.js';
+import { findMatchingCommand, resolveDisambiguation, expiredSessionResult } from './lib/matcher.js';
+import { startMatcherInvalidation, invalidateMatcherIndex } from './lib/matcherIndex.js';
+import { findCommandConflicts } from './lib/conflicts.js';
+import { requireAuth, requireEventStreamAuth, checkClaimedUser, issueApiKey, claimUserId, listApiKeys, revokeApiKey, rotateApiKey } from './lib/auth.js';
+import { rateLimit } from './lib/rateLimits.js';
+import { createTranscriptionProvider, checkProviderHealth } from './lib/transcription/index.js';
+import { processVoiceCommand, removeFile } from './lib/voice.js';
+import { attachVoiceStream } from './lib/voiceStream.js';
+import { enqueueJob, getJob, cancelJob, describeJob, isFinalState, jobEvents } from './lib/jobs.js';
+import { recordInvocation, parseHistoryQuery, listHistory, pruneHistory } from './lib/history.js';
+import { parseAnalyticsQuery, getUsageAnalytics, getUnmatchedClusters } from './lib/analytics.js';
+import { exportCommands, importCommands } from './lib/commandSets.js';
+import { normalizeLocale } from './lib/locale.js';
+import { runHealthChecks, probeDatabase, probeTranscription, probeUploadDir } from './lib/health.js';
+import { DEFAULT_RULES, RULE_TYPES, validateRules, getNormalizationRules, setNormalizationRules, traceNormalization } from './lib/normalization.js';
+import { listWorkflows, getWorkflow, getWorkflowCommands, createWorkflow, updateWorkflow, deleteWorkflow, checkWorkflowBinding } from './lib/workflows.js';
 
 
 const app = express();
 const port = process.env.PORT;
 
-// Whisper FastAPI server configuration
-const WHISPER_SERVER_URL = process.env.WHISPER_SERVER;
+// Behind a load balancer (TRUST_PROXY=true) the client address for per-IP
+// rate limits comes from X-Forwarded-For instead of the connection
+if (process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', true);
+}
+
+// Speech-to-text backend, chosen with TRANSCRIPTION_PROVIDER (whisper-server, openai, whisper-cpp, stub)
+const transcriber = createTranscriptionProvider();
+registerPoolMetrics(pool);
 
-console.log('🚀 ===== EXPRESS SERVER STARTING =====');
-console.log(`📅 Timestamp: ${new Date().toISOString()}`);
-console.log(`🌐 Express server will run on: http://localhost:${port}`);
-console.log(`🎤 Whisper server expected at: ${WHISPER_SERVER_URL}`);
+logger.info('Express server starting', { port, transcription_provider: transcriber.name, transcription_url: transcriber.url, log_level: logger.level });
+
+const UPLOAD_DIR = './uploads';
 
 // Configure multer for audio file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = './uploads';
-    console.log(`📁 [Multer] Checking upload directory: ${uploadDir}`);
+    const uploadDir = UPLOAD_DIR;
     
     if (!fs.existsSync(uploadDir)) {
-      console.log(`📁 [Multer] Creating upload directory: ${uploadDir}`);
+      req.log.info('Creating upload directory', { path: uploadDir });
       fs.mkdirSync(uploadDir);
     }
     
-    console.log(`✅ [Multer] Upload directory ready: ${uploadDir}`);
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
+    // Keep the client's extension for reference only - ffprobe finds the real format later
     const timestamp = Date.now();
-    const filename = `voice-${timestamp}.webm`;
-    console.log(`📁 [Multer] Generated filename: ${filename}`);
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const safeExtension = /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : '';
+    const filename = `voice-${timestamp}-${uuidv4().slice(0, 8)}${safeExtension}`;
     cb(null, filename);
   }
 });
@@ -47,21 +74,14 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage,
   fileFilter: (req, file, cb) => {
-    console.log('📁 [Multer] File filter - Received file:', {
-      originalname: file.originalname,
-      mimetype: file.mimetype,
-      fieldname: file.fieldname
-    });
-    
     // Accept audio files
     if (file.mimetype.startsWith('audio/') || 
         file.mimetype === 'application/octet-stream' ||
         file.originalname.endsWith('.wav') ||
         file.originalname.endsWith('.webm')) {
-      console.log('✅ [Multer] File accepted');
       cb(null, true);
     } else {
-      console.error('❌ [Multer] File rejected - invalid type:', file.mimetype);
+      req.log.warn('Upload rejected - invalid type', { mimetype: file.mimetype });
       cb(new Error('Only audio files are allowed'));
     }
   },
@@ -72,156 +92,316 @@ const upload = multer({
 
 // Middleware
 app.use(cors());
+app.use(httpMetrics);
 app.use(bodyParser.json());
 
-// Request logging middleware
+// Request ids and request logging. Every request gets an id (the client's
+// X-Request-ID when it sends a usable one), echoed back in X-Request-ID and
+// attached to every log line written while the request is served.
+// Routes log through req.log: multer's upload handling runs outside the
+// request's async context, so the bound id keeps those lines tagged too.
 app.use((req, res, next) => {
-  console.log(`\n📨 [Express] ${req.method} ${req.path} - ${new Date().toISOString()}`);
-  console.log(`📨 [Express] Headers:`, {
-    'content-type': req.headers['content-type'],
-    'content-length': req.headers['content-length'],
-    'user-agent': req.headers['user-agent']?.substring(0, 50) + '...'
-  });
+  req.startTime = Date.now();
+  req.id = newRequestId(req.get('X-Request-ID'));
+  req.log = logger.child({ request_id: req.id });
+  res.set('X-Request-ID', req.id);
   
-  if (req.body && Object.keys(req.body).length > 0) {
-    console.log(`📨 [Express] Body keys:`, Object.keys(req.body));
-  }
+  res.on('finish', () => {
+    // Orchestrators and Prometheus hit these every few seconds
+    const level = req.path.startsWith('/health') || req.path === '/metrics' ? 'debug' : 'info';
+    req.log[level]('Request finished', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Date.now() - req.startTime,
+      user_id: req.caller?.user_id
+    });
+  });
   
-  next();
+  withRequestId(req.id, next);
 });
 
-// PostgreSQL connection
-const pool = new Pool({
-  user: process.env.DATABASE_USER,
-  password: process.env.DATABASE_PASSWORD,
-  database: process.env.DATABASE_NAME,
-  host: 'localhost',
-  port: process.env.DATABASE_PORT,
-});
+// Whether the schema was checked (or migrated) successfully. Until then the
+// readiness check reports the database as down; startup keeps retrying every
+// DATABASE_RETRY_MS (default 5000).
+let databaseReady = false;
+const DATABASE_RETRY_MS = envInt('DATABASE_RETRY_MS', 5000, { min: 1 });
 
-// Test database connection
-console.log('🗄️ [Database] Attempting PostgreSQL connection...');
-pool.connect((err, client, release) => {
-  if (err) {
-    console.error('❌ [Database] Error connecting to PostgreSQL:', err);
-  } else {
-    console.log('✅ [Database] Connected to PostgreSQL successfully');
-    release();
-  }
-});
+// Bring the database schema up to date before accepting requests.
+// Set MIGRATE_ON_START=false to run migrations separately with `npm run migrate`.
+// If Postgres can't be reached the server still starts, reporting itself degraded.
+// Resolves to whether the schema is ready.
+async function prepareDatabase() {
+  logger.info('Connecting to PostgreSQL', { component: 'database' });
 
-// Test Whisper server connection on startup
-async function testWhisperConnection() {
   try {
-    console.log('🔍 [Whisper Check] Testing Whisper server connection...');
-    console.log(`🔍 [Whisper Check] Attempting to reach: ${WHISPER_SERVER_URL}/health`);
-    
-    const response = await fetch(`${WHISPER_SERVER_URL}/health`, {
-      method: 'GET',
-      timeout: 5000 // 5 second timeout
-    });
-    
-    console.log(`🔍 [Whisper Check] Response status: ${response.status}`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    console.log(`🔍 [Whisper Check] Response data:`, data);
-    
-    if (data.status === 'healthy' && data.model_loaded) {
-      console.log('✅ [Whisper Check] Whisper server is ready and model is loaded');
+    if (process.env.MIGRATE_ON_START === 'false') {
+      const status = await verifySchema(pool);
+      logger.info('Connected to PostgreSQL', { component: 'database', schema_version: status.latest_applied });
+
+      if (status.pending.length > 0) {
+        logger.warn('Pending migrations - run: npm run migrate', { component: 'database', pending: status.pending.length });
+      }
     } else {
-      console.log('⚠️ [Whisper Check] Whisper server responded but model may not be loaded:', data);
+      const result = await runMigrations(pool, { log: message => logger.info(message, { component: 'migrations' }) });
+      logger.info('Connected to PostgreSQL', { component: 'database', schema_version: result.version });
     }
+    databaseReady = true;
   } catch (error) {
-    console.error('❌ [Whisper Check] Could not connect to Whisper server:', error.message);
-    console.log('💡 [Whisper Check] Make sure to start the Whisper server: python whisper_server.py');
-    console.log('💡 [Whisper Check] Check if port 8001 is available and server is running');
+    // A newer schema or a broken migration means this code cannot safely serve requests
+    if (error.code === 'SCHEMA_AHEAD' || error.migration) {
+      throw error;
+    }
+    logger.error('Error connecting to PostgreSQL', { component: 'database', error });
+  }
+  return databaseReady;
+}
+
+// Test the transcription backend on startup
+async function testTranscriptionProvider() {
+  const log = logger.child({ component: 'transcription-check', provider: transcriber.name, url: transcriber.url });
+  const health = await checkProviderHealth(transcriber);
+  
+  if (health.status === 'ready') {
+    log.info('Transcription provider is ready', { details: health.details });
+  } else if (health.status === 'not_ready') {
+    log.warn('Transcription provider responded but is not ready (model may still be loading)', { details: health.details });
+  } else {
+    log.error('Could not reach the transcription provider - start it or set TRANSCRIPTION_PROVIDER=stub for offline development', { details: health.details });
   }
 }
 
 // Test connection after a short delay
-setTimeout(testWhisperConnection, 3000);
+setTimeout(testTranscriptionProvider, 3000);
 
 // Root endpoint
 app.get('/', (req, res) => {
-  console.log('🏠 [Express] Root endpoint accessed');
   res.json({ 
     detail: 'Automa Voice Command Server',
-    whisper_server: `${WHISPER_SERVER_URL}`,
+    whisper_server: transcriber.url,
+    transcription_provider: transcriber.name,
     version: '2.0.0',
     status: 'running',
     timestamp: new Date().toISOString()
   });
 });
 
-// Get or generate user ID endpoint
-app.get('/get-user-id', (req, res) => {
-  console.log('🆔 [Express] Get user ID endpoint accessed');
+// Get or generate user ID endpoint. Returns an API key for the new user that
+// authenticates every other route. ?user_id=<id> claims a chosen id, as long
+// as it has no keys and owns no data yet; ids created before API keys existed
+// get their first key from an operator (npm run keys -- issue <user_id>).
+app.get('/get-user-id', async (req, res) => {
+  const claimedUserId = req.query.user_id;
   
-  // Generate a new UUID for the user
-  const userId = uuidv4();
+  try {
+    // Generate a new UUID for the user unless an existing one is being claimed
+    const userId = claimedUserId || uuidv4();
+    const key = claimedUserId
+      ? await claimUserId(userId, req.query.label)
+      : await issueApiKey(userId, req.query.label);
+    
+    req.log.info(claimedUserId ? 'Claimed user ID' : 'Generated new user ID', { user_id: userId, key_id: key.id });
+    
+    const response = {
+      success: true,
+      user_id: userId,
+      api_key: key.api_key,
+      key_id: key.id,
+      message: 'User ID generated successfully - store the api_key, it is only shown once',
+      timestamp: new Date().toISOString()
+    };
+    
+    res.json(response);
+  } catch (error) {
+    if (error.code === 'USER_ALREADY_CLAIMED' || error.code === 'USER_HAS_DATA') {
+      return res.status(409).json({
+        success: false,
+        error: 'User ID already claimed',
+        message: error.message
+      });
+    }
+    
+    req.log.error('Error issuing API key', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate user ID',
+      details: error.message
+    });
+  }
+});
+
+// API key management for the caller's own keys
+app.get('/api-keys', requireAuth, async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.caller.user_id);
+    res.json({ success: true, user_id: req.caller.user_id, keys });
+  } catch (error) {
+    req.log.error('Error listing API keys', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys'
+    });
+  }
+});
+
+// Issue an additional key, e.g. one per device ({ label })
+app.post('/api-keys', requireAuth, async (req, res) => {
+  try {
+    const key = await issueApiKey(req.caller.user_id, req.body?.label ?? null);
+    req.log.info('Issued API key', { user_id: req.caller.user_id, key_id: key.id });
+    res.status(201).json({ success: true, message: 'API key issued - it is only shown once', key });
+  } catch (error) {
+    req.log.error('Error issuing API key', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue API key'
+    });
+  }
+});
+
+// Replace a key with a new one; the old key stops working immediately
+app.post('/api-keys/:keyId/rotate', requireAuth, async (req, res) => {
+  const keyId = req.params.keyId;
+  try {
+    const rotated = await rotateApiKey(req.caller.user_id, keyId);
+    
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        key_id: keyId
+      });
+    }
+    
+    req.log.info('Rotated API key', { user_id: req.caller.user_id, key_id: keyId, new_key_id: rotated.issued.id });
+    res.json({
+      success: true,
+      message: 'API key rotated - the new key is only shown once',
+      revoked: rotated.revoked,
+      key: rotated.issued
+    });
+  } catch (error) {
+    req.log.error('Error rotating API key', { key_id: keyId, error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+app.delete('/api-keys/:keyId', requireAuth, async (req, res) => {
+  const keyId = req.params.keyId;
+  try {
+    const revoked = await revokeApiKey(req.caller.user_id, keyId);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        key_id: keyId
+      });
+    }
+    
+    req.log.info('Revoked API key', { user_id: req.caller.user_id, key_id: keyId });
+    res.json({ success: true, message: 'API key revoked', key: revoked });
+  } catch (error) {
+    req.log.error('Error revoking API key', { key_id: keyId, error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+// What the server needs to answer voice commands, probed for real on every check
+const readinessProbes = {
+  database: async () => {
+    const result = await probeDatabase(pool);
+    // Migrations are retried at startup, never from a probe
+    return databaseReady
+      ? { ...result, migrated: true }
+      : { status: 'down', migrated: false, error: 'Database schema is not ready - see the server log' };
+  },
+  transcription: () => probeTranscription(transcriber),
+  uploads: () => probeUploadDir(UPLOAD_DIR)
+};
+
+// Prometheus scrape endpoint: request counts, voice pipeline stage latencies,
+// match rates, transcription errors and database pool usage
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+});
+
+// Liveness: the process is up and its event loop answers. Dependencies are not
+// checked, so a database outage doesn't get the process restarted.
+app.get('/health/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    uptime_s: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: 200 while every dependency answers, 503 while the server is degraded
+app.get('/health/ready', async (req, res) => {
+  const readiness = await runHealthChecks(readinessProbes);
   
-  console.log(`🆔 [Express] Generated new user ID: ${userId}`);
+  if (readiness.status !== 'healthy') {
+    req.log.warn('Not ready', { checks: readiness.checks });
+  }
   
-  const response = {
-    success: true,
-    user_id: userId,
-    message: 'User ID generated successfully',
+  res.status(readiness.status === 'healthy' ? 200 : 503).json({
+    ...readiness,
     timestamp: new Date().toISOString()
-  };
-  
-  console.log(`📤 [Express] Sending user ID response:`, response);
-  res.json(response);
+  });
 });
 
-// Health check endpoint for the extension
+// Health check endpoint for the extension. Always 200; status says "degraded"
+// while the database, the transcription backend or the upload directory is down.
 app.get('/health', async (req, res) => {
-  console.log('🏥 [Express] Health check endpoint accessed');
-  
-  let whisperStatus = 'unknown';
-  try {
-    const whisperResponse = await fetch(`${WHISPER_SERVER_URL}/health`, { timeout: 2000 });
-    const whisperData = await whisperResponse.json();
-    whisperStatus = whisperData.status === 'healthy' && whisperData.model_loaded ? 'ready' : 'not_ready';
-  } catch (error) {
-    console.log('⚠️ [Express] Whisper server not reachable during health check');
-    whisperStatus = 'unreachable';
+  const readiness = await runHealthChecks(readinessProbes);
+  const { database, transcription } = readiness.checks;
+  if (readiness.status !== 'healthy') {
+    req.log.warn('Health check degraded', { checks: readiness.checks });
   }
   
   const healthData = {
-    express_status: 'healthy',
-    whisper_status: whisperStatus,
-    database_status: 'connected', // We assume it's connected if we got this far
+    status: readiness.status,
+    express_status: readiness.status,
+    // Kept for older clients; same value as transcription.status
+    whisper_status: transcription.provider_status ?? 'unreachable',
+    transcription: {
+      provider: transcriber.name,
+      status: transcription.provider_status ?? 'unreachable',
+      capabilities: transcriber.capabilities,
+      details: transcription.details ?? { error: transcription.error },
+      // Breaker state and error rate of real transcription requests, not health probes
+      circuit_breaker: transcriber.breaker.status()
+    },
+    database_status: database.status === 'up' ? 'connected' : 'disconnected',
+    checks: readiness.checks,
     timestamp: new Date().toISOString()
   };
   
-  console.log('🏥 [Express] Health check result:', healthData);
   res.json(healthData);
 });
 
 // Voice command endpoint with comprehensive logging
-app.post('/voice-command', upload.single('audio'), async (req, res) => {
-  const requestId = `req-${Date.now()}`;
+app.post('/voice-command', requireAuth, rateLimit('voice'), upload.single('audio'), checkClaimedUser, async (req, res) => {
+  const requestId = req.id;
   const startTime = Date.now();
+  // Everything before the handler runs is receiving the multipart upload
+  observeStage('upload', startTime - req.startTime);
   
-  console.log(`\n🎙️ ===== VOICE COMMAND REQUEST START [${requestId}] =====`);
-  console.log(`🕒 [${requestId}] Timestamp: ${new Date().toISOString()}`);
-  
-  // Log request details
-  console.log(`📨  Request body keys:`, Object.keys(req.body));
-  console.log(`📨 [${requestId}] User ID from body:`, req.body.user_id);
-  console.log(`📨 [${requestId}] File upload status:`, req.file ? 'RECEIVED' : 'MISSING');
-  
-  const { user_id } = req.body;
+  // session_id turns this recording into the answer to a "which one did you mean?" question;
+  // locale says which language the user speaks (otherwise the transcriber's guess is used)
+  const { session_id } = req.body;
+  const user_id = req.caller.user_id;
   const audioFile = req.file;
   
   if (!audioFile) {
-    console.error(`❌ [${requestId}] No audio file provided in request`);
-    console.log(`❌ [${requestId}] Request files:`, req.files);
-    console.log(`❌ [${requestId}] Request file:`, req.file);
+    req.log.warn('No audio file provided in request');
     
     return res.status(400).json({
       success: false,
@@ -232,764 +412,1306 @@ app.post('/voice-command', upload.single('audio'), async (req, res) => {
     });
   }
   
-  console.log(`📁 [${requestId}] Audio file details:`, {
-    filename: audioFile.filename,
-    originalname: audioFile.originalname,
-    size: audioFile.size,
-    mimetype: audioFile.mimetype,
-    path: audioFile.path,
-    exists: fs.existsSync(audioFile.path)
-  });
-  
-  // Enhanced file validation
-  if (audioFile.size < 1000) {
-    console.error(`❌ [${requestId}] Audio file too small: ${audioFile.size} bytes`);
-    
-    if (fs.existsSync(audioFile.path)) {
-      fs.unlinkSync(audioFile.path);
-      console.log(`🗑️ [${requestId}] Small file cleaned up`);
-    }
-    
-    return res.json({
+  let locale;
+  try {
+    locale = normalizeLocale(req.body.locale);
+  } catch (localeError) {
+    removeFile(audioFile.path, requestId);
+    return res.status(400).json({
       success: false,
-      message: `Audio file too small: ${audioFile.size} bytes`,
-      transcribed_text: '',
+      error: 'Invalid locale',
+      message: localeError.message,
       request_id: requestId,
       timestamp: new Date().toISOString()
     });
   }
   
-  let transcribedText = '';
+  req.log.info('Voice command received', {
+    user_id,
+    session_id,
+    locale: locale ?? undefined,
+    file: audioFile.filename,
+    size: audioFile.size,
+    mimetype: audioFile.mimetype
+  });
   
-  try {
-    // Send audio to FastAPI Whisper server
-    console.log(`🔊 [${requestId}] Preparing to send audio to Whisper server...`);
-    console.log(`🔊 [${requestId}] Target URL: ${WHISPER_SERVER_URL}/transcribe`);
-    
-    const transcriptionStartTime = Date.now();
-    const transcriptionResult = await sendAudioToWhisperServer(audioFile.path, requestId);
-    
-    const transcriptionTime = Date.now() - transcriptionStartTime;
-    console.log(`✅ [${requestId}] Whisper transcription completed in ${transcriptionTime}ms`);
-    console.log(`✅ [${requestId}] Transcription result:`, transcriptionResult);
-    
-    if (!transcriptionResult.success) {
-      console.log(`❌ [${requestId}] Transcription failed:`, transcriptionResult.message);
-      return res.json({
-        success: false,
-        message: transcriptionResult.message || 'Transcription failed',
-        transcribed_text: '',
-        processing_time_ms: Date.now() - startTime,
-        transcription_time_ms: transcriptionTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    transcribedText = transcriptionResult.transcription;
-    console.log(`📝 [${requestId}] Transcribed text: "${transcribedText}"`);
-    
-    if (!transcribedText || transcribedText.trim() === '') {
-      console.log(`⚠️ [${requestId}] Empty transcription result`);
-      return res.json({
-        success: false,
-        message: 'No speech detected in audio',
-        transcribed_text: '',
-        processing_time_ms: Date.now() - startTime,
-        transcription_time_ms: transcriptionTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Command matching
-    console.log(`🔍 [${requestId}] Starting command matching for: "${transcribedText.trim()}"`);
-    const matchingStartTime = Date.now();
-    
-    const matchResult = await findMatchingCommand(transcribedText.trim(), user_id, requestId);
-    
-    const matchingTime = Date.now() - matchingStartTime;
-    console.log(`🔍 [${requestId}] Command matching completed in ${matchingTime}ms`);
-    console.log(`🔍 [${requestId}] Match result:`, matchResult);
+  // Async mode (?async=true or an `async` form field): answer 202 with a job id
+  // now and keep the upload until the background job is finished with it
+  if (req.query.async === 'true' || req.body.async === 'true') {
+    const job = enqueueJob(user_id, ({ signal, setState }) => processVoiceCommand(audioFile.path, {
+      userId: user_id,
+      clientIp: req.ip,
+      sessionId: session_id,
+      requestId,
+      transcriber,
+      locale,
+      source: 'job',
+      onStage: setState,
+      signal
+    }), {
+      cleanup: () => removeFile(audioFile.path, requestId)
+    });
     
-    const totalTime = Date.now() - startTime;
-    const response = {
-      success: matchResult.success,
-      transcribed_text: transcribedText.trim(),
-      command: matchResult.command,
-      parameter: matchResult.parameter,
-      workflow_id: matchResult.workflow_id,
-      message: matchResult.message,
-      processing_time_ms: totalTime,
-      transcription_time_ms: transcriptionTime,
-      matching_time_ms: matchingTime,
-      language: transcriptionResult.language,
-      confidence: transcriptionResult.confidence,
-      request_id: requestId,
-      timestamp: new Date().toISOString()
-    };
+    return res.status(202).json({
+      success: true,
+      ...describeJob(job),
+      status_url: `/jobs/${job.id}`,
+      events_url: `/jobs/${job.id}/events`,
+      request_id: requestId
+    });
+  }
+  
+  try {
+    const response = await processVoiceCommand(audioFile.path, {
+      userId: user_id,
+      clientIp: req.ip,
+      sessionId: session_id,
+      requestId,
+      transcriber,
+      locale,
+      startTime
+    });
     
-    console.log(`📤 [${requestId}] Sending final response:`, response);
     res.json(response);
     
   } catch (error) {
     const errorTime = Date.now() - startTime;
-    console.error(`❌ [${requestId}] ERROR processing voice command after ${errorTime}ms:`);
-    console.error(`❌ [${requestId}] Error name: ${error.name}`);
-    console.error(`❌ [${requestId}] Error message: ${error.message}`);
-    console.error(`❌ [${requestId}] Error stack:`, error.stack);
+    req.log.error('Error processing voice command', { duration_ms: errorTime, error });
     
     const errorResponse = {
       success: false,
       error: 'Voice processing failed',
+      code: error.code,
       message: `Processing failed: ${error.message}`,
       details: error.stack,
-      transcribed_text: transcribedText || '',
+      transcribed_text: error.transcribed_text || '',
       processing_time_ms: errorTime,
       request_id: requestId,
       timestamp: new Date().toISOString()
     };
     
-    console.log(`📤 [${requestId}] Sending error response:`, errorResponse);
-    res.status(500).json(errorResponse);
+    // 503/504 tell the client the transcription backend is down or too slow, not that it sent something wrong
+    const status = [503, 504].includes(error.status) ? error.status : 500;
+    if (error.retry_after_ms) {
+      res.set('Retry-After', String(Math.ceil(error.retry_after_ms / 1000)));
+    }
+    
+    res.status(status).json(errorResponse);
     
   } finally {
-    // Clean up audio file
-    if (audioFile && fs.existsSync(audioFile.path)) {
-      try {
-        fs.unlinkSync(audioFile.path);
-        console.log(`🗑️ [${requestId}] Audio file cleaned up successfully`);
-      } catch (cleanupErr) {
-        console.error(`❌ [${requestId}] Error cleaning audio file:`, cleanupErr);
-      }
+    // Clean up the uploaded file; the pipeline removes its converted copy
+    removeFile(audioFile.path, requestId);
+  }
+});
+
+// Background voice jobs started with POST /voice-command?async=true
+app.get('/jobs/:id', requireAuth, (req, res) => {
+  const job = getJob(req.params.id, req.caller.user_id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      job_id: req.params.id
+    });
+  }
+  
+  res.json({ success: true, ...describeJob(job) });
+});
+
+// Server-sent events: one `state` event now and on every change, until the job finishes
+app.get('/jobs/:id/events', requireEventStreamAuth, (req, res) => {
+  const job = getJob(req.params.id, req.caller.user_id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      job_id: req.params.id
+    });
+  }
+  
+  req.log.debug('Client subscribed to job events', { job_id: job.id });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  
+  const sendState = view => {
+    res.write(`event: state\ndata: ${JSON.stringify(view)}\n\n`);
+    if (isFinalState(view.state)) {
+      stop();
+      res.end();
     }
-    
-    console.log(`🏁 [${requestId}] ===== VOICE COMMAND REQUEST END =====\n`);
+  };
+  
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  function stop() {
+    clearInterval(heartbeat);
+    jobEvents.off(job.id, sendState);
   }
+  
+  jobEvents.on(job.id, sendState);
+  req.on('close', stop);
+  sendState(describeJob(job));
 });
 
-// Function to send audio to FastAPI Whisper server
-async function sendAudioToWhisperServer(audioFilePath, requestId) {
+app.delete('/jobs/:id', requireAuth, (req, res) => {
+  const job = getJob(req.params.id, req.caller.user_id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      job_id: req.params.id
+    });
+  }
+  
   try {
-    console.log(`📡 [${requestId}] [Whisper Client] Preparing form data...`);
-    
-    // Verify file exists before sending
-    if (!fs.existsSync(audioFilePath)) {
-      throw new Error(`Audio file not found: ${audioFilePath}`);
+    cancelJob(job);
+    res.json({ success: true, message: 'Job cancelled', ...describeJob(job) });
+  } catch (error) {
+    if (error.code === 'JOB_FINISHED') {
+      return res.status(409).json({
+        ...describeJob(job),
+        success: false,
+        error: 'Job already finished',
+        message: error.message
+      });
     }
-    
-    const fileStats = fs.statSync(audioFilePath);
-    console.log(`📡 [${requestId}] [Whisper Client] File stats:`, {
-      size: fileStats.size,
-      path: audioFilePath,
-      exists: true
+    throw error;
+  }
+});
+
+// Answer a needs_disambiguation response, by option number (2) or in words ("the second one")
+app.post('/disambiguate', requireAuth, (req, res) => {
+  const { session_id, choice } = req.body;
+  const user_id = req.caller.user_id;
+  const requestId = req.id;
+  
+  if (!session_id || choice === undefined || choice === null || choice === '') {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields',
+      message: 'session_id and choice are required',
+      request_id: requestId
     });
-    
-    console.log(`📡 [${requestId}] [Whisper Client] Creating form data...`);
-    
-    // Create form data
-    const formData = new FormData();
-    formData.append('audio', fs.createReadStream(audioFilePath));
-    
-    console.log(`📡 [${requestId}] [Whisper Client] Sending POST request to ${WHISPER_SERVER_URL}/transcribe`);
-    
-    // Send to FastAPI server
-    const response = await fetch(`${WHISPER_SERVER_URL}/transcribe`, {
-      method: 'POST',
-      body: formData,
-      headers: formData.getHeaders(),
-      timeout: 30000 // 30 second timeout
+  }
+  
+  const result = resolveDisambiguation(session_id, user_id, choice, requestId);
+  
+  if (!result) {
+    return res.status(404).json({
+      ...expiredSessionResult(),
+      error: 'Session not found or expired',
+      request_id: requestId
     });
+  }
+  
+  res.json({ ...result, request_id: requestId });
+});
+
+// 409 body for a save or edit that collides with the user's other commands
+function conflictResponse(conflicts, requestId) {
+  return {
+    success: false,
+    error: 'Command conflicts with existing commands',
+    message: `${conflicts.map(conflict => conflict.message).join('; ')}. Send "force": true to save anyway.`,
+    conflicts,
+    request_id: requestId
+  };
+}
+
+// Save command endpoint - ENHANCED VERSION WITH BETTER LOGGING
+app.post('/save-command', requireAuth, async (req, res) => {
+  const requestId = req.id;
+  const user_id = req.caller.user_id;
+  const { command_name, has_parameter, parameter_name, parameter_type, parameter_types, workflow_id, aliases = [], force = false } = req.body;
+  
+  req.log.debug('Save command request', { user_id, body: req.body });
+  
+  // Validate required fields
+  if (!command_name || !workflow_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields',
+      message: 'command_name and workflow_id are required',
+      request_id: requestId
+    });
+  }
+  
+  // Work out the parameter slots from the template ("send {message} to {contact}")
+  // or from the legacy has_parameter/parameter_name pair
+  let definition;
+  try {
+    definition = buildCommandDefinition({ command_name, has_parameter, parameter_name, parameter_type, parameter_types });
+  } catch (templateError) {
+    req.log.warn('Invalid command template', { code: templateError.code, detail: templateError.message });
     
-    console.log(`📡 [${requestId}] [Whisper Client] Received response - Status: ${response.status}`);
-    console.log(`📡 [${requestId}] [Whisper Client] Response headers:`, Object.fromEntries(response.headers.entries()));
-    
-    if (!response.ok) {
-      console.error(`❌ [${requestId}] [Whisper Client] HTTP Error: ${response.status} ${response.statusText}`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid command template',
+      message: templateError.message,
+      request_id: requestId
+    });
+  }
+  
+  // The language the command is spoken in; left out, it matches in any language
+  let locale;
+  try {
+    locale = normalizeLocale(req.body.locale);
+  } catch (localeError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid locale',
+      message: localeError.message,
+      request_id: requestId
+    });
+  }
+  
+  if (!Array.isArray(aliases)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid aliases',
+      message: 'aliases must be an array of phrases',
+      request_id: requestId
+    });
+  }
+  
+  const client = await pool.connect();
+  try {
+    await checkWorkflowBinding(user_id, workflow_id, definition.parameters, client);
+    await checkAliasPhrases({ user_id, command_name, ...definition }, aliases);
+    
+    // Refuse commands that would collide with existing ones unless the client insists
+    const conflicts = findCommandConflicts(
+      { user_id, command_name, ...definition, locale, aliases: aliases.map(phrase => ({ phrase })) },
+      await getUserCommands(user_id, client),
+      await getNormalizationRules(user_id, client)
+    );
+    
+    if (conflicts.length > 0) {
+      req.log.info(force ? 'Command conflicts - saving anyway (force)' : 'Command conflicts', { conflicts: conflicts.length });
       
-      let errorData;
-      try {
-        errorData = await response.json();
-        console.error(`❌ [${requestId}] [Whisper Client] Error response body:`, errorData);
-      } catch (parseError) {
-        console.error(`❌ [${requestId}] [Whisper Client] Could not parse error response`);
-        errorData = { error: 'Unknown error' };
+      if (!force) {
+        return res.status(409).json(conflictResponse(conflicts, requestId));
       }
-      
-      throw new Error(`Whisper server error (${response.status}): ${JSON.stringify(errorData)}`);
     }
     
-    console.log(`📥 [${requestId}] [Whisper Client] Parsing response JSON...`);
-    const result = await response.json();
+    const query = `
+      INSERT INTO commands (user_id, command_name, has_parameter, parameter_name, parameters, workflow_id, locale, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id, user_id, version, created_at
+    `;
+    
+    const queryParams = [
+      user_id,
+      command_name,
+      definition.has_parameter,
+      definition.parameter_name,
+      JSON.stringify(definition.parameters),
+      workflow_id,
+      locale
+    ];
+    
+    // The command and its aliases are saved together or not at all
+    await client.query('BEGIN');
+    const result = await client.query(query, queryParams);
+    const savedAliases = await insertAliases(client, result.rows[0], aliases);
+    await client.query('COMMIT');
+    invalidateMatcherIndex(user_id);
     
-    console.log(`📥 [${requestId}] [Whisper Client] Received transcription result:`, {
-      success: result.success,
-      transcription: result.transcription,
-      message: result.message,
-      processing_time: result.processing_time_ms,
-      language: result.language,
-      confidence: result.confidence
+    const savedCommand = result.rows[0];
+    req.log.info('Command saved', {
+      user_id,
+      command_id: savedCommand.id,
+      workflow_id,
+      slots: definition.parameters.map(param => `${param.name}:${param.type}`),
+      aliases: savedAliases.length,
+      locale: locale ?? undefined
     });
     
-    return result;
+    const response = { 
+      success: true, 
+      message: 'Command saved successfully',
+      id: savedCommand.id,
+      version: savedCommand.version,
+      created_at: savedCommand.created_at,
+      parameters: definition.parameters,
+      locale,
+      aliases: savedAliases,
+      conflicts,
+      request_id: requestId
+    };
+    
+    res.json(response);
     
   } catch (error) {
-    console.error(`❌ [${requestId}] [Whisper Client] Error details:`);
-    console.error(`❌ [${requestId}] [Whisper Client] Error name: ${error.name}`);
-    console.error(`❌ [${requestId}] [Whisper Client] Error message: ${error.message}`);
+    await client.query('ROLLBACK').catch(() => {});
     
-    if (error.code) {
-      console.error(`❌ [${requestId}] [Whisper Client] Error code: ${error.code}`);
+    if (error.code === 'UNKNOWN_WORKFLOW' || error.code === 'WORKFLOW_PARAMETER_MISMATCH') {
+      req.log.warn('Rejected workflow binding', { workflow_id, reason: error.message });
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'UNKNOWN_WORKFLOW' ? 'Unknown workflow' : 'Command does not fit workflow',
+        message: error.message,
+        workflow_id,
+        request_id: requestId
+      });
     }
     
-    if (error.code === 'ECONNREFUSED') {
-      console.error(`❌ [${requestId}] [Whisper Client] Connection refused - Whisper server is not running!`);
-      console.log(`💡 [${requestId}] [Whisper Client] Start Whisper server: python whisper_server.py`);
-    } else if (error.code === 'ETIMEDOUT') {
-      console.error(`❌ [${requestId}] [Whisper Client] Request timed out - Whisper server too slow`);
+    if (error.code === 'INVALID_ALIAS' || error.code === 'DUPLICATE_PHRASE') {
+      req.log.warn('Rejected alias', { code: error.code });
+      return res.status(error.code === 'INVALID_ALIAS' ? 400 : 409).json({
+        success: false,
+        error: error.code === 'INVALID_ALIAS' ? 'Invalid alias' : 'Phrase already in use',
+        message: error.message,
+        request_id: requestId
+      });
+    }
+    
+    req.log.error('Database error saving command', { error });
+    
+    // Check for specific database errors
+    let errorMessage = 'Database insert failed';
+    if (error.code === '23505') { // Unique constraint violation
+      errorMessage = error.constraint === 'command_aliases_user_id_phrase_key'
+        ? 'Alias phrase already exists for user'
+        : 'Command with this name already exists for user';
+    } else if (error.code === '23503') { // Foreign key violation
+      errorMessage = 'Invalid workflow_id provided';
     }
     
-    throw new Error(`Failed to transcribe audio: ${error.message}`);
+    const errorResponse = {
+      success: false, 
+      error: errorMessage,
+      details: error.message,
+      request_id: requestId
+    };
+    
+    res.status(500).json(errorResponse);
+  } finally {
+    client.release();
   }
-}
+});
 
-// FIXED: Function to clean transcribed text by removing ALL punctuation and converting to lowercase
-function cleanTranscribedText(text) {
-  if (!text || typeof text !== 'string') {
-    return '';
-  }
-  
-  console.log(`🧹 [Text Cleaner] Original text: "${text}"`);
-  
-  // Define punctuation characters to remove
-  const punctuationChars = [',', '.', '?', '!', ';', ':', '"', "'", '(', ')', '[', ']', '{', '}', '-', '_', '/', '\\'];
-  
-  let cleanedText = text;
-  
-  // Remove all punctuation characters
-  punctuationChars.forEach(char => {
-    cleanedText = cleanedText.replace(new RegExp('\\' + char, 'g'), '');
-  });
-  
-  // Clean up extra spaces, convert to lowercase, and trim
-  cleanedText = cleanedText
-    .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
-    .trim()                // Remove leading/trailing whitespace
-    .toLowerCase();        // Convert to lowercase
+const PARAMETER_FIELDS = ['has_parameter', 'parameter_name', 'parameter_type', 'parameter_types'];
+
+// Work out the parameter definition of an edited command. Fields missing from
+// the edit keep their saved values, and slots that survive keep their types.
+function editedDefinition(current, changes) {
+  const command_name = changes.command_name ?? current.command_name;
+  const legacy = !isTemplate(current.command_name);
+  const fields = {
+    command_name,
+    has_parameter: changes.has_parameter ?? (legacy ? current.has_parameter : false),
+    parameter_name: changes.parameter_name ?? (legacy ? current.parameter_name : null),
+    parameter_type: changes.parameter_type,
+    parameter_types: changes.parameter_types
+  };
   
-  console.log(`🧹 [Text Cleaner] Cleaned text: "${cleanedText}"`);
+  const definition = buildCommandDefinition(fields);
+  if (changes.parameter_type !== undefined || changes.parameter_types !== undefined) {
+    return definition;
+  }
   
-  return cleanedText;
+  const slotNames = definition.parameters.map(param => param.name);
+  const keptTypes = Object.fromEntries(
+    (current.parameters || [])
+      .filter(param => slotNames.includes(param.name))
+      .map(param => [param.name, param.type])
+  );
+  return buildCommandDefinition({ ...fields, parameter_types: keptTypes });
 }
 
-// Function to check if character is punctuation
-function isPunctuation(char) {
-  const punctuationChars = [',', '.', '?', '!', ';', ':', '"', "'", '(', ')', '[', ']', '{', '}', '-', '_', '/', '\\'];
-  return punctuationChars.includes(char);
-}
+// Command and alias ids are SERIAL (int4); anything else can't name a row
+const MAX_COMMAND_ID = 2147483647;
+const isCommandId = id => /^\d+$/.test(id) && Number(id) <= MAX_COMMAND_ID;
 
-// FIXED: Enhanced fuzzy parameter extraction function
-function extractParameterWithCasingAndPunctuation(originalText, extractedParameter, requestId) {
-  console.log(`\n🧩 [${requestId}] ===== ENHANCED PARAMETER EXTRACTION START =====`);
-  console.log(`🧩 [${requestId}] [Enhanced Extractor] Original text: "${originalText}"`);
-  console.log(`🧩 [${requestId}] [Enhanced Extractor] Extracted parameter (to enhance): "${extractedParameter}"`);
+// Edit a saved command in place. The caller sends the version it last read;
+// if someone else has saved a change since, the edit is refused with 409.
+app.patch('/commands/:id', requireAuth, async (req, res) => {
+  const commandId = req.params.id;
+  const requestId = req.id;
+  const { version, command_name, workflow_id, locale, force = false } = req.body;
   
-  const og = originalText;
-  const cleanedOgText = cleanTranscribedText(og);
-  const raw = extractedParameter.toLowerCase();
+  req.log.debug('Edit command request', { command_id: commandId, version, body: req.body });
   
-  console.log(`🧩 [${requestId}] [Enhanced Extractor] Cleaned og text: "${cleanedOgText}"`);
-  console.log(`🧩 [${requestId}] [Enhanced Extractor] Raw param: "${raw}"`);
-  console.log(`🧩 [${requestId}] [Enhanced Extractor] Original text length: ${og.length}`);
-  console.log(`🧩 [${requestId}] [Enhanced Extractor] Cleaned text length: ${cleanedOgText.length}`);
-  console.log(`🧩 [${requestId}] [Enhanced Extractor] Raw param length: ${raw.length}`);
+  if (!isCommandId(commandId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Command not found',
+      command_id: commandId,
+      request_id: requestId
+    });
+  }
   
-  if (raw.length === 0 || cleanedOgText.length === 0) {
-    console.log(`❌ [${requestId}] [Enhanced Extractor] Empty input or parameter`);
-    return null;
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing version',
+      message: 'version is required - send the version you last read for this command',
+      request_id: requestId
+    });
   }
   
-  // STEP 1: Find where the extracted parameter appears in the cleaned text
-  console.log(`\n🔍 [${requestId}] [Enhanced Extractor] ===== STEP 1: FINDING PARAMETER POSITION IN CLEANED TEXT =====`);
+  const editsDefinition = command_name !== undefined || PARAMETER_FIELDS.some(field => req.body[field] !== undefined);
+  if (!editsDefinition && workflow_id === undefined && locale === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Nothing to update',
+      message: 'Provide command_name, workflow_id, locale or parameter fields to change',
+      request_id: requestId
+    });
+  }
   
-  const paramStartInCleaned = cleanedOgText.indexOf(raw);
+  if ((command_name !== undefined && !command_name) || (workflow_id !== undefined && !workflow_id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields',
+      message: 'command_name and workflow_id cannot be empty',
+      request_id: requestId
+    });
+  }
   
-  if (paramStartInCleaned === -1) {
-    console.log(`❌ [${requestId}] [Enhanced Extractor] Parameter "${raw}" not found in cleaned text "${cleanedOgText}"`);
-    return null;
+  // null (or "") makes the command match in any language again
+  let newLocale;
+  try {
+    newLocale = locale === undefined ? undefined : normalizeLocale(locale);
+  } catch (localeError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid locale',
+      message: localeError.message,
+      request_id: requestId
+    });
+  }
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    // Lock the row so the version check and the update see the same state
+    const locked = await client.query(
+      'SELECT id FROM commands WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [commandId, req.caller.user_id]
+    );
+    const current = locked.rows.length > 0 ? await getCommandById(commandId, client) : null;
+    
+    if (!current) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Command not found',
+        command_id: commandId,
+        request_id: requestId
+      });
+    }
+    
+    if (current.version !== version) {
+      await client.query('ROLLBACK');
+      req.log.info('Version conflict', { command_id: commandId, sent_version: version, current_version: current.version });
+      return res.status(409).json({
+        success: false,
+        error: 'Version conflict',
+        message: 'The command was changed since you last read it - reload it and try again',
+        current_version: current.version,
+        command: current,
+        request_id: requestId
+      });
+    }
+    
+    let definition = {
+      has_parameter: current.has_parameter,
+      parameter_name: current.parameter_name,
+      parameters: current.parameters
+    };
+    if (editsDefinition) {
+      try {
+        definition = editedDefinition(current, req.body);
+      } catch (templateError) {
+        await client.query('ROLLBACK');
+        req.log.warn('Invalid command template', { code: templateError.code, detail: templateError.message });
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid command template',
+          message: templateError.message,
+          request_id: requestId
+        });
+      }
+    }
+    
+    const updated = {
+      ...current,
+      ...definition,
+      command_name: command_name ?? current.command_name,
+      workflow_id: workflow_id ?? current.workflow_id,
+      locale: newLocale === undefined ? current.locale : newLocale
+    };
+    
+    // A new workflow, or new slots, must still fit what the workflow expects
+    if (editsDefinition || workflow_id !== undefined) {
+      await checkWorkflowBinding(updated.user_id, updated.workflow_id, updated.parameters, client);
+    }
+    
+    // The existing aliases must still fit the (possibly new) slots
+    const aliasPhrases = current.aliases.map(alias => alias.phrase);
+    await checkAliasPhrases({ ...updated, aliases: [] }, aliasPhrases, client);
+    
+    // Moving a command to another workflow can't create new collisions;
+    // moving it into another language can
+    const conflicts = editsDefinition || newLocale !== undefined
+      ? findCommandConflicts(updated, await getUserCommands(current.user_id, client), await getNormalizationRules(current.user_id, client))
+      : [];
+    if (conflicts.length > 0) {
+      req.log.info(force ? 'Command conflicts - saving anyway (force)' : 'Command conflicts', { conflicts: conflicts.length });
+      
+      if (!force) {
+        await client.query('ROLLBACK');
+        return res.status(409).json(conflictResponse(conflicts, requestId));
+      }
+    }
+    
+    const result = await client.query(
+      `UPDATE commands
+       SET command_name = $2, has_parameter = $3, parameter_name = $4, parameters = $5, workflow_id = $6, locale = $7,
+           version = version + 1, updated_at = NOW()
+       WHERE id = $1
+       RETURNING version, updated_at`,
+      [
+        current.id,
+        updated.command_name,
+        updated.has_parameter,
+        updated.parameter_name,
+        JSON.stringify(updated.parameters),
+        updated.workflow_id,
+        updated.locale
+      ]
+    );
+    await client.query('COMMIT');
+    invalidateMatcherIndex(current.user_id);
+    
+    const command = await getCommandById(current.id, client);
+    req.log.info('Command updated', {
+      command_id: command.id,
+      version: command.version,
+      workflow_id: command.workflow_id,
+      locale: command.locale ?? undefined
+    });
+    
+    res.json({
+      success: true,
+      message: 'Command updated successfully',
+      command,
+      version: result.rows[0].version,
+      updated_at: result.rows[0].updated_at,
+      conflicts,
+      request_id: requestId
+    });
+    
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    
+    let status = 500;
+    let errorMessage = 'Failed to update command';
+    if (error.code === 'INVALID_ALIAS') {
+      status = 400;
+      errorMessage = 'Invalid alias';
+    } else if (error.code === 'UNKNOWN_WORKFLOW') {
+      status = 400;
+      errorMessage = 'Unknown workflow';
+    } else if (error.code === 'WORKFLOW_PARAMETER_MISMATCH') {
+      status = 400;
+      errorMessage = 'Command does not fit workflow';
+    } else if (error.code === 'DUPLICATE_PHRASE') {
+      status = 409;
+      errorMessage = 'Phrase already in use';
+    } else if (error.code === '23505') { // Unique constraint violation
+      status = 409;
+      errorMessage = 'Command with this name already exists for user';
+    }
+    
+    if (status === 500) {
+      req.log.error(errorMessage, { command_id: commandId, error });
+    } else {
+      req.log.warn(errorMessage, { command_id: commandId, code: error.code, detail: error.message });
+    }
+    res.status(status).json({
+      success: false,
+      error: errorMessage,
+      message: error.message,
+      command_id: commandId,
+      request_id: requestId
+    });
+  } finally {
+    client.release();
   }
+});
+
+// locale (optional) restricts matching to commands in that language
+app.post('/execute-command', requireAuth, rateLimit('text'), async (req, res) => {
+  const { user_input } = req.body;
+  const user_id = req.caller.user_id;
+  const requestId = req.id;
   
-  const paramEndInCleaned = paramStartInCleaned + raw.length - 1;
+  req.log.info('Text command received', { user_id, user_input });
   
-  console.log(`🔍 [${requestId}] [Enhanced Extractor] Parameter found in cleaned text:`);
-  console.log(`🔍 [${requestId}] [Enhanced Extractor]   Start index: ${paramStartInCleaned}`);
-  console.log(`🔍 [${requestId}] [Enhanced Extractor]   End index: ${paramEndInCleaned}`);
-  console.log(`🔍 [${requestId}] [Enhanced Extractor]   Substring: "${cleanedOgText.substring(paramStartInCleaned, paramEndInCleaned + 1)}"`);
+  const startTime = Date.now();
+  const invocation = { user_id, request_id: requestId, source: 'text', transcript: user_input };
   
-  // STEP 2: Map cleaned positions back to original text positions
-  console.log(`\n🗺️ [${requestId}] [Enhanced Extractor] ===== STEP 2: MAPPING TO ORIGINAL TEXT =====`);
-  console.log(`🗺️ [${requestId}] [Enhanced Extractor] Need to map cleaned[${paramStartInCleaned}] and cleaned[${paramEndInCleaned}] to original positions`);
-  console.log(`🗺️ [${requestId}] [Enhanced Extractor] Original text: "${og}"`);
-  console.log(`🗺️ [${requestId}] [Enhanced Extractor] Cleaned text:  "${cleanedOgText}"`);
+  let locale;
+  try {
+    locale = normalizeLocale(req.body.locale);
+  } catch (localeError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid locale',
+      message: localeError.message,
+      request_id: requestId
+    });
+  }
   
-  let originalStartIndex = -1;
-  let originalEndIndex = -1;
-  let cleanedPos = 0;
+  invocation.language = locale;
+  
+  try {
+    const matchResult = await findMatchingCommand(user_input, user_id, requestId, { locale });
+    res.json(matchResult);
+    countInvocation('text', matchResult.decision ?? 'reject');
+    
+    const matchingTime = Date.now() - startTime;
+    recordInvocation({
+      ...invocation,
+      command_id: matchResult.command_id,
+      command_name: matchResult.command,
+      matched_phrase: matchResult.matched_phrase,
+      parameter: matchResult.parameter,
+      parameters: matchResult.parameters,
+      match_confidence: matchResult.confidence,
+      outcome: matchResult.decision ?? 'reject',
+      matching_time_ms: matchingTime,
+      total_time_ms: matchingTime
+    });
+  } catch (error) {
+    req.log.error('Error executing text command', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Command execution failed',
+      details: error.message
+    });
+    
+    recordInvocation({ ...invocation, outcome: 'error', error: error.message, total_time_ms: Date.now() - startTime });
+    countInvocation('text', 'error');
+  }
+});
+
+// What the assistant heard and did, newest first.
+// Filters: outcome, source (comma-separated), command_id, from, to (ISO dates), q (transcript text).
+// Pagination: limit (max 200) and offset.
+app.get('/history/:userId', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const filters = parseHistoryQuery(req.query);
+    const { entries, pagination } = await listHistory(userId, filters);
+    
+    res.json({ success: true, user_id: userId, entries, pagination });
+  } catch (error) {
+    if (error.code === 'INVALID_HISTORY_QUERY') {
+      req.log.warn('Invalid history query', { reason: error.message });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid history query',
+        message: error.message
+      });
+    }
+    
+    req.log.error('Error fetching history', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch history'
+    });
+  }
+});
+
+app.get('/commands/:userId', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    // Each command comes back with its alias phrases grouped under `aliases`
+    const commands = await getUserCommands(userId);
+    
+    res.json(commands);
+  } catch (error) {
+    req.log.error('Error fetching commands', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch commands'
+    });
+  }
+});
+
+// Download every command (phrases, parameters, aliases, workflow ids) as a versioned JSON file
+app.get('/commands/:userId/export', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const exported = await exportCommands(userId);
+    req.log.info('Exported commands', { user_id: userId, commands: exported.commands.length });
+    res.set('Content-Disposition', `attachment; filename="voice-commands-${exported.exported_at.slice(0, 10)}.json"`);
+    res.json(exported);
+  } catch (error) {
+    req.log.error('Error exporting commands', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export commands'
+    });
+  }
+});
+
+// Import a file from /commands/:userId/export. The body is the file itself;
+// ?mode=skip|overwrite|rename decides what happens to phrases the user already
+// has, ?dry_run=true only previews and ?force=true imports despite conflicts.
+app.post('/commands/:userId/import', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  const requestId = req.id;
+  const mode = req.query.mode || 'skip';
+  const dryRun = req.query.dry_run === 'true';
+  const force = req.query.force === 'true';
+  
+  try {
+    const result = await importCommands(userId, req.body, { mode, dryRun, force, requestId });
+    if (!dryRun) {
+      invalidateMatcherIndex(userId);
+    }
+    req.log.info(dryRun ? 'Import previewed' : 'Import finished', { user_id: userId, mode, force, summary: result.summary });
+    res.json({ success: true, user_id: userId, ...result, request_id: requestId });
+  } catch (error) {
+    if (error.code === 'INVALID_EXPORT' || error.code === 'INVALID_IMPORT_MODE') {
+      req.log.warn('Invalid import', { reason: error.message });
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'INVALID_EXPORT' ? 'Invalid export file' : 'Invalid import mode',
+        message: error.message,
+        errors: error.errors,
+        request_id: requestId
+      });
+    }
+    
+    if (error.code === 'CONFLICTS') {
+      req.log.info('Import refused', { reason: error.message });
+      return res.status(409).json({
+        success: false,
+        error: 'Imported commands conflict with existing commands',
+        message: `${error.message}. Send ?force=true to import anyway.`,
+        summary: error.summary,
+        commands: error.commands,
+        request_id: requestId
+      });
+    }
+    
+    let status = 500;
+    let errorMessage = 'Failed to import commands';
+    if (error.code === '23505') { // Unique constraint violation
+      status = 409;
+      errorMessage = 'Commands changed during the import - try again';
+    }
+    
+    req.log.error(errorMessage, { error });
+    res.status(status).json({
+      success: false,
+      error: errorMessage,
+      message: error.message,
+      request_id: requestId
+    });
+  }
+});
+
+
+// Alias phrases: extra ways to trigger the same command
+app.get('/commands/:id/aliases', requireAuth, async (req, res) => {
+  const commandId = req.params.id;
+  try {
+    const command = isCommandId(commandId) ? await getCommandById(commandId) : null;
+    
+    if (!command || command.user_id !== req.caller.user_id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Command not found',
+        command_id: commandId
+      });
+    }
+    
+    res.json({
+      success: true,
+      command_id: command.id,
+      command_name: command.command_name,
+      aliases: command.aliases
+    });
+  } catch (error) {
+    req.log.error('Error fetching aliases', { command_id: commandId, error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch aliases'
+    });
+  }
+});
+
+// Add one phrase ({ phrase }) or several ({ phrases: [...] })
+app.post('/commands/:id/aliases', requireAuth, async (req, res) => {
+  const commandId = req.params.id;
+  const phrases = req.body.phrases ?? (req.body.phrase !== undefined ? [req.body.phrase] : []);
+  await changeAliases(req, res, req.id, commandId, phrases, false);
+});
+
+// Replace the whole alias list ({ aliases: [...] })
+app.put('/commands/:id/aliases', requireAuth, async (req, res) => {
+  const commandId = req.params.id;
+  const phrases = req.body.aliases;
+  await changeAliases(req, res, req.id, commandId, phrases, true);
+});
+
+// Shared by the add and replace alias endpoints
+async function changeAliases(req, res, requestId, commandId, phrases, replace) {
+  if (!Array.isArray(phrases) || (!replace && phrases.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid aliases',
+      message: replace ? 'aliases must be an array of phrases' : 'phrase or phrases is required',
+      request_id: requestId
+    });
+  }
   
-  console.log(`🗺️ [${requestId}] [Enhanced Extractor] Starting character mapping...`);
+  if (!isCommandId(commandId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Command not found',
+      command_id: commandId,
+      request_id: requestId
+    });
+  }
   
-  for (let ogIdx = 0; ogIdx < og.length; ogIdx++) {
-    const char = og[ogIdx];
-    const isPunct = isPunctuation(char);
+  const client = await pool.connect();
+  try {
+    const command = await getCommandById(commandId, client);
+    
+    if (!command || command.user_id !== req.caller.user_id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Command not found',
+        command_id: commandId,
+        request_id: requestId
+      });
+    }
     
-    console.log(`🗺️ [${requestId}] [Enhanced Extractor] og[${ogIdx}]='${char}' ${isPunct ? '(PUNCT)' : '(CHAR)'} -> cleanedPos=${cleanedPos}`);
+    await checkAliasPhrases(replace ? { ...command, aliases: [] } : command, phrases, client);
     
-    // Map start position
-    if (cleanedPos === paramStartInCleaned && originalStartIndex === -1) {
-      originalStartIndex = ogIdx;
-      console.log(`📍 [${requestId}] [Enhanced Extractor] >>> MAPPED START: cleaned[${paramStartInCleaned}] -> original[${ogIdx}] = '${char}' <<<`);
+    await client.query('BEGIN');
+    if (replace) {
+      await client.query('DELETE FROM command_aliases WHERE command_id = $1', [command.id]);
     }
+    await insertAliases(client, command, phrases);
+    await client.query('COMMIT');
+    invalidateMatcherIndex(command.user_id);
     
-    // Map end position
-    if (cleanedPos === paramEndInCleaned && originalEndIndex === -1) {
-      originalEndIndex = ogIdx;
-      console.log(`📍 [${requestId}] [Enhanced Extractor] >>> MAPPED END: cleaned[${paramEndInCleaned}] -> original[${ogIdx}] = '${char}' <<<`);
+    const updated = await getCommandById(command.id, client);
+    req.log.info(replace ? 'Aliases replaced' : 'Aliases added', { command_id: updated.id, aliases: updated.aliases.length });
+    
+    res.json({
+      success: true,
+      message: replace ? 'Aliases replaced successfully' : 'Aliases added successfully',
+      command_id: updated.id,
+      command_name: updated.command_name,
+      aliases: updated.aliases,
+      request_id: requestId
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    
+    let status = 500;
+    let errorMessage = 'Failed to update aliases';
+    if (error.code === 'INVALID_ALIAS') {
+      status = 400;
+      errorMessage = 'Invalid alias';
+    } else if (error.code === 'DUPLICATE_PHRASE' || error.code === '23505') {
+      status = 409;
+      errorMessage = 'Phrase already in use';
     }
     
-    // Only increment cleaned position if character appears in cleaned text
-    if (!isPunct) {
-      cleanedPos++;
-      console.log(`🗺️ [${requestId}] [Enhanced Extractor]   cleanedPos incremented to ${cleanedPos}`);
+    if (status === 500) {
+      req.log.error(errorMessage, { command_id: commandId, error });
     } else {
-      console.log(`🗺️ [${requestId}] [Enhanced Extractor]   cleanedPos stays ${cleanedPos} (punctuation skipped)`);
+      req.log.warn(errorMessage, { command_id: commandId, code: error.code, detail: error.message });
     }
+    res.status(status).json({
+      success: false,
+      error: errorMessage,
+      message: error.message,
+      command_id: commandId,
+      request_id: requestId
+    });
+  } finally {
+    client.release();
   }
-  
-  console.log(`\n🗺️ [${requestId}] [Enhanced Extractor] Mapping complete:`);
-  console.log(`🗺️ [${requestId}] [Enhanced Extractor] originalStartIndex: ${originalStartIndex}`);
-  console.log(`🗺️ [${requestId}] [Enhanced Extractor] originalEndIndex: ${originalEndIndex}`);
-  
-  if (originalStartIndex === -1 || originalEndIndex === -1) {
-    console.log(`❌ [${requestId}] [Enhanced Extractor] Could not map positions to original text`);
-    console.log(`❌ [${requestId}] [Enhanced Extractor] This is likely a bug in the mapping algorithm`);
-    return null;
+}
+
+app.delete('/commands/:id/aliases/:aliasId', requireAuth, async (req, res) => {
+  const { id: commandId, aliasId } = req.params;
+  if (!isCommandId(commandId) || !isCommandId(aliasId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Alias not found',
+      command_id: commandId,
+      alias_id: aliasId
+    });
   }
   
-  // Extract parameter with original punctuation and casing
-  const enhancedParameter = og.substring(originalStartIndex, originalEndIndex + 1);
+  try {
+    const result = await pool.query(
+      'DELETE FROM command_aliases WHERE id = $1 AND command_id = $2 AND user_id = $3 RETURNING id, phrase',
+      [aliasId, commandId, req.caller.user_id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alias not found',
+        command_id: commandId,
+        alias_id: aliasId
+      });
+    }
+    
+    invalidateMatcherIndex(req.caller.user_id);
+    req.log.info('Alias deleted', { command_id: commandId, alias_id: aliasId });
+    res.json({ success: true, message: 'Alias deleted', alias: result.rows[0] });
+  } catch (error) {
+    req.log.error('Error deleting alias', { command_id: commandId, alias_id: aliasId, error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alias'
+    });
+  }
+});
+
+// Workflow registry: the Automa workflows commands can be bound to
+const WORKFLOW_ERRORS = {
+  INVALID_WORKFLOW: [400, 'Invalid workflow'],
+  WORKFLOW_NOT_FOUND: [404, 'Workflow not found'],
+  WORKFLOW_EXISTS: [409, 'Workflow already exists'],
+  WORKFLOW_IN_USE: [409, 'Workflow still has commands'],
+  WORKFLOW_PARAMETER_MISMATCH: [409, 'Bound commands do not fit the new parameters']
+};
+
+function workflowErrorResponse(req, res, error) {
+  const requestId = req.id;
+  const known = WORKFLOW_ERRORS[error.code];
   
-  console.log(`\n🎉 [${requestId}] [Enhanced Extractor] ===== SUCCESS! =====`);
-  console.log(`🎉 [${requestId}] [Enhanced Extractor] Original text: "${originalText}"`);
-  console.log(`🎉 [${requestId}] [Enhanced Extractor] Cleaned positions: start=${paramStartInCleaned}, end=${paramEndInCleaned}`);
-  console.log(`🎉 [${requestId}] [Enhanced Extractor] Original positions: start=${originalStartIndex}, end=${originalEndIndex}`);
-  console.log(`🎉 [${requestId}] [Enhanced Extractor] Extracted parameter: "${enhancedParameter}"`);
-  console.log(`🎉 [${requestId}] [Enhanced Extractor] ===== END =====\n`);
+  if (!known) {
+    req.log.error('Workflow request failed', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Workflow request failed',
+      details: error.message,
+      request_id: requestId
+    });
+  }
   
-  return enhancedParameter;
+  const [status, message] = known;
+  req.log.warn(message, { reason: error.message });
+  res.status(status).json({
+    success: false,
+    error: message,
+    message: error.message,
+    commands: error.commands,
+    request_id: requestId
+  });
 }
 
-// REPLACE THE ENTIRE findMatchingCommand function in your server.js with this fixed version:
+app.get('/workflows', requireAuth, async (req, res) => {
+  const requestId = req.id;
+  
+  try {
+    const workflows = await listWorkflows(req.caller.user_id);
+    res.json({ success: true, workflows, request_id: requestId });
+  } catch (error) {
+    workflowErrorResponse(req, res, error);
+  }
+});
+
+// Body: { id (the Automa workflow id, generated if missing), name, description, parameters: [{ name, type, required }] }
+app.post('/workflows', requireAuth, async (req, res) => {
+  const requestId = req.id;
+  try {
+    const { user_id, ...fields } = req.body || {};
+    const workflow = await createWorkflow(req.caller.user_id, fields);
+    req.log.info('Workflow registered', { workflow_id: workflow.id });
+    res.status(201).json({ success: true, workflow, request_id: requestId });
+  } catch (error) {
+    workflowErrorResponse(req, res, error);
+  }
+});
 
-async function findMatchingCommand(userInput, userId, requestId) {
+app.get('/workflows/:id', requireAuth, async (req, res) => {
+  const requestId = req.id;
+  
   try {
-    console.log(`\n🔍 [${requestId}] ========================================`);
-    console.log(`🔍 [${requestId}] [Command Matcher] STARTING COMMAND SEARCH`);
-    console.log(`🔍 [${requestId}] ========================================`);
-    console.log(`🔍 [${requestId}] [Command Matcher] Original input: "${userInput}"`);
-    console.log(`🔍 [${requestId}] [Command Matcher] User ID: ${userId}`);
-    
-    // STEP 1: Clean the user input
-    const cleanedUserInput = cleanTranscribedText(userInput);
-    console.log(`🔍 [${requestId}] [Command Matcher] Cleaned input: "${cleanedUserInput}"`);
-    
-    if (!cleanedUserInput) {
-      console.log(`⚠️ [${requestId}] [Command Matcher] Empty input after cleaning`);
-      return {
+    const workflow = await getWorkflow(req.caller.user_id, req.params.id);
+    if (!workflow) {
+      return res.status(404).json({
         success: false,
-        message: 'Empty command after cleaning'
-      };
+        error: 'Workflow not found',
+        workflow_id: req.params.id,
+        request_id: requestId
+      });
     }
-    
-    const query = 'SELECT * FROM commands WHERE user_id = $1 ORDER BY has_parameter ASC, command_name ASC';
-    console.log(`🔍 [${requestId}] [Command Matcher] Executing database query...`);
-    const result = await pool.query(query, [userId]);
-    
-    console.log(`🔍 [${requestId}] [Command Matcher] Found ${result.rows.length} commands for user ${userId}`);
-    
-    if (result.rows.length === 0) {
-      console.log(`⚠️ [${requestId}] [Command Matcher] No commands found for user`);
-      return {
+    res.json({ success: true, workflow, request_id: requestId });
+  } catch (error) {
+    workflowErrorResponse(req, res, error);
+  }
+});
+
+// The voice commands bound to a workflow
+app.get('/workflows/:id/commands', requireAuth, async (req, res) => {
+  const requestId = req.id;
+  
+  try {
+    const workflow = await getWorkflow(req.caller.user_id, req.params.id);
+    if (!workflow) {
+      return res.status(404).json({
         success: false,
-        message: 'No commands found for this user'
-      };
+        error: 'Workflow not found',
+        workflow_id: req.params.id,
+        request_id: requestId
+      });
     }
     
-    // Log all commands for debugging
-    console.log(`\n🔍 [${requestId}] [Command Matcher] ===== AVAILABLE COMMANDS =====`);
-    result.rows.forEach((cmd, index) => {
-      console.log(`🔍 [${requestId}] [Command Matcher] ${index + 1}. "${cmd.command_name}" | Parameter: ${cmd.has_parameter ? `"${cmd.parameter_name}"` : 'none'} | Workflow: ${cmd.workflow_id}`);
+    const commands = await getWorkflowCommands(req.caller.user_id, req.params.id);
+    res.json({ success: true, workflow_id: workflow.id, commands, request_id: requestId });
+  } catch (error) {
+    workflowErrorResponse(req, res, error);
+  }
+});
+
+app.patch('/workflows/:id', requireAuth, async (req, res) => {
+  const requestId = req.id;
+  try {
+    const { user_id, ...changes } = req.body || {};
+    const workflow = await updateWorkflow(req.caller.user_id, req.params.id, changes);
+    req.log.info('Workflow updated', { workflow_id: workflow.id });
+    res.json({ success: true, workflow, request_id: requestId });
+  } catch (error) {
+    workflowErrorResponse(req, res, error);
+  }
+});
+
+// ?commands=restrict (default) refuses while commands are bound to the workflow;
+// ?commands=cascade deletes them together with the workflow
+app.delete('/workflows/:id', requireAuth, async (req, res) => {
+  const requestId = req.id;
+  const onCommands = req.query.commands || 'restrict';
+  try {
+    const deletedCommands = await deleteWorkflow(req.caller.user_id, req.params.id, { onCommands });
+    req.log.info('Workflow deleted', { workflow_id: req.params.id, on_commands: onCommands, deleted_commands: deletedCommands.length });
+    res.json({
+      success: true,
+      message: 'Workflow deleted',
+      workflow_id: req.params.id,
+      deleted_commands: deletedCommands,
+      request_id: requestId
     });
-    console.log(`🔍 [${requestId}] [Command Matcher] ========================================`);
-    
-    // STEP 2: First, check commands without parameters (exact match with proper case handling)
-    console.log(`\n🔍 [${requestId}] [Command Matcher] ===== STEP 1: EXACT MATCHES (NO PARAMETERS) =====`);
-    
-    let exactMatchCount = 0;
-    for (const command of result.rows) {
-      if (!command.has_parameter) {
-        exactMatchCount++;
-        // Clean the saved command name too
-        const cleanedSavedCommand = cleanTranscribedText(command.command_name);
-        
-        console.log(`\n🔍 [${requestId}] [Command Matcher] Testing exact match ${exactMatchCount}:`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Original saved: "${command.command_name}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Cleaned saved:  "${cleanedSavedCommand}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   User input:     "${cleanedUserInput}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Match: ${cleanedUserInput.toLowerCase() === cleanedSavedCommand.toLowerCase() ? 'YES' : 'NO'}`);
-        
-        // Compare both in lowercase
-        if (cleanedUserInput.toLowerCase() === cleanedSavedCommand.toLowerCase()) {
-          console.log(`✅ [${requestId}] [Command Matcher] >>> EXACT MATCH FOUND! <<<`);
-          console.log(`✅ [${requestId}] [Command Matcher] Command: "${command.command_name}"`);
-          console.log(`✅ [${requestId}] [Command Matcher] Workflow ID: ${command.workflow_id}`);
-          
-          return {
-            success: true,
-            command: command.command_name,
-            parameter: null,
-            workflow_id: command.workflow_id,
-            message: 'Ready to execute workflow'
-          };
-        }
-      }
-    }
-    
-    console.log(`🔍 [${requestId}] [Command Matcher] No exact matches found (tested ${exactMatchCount} commands)`);
-    
-    // STEP 3: Then check commands with parameters
-    console.log(`\n🔍 [${requestId}] [Command Matcher] ===== STEP 2: PARAMETERIZED MATCHES (WITH ENHANCED EXTRACTION) =====`);
-    
-    let paramMatchCount = 0;
-    for (const command of result.rows) {
-      if (command.has_parameter && command.parameter_name) {
-        paramMatchCount++;
-        const savedCommand = command.command_name;
-        const savedParam = command.parameter_name;
-        
-        console.log(`\n🔍 [${requestId}] [Command Matcher] >>> Testing parameterized match ${paramMatchCount} <<<`);
-        console.log(`🔍 [${requestId}] [Command Matcher] Original saved command: "${savedCommand}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher] Saved parameter name: "${savedParam}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher] Workflow ID: ${command.workflow_id}`);
-        
-        // Clean the saved command
-        const cleanedSavedCommand = cleanTranscribedText(savedCommand);
-        const cleanedSavedParam = cleanTranscribedText(savedParam);
-        
-        console.log(`🔍 [${requestId}] [Command Matcher] Cleaned saved command: "${cleanedSavedCommand}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher] Cleaned saved parameter: "${cleanedSavedParam}"`);
-        
-        // Find where the parameter appears in the saved command (case insensitive)
-        const savedCommandLower = cleanedSavedCommand.toLowerCase();
-        const savedParamLower = cleanedSavedParam.toLowerCase();
-        const paramIndex = savedCommandLower.indexOf(savedParamLower);
-        
-        console.log(`🔍 [${requestId}] [Command Matcher] Parameter index in command: ${paramIndex}`);
-        
-        if (paramIndex === -1) {
-          console.error(`❌ [${requestId}] [Command Matcher] ERROR: Parameter "${cleanedSavedParam}" not found in command "${cleanedSavedCommand}"`);
-          console.error(`❌ [${requestId}] [Command Matcher] This suggests data corruption or invalid saved command`);
-          continue;
-        }
-        
-        // Extract prefix and suffix using the lowercase versions for finding positions
-        const prefix = cleanedSavedCommand.substring(0, paramIndex);
-        const suffix = cleanedSavedCommand.substring(paramIndex + cleanedSavedParam.length);
-        
-        console.log(`🔍 [${requestId}] [Command Matcher] Pattern breakdown (cleaned):`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Prefix: "${prefix}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Parameter: "${cleanedSavedParam}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Suffix: "${suffix}"`);
-        
-        // Check if user input matches this pattern (both already cleaned)
-        console.log(`🔍 [${requestId}] [Command Matcher] Pattern matching (both cleaned):`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   User input: "${cleanedUserInput}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Prefix: "${prefix}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Suffix: "${suffix}"`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Starts with prefix: ${cleanedUserInput.startsWith(prefix)}`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Ends with suffix: ${cleanedUserInput.endsWith(suffix)}`);
-        console.log(`🔍 [${requestId}] [Command Matcher]   Overall pattern match: ${cleanedUserInput.startsWith(prefix) && cleanedUserInput.endsWith(suffix)}`);
-        
-        if (cleanedUserInput.startsWith(prefix) && cleanedUserInput.endsWith(suffix)) {
-          console.log(`✅ [${requestId}] [Command Matcher] >>> PATTERN MATCHES! Using enhanced extraction for casing/punctuation... <<<`);
-          
-          // BASIC EXTRACTION (from working version)
-          const basicParamValue = cleanedUserInput.substring(prefix.length, cleanedUserInput.length - suffix.length).trim();
-          console.log(`📝 [${requestId}] [Command Matcher] Basic extracted parameter: "${basicParamValue}"`);
-          
-          // ENHANCED EXTRACTION (preserve casing and punctuation)
-          let enhancedParamValue = basicParamValue;
-          
-          // Only use enhanced extraction if we have a basic match
-          if (basicParamValue) {
-            console.log(`🔧 [${requestId}] [Command Matcher] Attempting enhanced parameter extraction...`);
-            
-            const enhancedParam = extractParameterWithCasingAndPunctuation(userInput, basicParamValue, requestId);
-            
-            if (enhancedParam) {
-              enhancedParamValue = enhancedParam;
-              console.log(`✅ [${requestId}] [Command Matcher] Enhanced extraction successful: "${enhancedParam}"`);
-            } else {
-              console.log(`⚠️ [${requestId}] [Command Matcher] Enhanced extraction failed, using basic: "${basicParamValue}"`);
-            }
-          }
-          
-          console.log(`\n🎉 [${requestId}] [Command Matcher] ========================================`);
-          console.log(`🎉 [${requestId}] [Command Matcher] >>> PARAMETERIZED MATCH FOUND! <<<`);
-          console.log(`🎉 [${requestId}] [Command Matcher] ========================================`);
-          console.log(`🎉 [${requestId}] [Command Matcher] Original command: "${savedCommand}"`);
-          console.log(`🎉 [${requestId}] [Command Matcher] Final extracted parameter: "${enhancedParamValue}"`);
-          console.log(`🎉 [${requestId}] [Command Matcher] Workflow ID: ${command.workflow_id}`);
-          console.log(`🎉 [${requestId}] [Command Matcher] ========================================`);
-          
-          return {
-            success: true,
-            command: command.command_name,
-            parameter: enhancedParamValue,
-            workflow_id: command.workflow_id,
-            message: 'Ready to execute workflow with parameter'
-          };
-        } else {
-          // DEBUGGING: Show why it didn't match - FIXED VERSION
-          console.log(`❌ [${requestId}] [Command Matcher] Pattern mismatch for "${savedCommand}":`);
-          if (!cleanedUserInput.startsWith(prefix)) {
-            console.log(`❌ [${requestId}] [Command Matcher]   Prefix mismatch: "${cleanedUserInput}" does not start with "${prefix}"`);
-          }
-          if (!cleanedUserInput.endsWith(suffix)) {
-            console.log(`❌ [${requestId}] [Command Matcher]   Suffix mismatch: "${cleanedUserInput}" does not end with "${suffix}"`);
-          }
-          console.log(`❌ [${requestId}] [Command Matcher] Skipping this command...`);
-        }
-      }
+  } catch (error) {
+    if (error.code === 'WORKFLOW_IN_USE') {
+      error.message += ' - delete them first or send ?commands=cascade';
     }
-    
-    console.log(`\n❌ [${requestId}] [Command Matcher] ========================================`);
-    console.log(`❌ [${requestId}] [Command Matcher] NO MATCHING COMMAND FOUND`);
-    console.log(`❌ [${requestId}] [Command Matcher] ========================================`);
-    console.log(`❌ [${requestId}] [Command Matcher] Tested ${exactMatchCount} exact matches`);
-    console.log(`❌ [${requestId}] [Command Matcher] Tested ${paramMatchCount} parameterized matches`);
-    console.log(`❌ [${requestId}] [Command Matcher] User input: "${userInput}"`);
-    console.log(`❌ [${requestId}] [Command Matcher] Cleaned input: "${cleanedUserInput}"`);
-    console.log(`❌ [${requestId}] [Command Matcher] Available commands:`);
-    result.rows.forEach((cmd, index) => {
-      console.log(`❌ [${requestId}] [Command Matcher]   ${index + 1}. "${cmd.command_name}" (${cmd.has_parameter ? 'with parameter' : 'no parameter'})`);
-    });
-    console.log(`❌ [${requestId}] [Command Matcher] ========================================`);
-    
-    return {
-      success: false,
-      message: 'No matching command found'
-    };
-    
+    workflowErrorResponse(req, res, error);
+  }
+});
+
+// Usage summary over the retained history: most-used commands, match rate,
+// latencies and commands that never fired. Optional from/to (ISO dates) and top.
+app.get('/analytics/:userId', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const analytics = await getUsageAnalytics(userId, parseAnalyticsQuery(req.query));
+    res.json({ success: true, user_id: userId, ...analytics });
   } catch (error) {
-    console.error(`❌ [${requestId}] [Command Matcher] ========================================`);
-    console.error(`❌ [${requestId}] [Command Matcher] DATABASE ERROR`);
-    console.error(`❌ [${requestId}] [Command Matcher] ========================================`);
-    console.error(`❌ [${requestId}] [Command Matcher] Error name: ${error.name}`);
-    console.error(`❌ [${requestId}] [Command Matcher] Error message: ${error.message}`);
-    console.error(`❌ [${requestId}] [Command Matcher] Error code: ${error.code}`);
-    console.error(`❌ [${requestId}] [Command Matcher] Error stack:`, error.stack);
-    console.error(`❌ [${requestId}] [Command Matcher] ========================================`);
-    throw error;
+    analyticsErrorResponse(req, res, error);
   }
-}
+});
 
+// What users say that matches nothing, grouped into clusters of similar phrases.
+// Each cluster's save_command is a /save-command body without the workflow_id
+// (listed in save_command_requires): the client adds it before saving.
+// Optional from/to, limit (clusters) and min_size (utterances per cluster).
+app.get('/analytics/:userId/unmatched', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    const insights = await getUnmatchedClusters(userId, parseAnalyticsQuery(req.query));
+    res.json({ success: true, user_id: userId, ...insights });
+  } catch (error) {
+    analyticsErrorResponse(req, res, error);
+  }
+});
 
-// Save command endpoint - ENHANCED VERSION WITH BETTER LOGGING
-app.post('/save-command', async (req, res) => {
-  const requestId = `save-${Date.now()}`;
-  const { user_id, command_name, has_parameter, parameter_name, workflow_id } = req.body;
-  
-  console.log(`\n💾 [${requestId}] ===== SAVE COMMAND REQUEST =====`);
-  console.log(`💾 [${requestId}] Timestamp: ${new Date().toISOString()}`);
-  console.log(`💾 [${requestId}] Request data:`, {
-    user_id,
-    command_name,
-    has_parameter,
-    parameter_name,
-    workflow_id
-  });
-  
-  // Validate required fields
-  if (!user_id || !command_name || !workflow_id) {
-    console.error(`❌ [${requestId}] Missing required fields`);
-    console.error(`❌ [${requestId}] user_id: ${user_id}, command_name: ${command_name}, workflow_id: ${workflow_id}`);
-    
+function analyticsErrorResponse(req, res, error) {
+  if (error.code === 'INVALID_ANALYTICS_QUERY') {
+    req.log.warn('Invalid analytics query', { reason: error.message });
     return res.status(400).json({
       success: false,
-      error: 'Missing required fields',
-      message: 'user_id, command_name, and workflow_id are required',
-      request_id: requestId
+      error: 'Invalid analytics query',
+      message: error.message
     });
   }
   
+  req.log.error('Error building analytics', { error });
+  res.status(500).json({
+    success: false,
+    error: 'Failed to build analytics'
+  });
+}
+
+// Per-user preferences: confidence thresholds for fuzzy matches and history retention
+app.get('/settings/:userId', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
   try {
-    console.log(`💾 [${requestId}] Preparing database query...`);
-    
-    const query = `
-      INSERT INTO commands (user_id, command_name, has_parameter, parameter_name, workflow_id, created_at)
-      VALUES ($1, $2, $3, $4, $5, NOW())
-      RETURNING id, created_at
-    `;
-    
-    const queryParams = [
-      user_id,
-      command_name,
-      has_parameter || false,
-      parameter_name || null,
-      workflow_id
-    ];
-    
-    console.log(`💾 [${requestId}] Executing query with params:`, queryParams);
-    
-    const result = await pool.query(query, queryParams);
-    
-    const savedCommand = result.rows[0];
-    console.log(`✅ [${requestId}] Command saved successfully:`, {
-      id: savedCommand.id,
-      created_at: savedCommand.created_at
+    const settings = await getUserSettings(userId);
+    res.json({ success: true, user_id: userId, settings });
+  } catch (error) {
+    req.log.error('Error fetching settings', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settings'
     });
-    
-    // Log command details for debugging
-    console.log(`✅ [${requestId}] Command details:`);
-    console.log(`     Command Name: "${command_name}"`);
-    console.log(`     Has Parameter: ${has_parameter}`);
-    console.log(`     Parameter Name: ${parameter_name || 'N/A'}`);
-    console.log(`     Workflow ID: ${workflow_id}`);
-    console.log(`     User ID: ${user_id}`);
-    console.log(`     Database ID: ${savedCommand.id}`);
-    
-    const response = { 
-      success: true, 
-      message: 'Command saved successfully',
-      id: savedCommand.id,
-      created_at: savedCommand.created_at,
-      request_id: requestId
-    };
-    
-    console.log(`📤 [${requestId}] Sending success response:`, response);
-    res.json(response);
-    
+  }
+});
+
+app.put('/settings/:userId', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  try {
+    // user_id in the body is only there to be checked against the API key
+    const { user_id, ...changes } = req.body || {};
+    const settings = await updateUserSettings(userId, changes);
+    // A lowered retention limit takes effect right away
+    if (changes.history_retention_days !== undefined || changes.history_max_entries !== undefined) {
+      await pruneHistory(userId, settings);
+    }
+    req.log.info('Settings updated', { user_id: userId, settings });
+    res.json({ success: true, user_id: userId, settings });
   } catch (error) {
-    console.error(`❌ [${requestId}] Database error saving command:`);
-    console.error(`❌ [${requestId}] Error name: ${error.name}`);
-    console.error(`❌ [${requestId}] Error message: ${error.message}`);
-    console.error(`❌ [${requestId}] Error code: ${error.code}`);
-    console.error(`❌ [${requestId}] Error stack:`, error.stack);
-    
-    // Check for specific database errors
-    let errorMessage = 'Database insert failed';
-    if (error.code === '23505') { // Unique constraint violation
-      errorMessage = 'Command with this name already exists for user';
-    } else if (error.code === '23503') { // Foreign key violation
-      errorMessage = 'Invalid workflow_id provided';
+    if (error.code === 'INVALID_SETTINGS') {
+      req.log.warn('Invalid settings', { reason: error.message });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid settings',
+        message: error.message
+      });
     }
     
-    const errorResponse = {
-      success: false, 
-      error: errorMessage,
-      details: error.message,
-      request_id: requestId
-    };
-    
-    console.log(`📤 [${requestId}] Sending error response:`, errorResponse);
-    res.status(500).json(errorResponse);
+    req.log.error('Error updating settings', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update settings'
+    });
   }
-  
-  console.log(`🏁 [${requestId}] ===== SAVE COMMAND REQUEST END =====\n`);
 });
 
-app.post('/execute-command', async (req, res) => {
-  const { user_input, user_id } = req.body;
-  const requestId = `text-${Date.now()}`;
-  
-  console.log(`\n=== [${requestId}] TEXT COMMAND ===`);
-  console.log(`📝 [${requestId}] User: ${user_id}, Input: "${user_input}"`);
-  
+// Text normalization rules, applied in order to saved phrases and to what the
+// user says before they are compared
+app.get('/normalization/:userId', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
   try {
-    const matchResult = await findMatchingCommand(user_input, user_id, requestId);
-    console.log(`📤 [${requestId}] Text command result:`, matchResult);
-    res.json(matchResult);
+    const rules = await getNormalizationRules(userId);
+    res.json({ success: true, user_id: userId, rules, default_rules: DEFAULT_RULES, rule_types: RULE_TYPES });
   } catch (error) {
-    console.error(`❌ [${requestId}] Error executing text command:`, error);
+    req.log.error('Error fetching normalization rules', { error });
     res.status(500).json({
       success: false,
-      error: 'Command execution failed',
-      details: error.message
+      error: 'Failed to fetch normalization rules'
     });
   }
 });
 
-app.get('/commands/:userId', async (req, res) => {
+// Replace the whole rule list ({ "rules": [...] }); "rules": null restores the defaults
+app.put('/normalization/:userId', requireAuth, async (req, res) => {
   const userId = req.params.userId;
-  console.log(`📋 [Database] Fetching commands for user: ${userId}`);
-  
   try {
-    const query = 'SELECT * FROM commands WHERE user_id = $1 ORDER BY command_name';
-    const result = await pool.query(query, [userId]);
-    
-    console.log(`📋 [Database] Found ${result.rows.length} commands for user ${userId}`);
-    res.json(result.rows);
+    const rules = await setNormalizationRules(userId, req.body?.rules);
+    invalidateMatcherIndex(userId);
+    req.log.info('Normalization rules saved', { user_id: userId, rules: rules.length });
+    res.json({ success: true, user_id: userId, rules });
   } catch (error) {
-    console.error('❌ [Database] Error fetching commands:', error);
+    if (error.code === 'INVALID_NORMALIZATION_RULES') {
+      req.log.warn('Invalid normalization rules', { reason: error.message });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid normalization rules',
+        message: error.message
+      });
+    }
+    
+    req.log.error('Error updating normalization rules', { error });
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch commands'
+      error: 'Failed to update normalization rules'
     });
   }
 });
 
-
-app.delete('/commands/workflow/:workflowId', async (req, res) => {
-  const workflowId = req.params.workflowId;
-  const { user_id } = req.body; // User ID sent in request body
-  const requestId = `delete-workflow-${Date.now()}`;
-  
-  console.log(`\n🗑️ [${requestId}] ===== DELETE WORKFLOW COMMANDS REQUEST =====`);
-  console.log(`🗑️ [${requestId}] Timestamp: ${new Date().toISOString()}`);
-  console.log(`🗑️ [${requestId}] Workflow ID: ${workflowId}`);
-  console.log(`🗑️ [${requestId}] User ID: ${user_id}`);
+// Show what each rule does to a piece of text. Send "rules" to try a list
+// before saving it; otherwise the user's current rules are used.
+app.post('/normalization/:userId/test', requireAuth, async (req, res) => {
+  const userId = req.params.userId;
+  const { text, rules } = req.body || {};
   
-  // Validate required parameters
-  if (!workflowId) {
-    console.error(`❌ [${requestId}] Missing workflow ID`);
+  if (typeof text !== 'string') {
     return res.status(400).json({
       success: false,
-      error: 'Missing workflow ID',
-      request_id: requestId
+      error: 'Missing text',
+      message: 'text must be a string'
+    });
+  }
+  
+  try {
+    const applied = rules !== undefined ? validateRules(rules) : await getNormalizationRules(userId);
+    res.json({ success: true, user_id: userId, ...traceNormalization(text, applied) });
+  } catch (error) {
+    if (error.code === 'INVALID_NORMALIZATION_RULES') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid normalization rules',
+        message: error.message
+      });
+    }
+    
+    req.log.error('Error testing normalization rules', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test normalization rules'
     });
   }
+});
+
+app.delete('/commands/workflow/:workflowId', requireAuth, async (req, res) => {
+  const workflowId = req.params.workflowId;
+  const user_id = req.caller.user_id;
+  const requestId = req.id;
   
-  if (!user_id) {
-    console.error(`❌ [${requestId}] Missing user ID`);
+  // Validate required parameters
+  if (!workflowId) {
     return res.status(400).json({
       success: false,
-      error: 'Missing user ID',
+      error: 'Missing workflow ID',
       request_id: requestId
     });
   }
   
   try {
-    console.log(`🗑️ [${requestId}] Searching for commands to delete...`);
-    
     // First, find all commands for this workflow and user
     const findQuery = 'SELECT * FROM commands WHERE workflow_id = $1 AND user_id = $2';
     const findResult = await pool.query(findQuery, [workflowId, user_id]);
     
     const commandsToDelete = findResult.rows;
-    console.log(`🗑️ [${requestId}] Found ${commandsToDelete.length} commands to delete`);
     
     if (commandsToDelete.length === 0) {
-      console.log(`ℹ️ [${requestId}] No commands found for workflow ${workflowId}`);
       return res.json({
         success: true,
         message: 'No commands found for this workflow',
@@ -999,23 +1721,15 @@ app.delete('/commands/workflow/:workflowId', async (req, res) => {
       });
     }
     
-    // Log what we're about to delete
-    console.log(`🗑️ [${requestId}] Commands to delete:`);
-    commandsToDelete.forEach((cmd, index) => {
-      console.log(`🗑️ [${requestId}]   ${index + 1}. "${cmd.command_name}" (ID: ${cmd.id})`);
-    });
-    
     // Delete all commands for this workflow and user
     const deleteQuery = 'DELETE FROM commands WHERE workflow_id = $1 AND user_id = $2 RETURNING *';
     const deleteResult = await pool.query(deleteQuery, [workflowId, user_id]);
+    invalidateMatcherIndex(user_id);
     
     const deletedCommands = deleteResult.rows;
-    console.log(`✅ [${requestId}] Successfully deleted ${deletedCommands.length} commands`);
-    
-    // Log what was deleted
-    console.log(`✅ [${requestId}] Deleted commands:`);
-    deletedCommands.forEach((cmd, index) => {
-      console.log(`✅ [${requestId}]   ${index + 1}. "${cmd.command_name}" (ID: ${cmd.id})`);
+    req.log.info('Workflow commands deleted', {
+      workflow_id: workflowId,
+      command_ids: deletedCommands.map(cmd => cmd.id)
     });
     
     const response = {
@@ -1026,7 +1740,8 @@ app.delete('/commands/workflow/:workflowId', async (req, res) => {
         id: cmd.id,
         command_name: cmd.command_name,
         has_parameter: cmd.has_parameter,
-        parameter_name: cmd.parameter_name
+        parameter_name: cmd.parameter_name,
+        parameters: cmd.parameters
       })),
       workflow_id: workflowId,
       user_id: user_id,
@@ -1034,19 +1749,10 @@ app.delete('/commands/workflow/:workflowId', async (req, res) => {
       timestamp: new Date().toISOString()
     };
     
-    console.log(`📤 [${requestId}] Sending success response:`, {
-      ...response,
-      commands: `[${response.deleted_count} commands]` // Don't log full command details
-    });
-    
     res.json(response);
     
   } catch (error) {
-    console.error(`❌ [${requestId}] Database error deleting workflow commands:`);
-    console.error(`❌ [${requestId}] Error name: ${error.name}`);
-    console.error(`❌ [${requestId}] Error message: ${error.message}`);
-    console.error(`❌ [${requestId}] Error code: ${error.code}`);
-    console.error(`❌ [${requestId}] Error stack:`, error.stack);
+    req.log.error('Database error deleting workflow commands', { workflow_id: workflowId, error });
     
     // Check for specific database errors
     let errorMessage = 'Database delete failed';
@@ -1066,28 +1772,29 @@ app.delete('/commands/workflow/:workflowId', async (req, res) => {
       timestamp: new Date().toISOString()
     };
     
-    console.log(`📤 [${requestId}] Sending error response:`, errorResponse);
     res.status(500).json(errorResponse);
   }
-  
-  console.log(`🏁 [${requestId}] ===== DELETE WORKFLOW COMMANDS REQUEST END =====\n`);
 });
 
-// ALSO UPDATE the existing individual command delete endpoint for better logging:
-app.delete('/commands/:id', async (req, res) => {
+app.delete('/commands/:id', requireAuth, async (req, res) => {
   const commandId = req.params.id;
-  const requestId = `delete-cmd-${Date.now()}`;
+  const requestId = req.id;
   
-  console.log(`\n🗑️ [${requestId}] ===== DELETE INDIVIDUAL COMMAND REQUEST =====`);
-  console.log(`🗑️ [${requestId}] Command ID: ${commandId}`);
+  if (!isCommandId(commandId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Command not found',
+      command_id: commandId,
+      request_id: requestId
+    });
+  }
   
   try {
     // First get the command details before deleting
-    const getQuery = 'SELECT * FROM commands WHERE id = $1';
-    const getResult = await pool.query(getQuery, [commandId]);
+    const getQuery = 'SELECT * FROM commands WHERE id = $1 AND user_id = $2';
+    const getResult = await pool.query(getQuery, [commandId, req.caller.user_id]);
     
     if (getResult.rows.length === 0) {
-      console.log(`⚠️ [${requestId}] Command ${commandId} not found`);
       return res.status(404).json({
         success: false,
         error: 'Command not found',
@@ -1096,16 +1803,14 @@ app.delete('/commands/:id', async (req, res) => {
       });
     }
     
-    const commandToDelete = getResult.rows[0];
-    console.log(`🗑️ [${requestId}] Deleting command: "${commandToDelete.command_name}"`);
-    
     // Delete the command
-    const deleteQuery = 'DELETE FROM commands WHERE id = $1 RETURNING *';
-    const deleteResult = await pool.query(deleteQuery, [commandId]);
+    const deleteQuery = 'DELETE FROM commands WHERE id = $1 AND user_id = $2 RETURNING *';
+    const deleteResult = await pool.query(deleteQuery, [commandId, req.caller.user_id]);
+    invalidateMatcherIndex(req.caller.user_id);
     
     const deletedCommand = deleteResult.rows[0];
     
-    console.log(`✅ [${requestId}] Successfully deleted command: "${deletedCommand.command_name}"`);
+    req.log.info('Command deleted', { command_id: deletedCommand.id, workflow_id: deletedCommand.workflow_id });
     
     const response = {
       success: true,
@@ -1118,11 +1823,10 @@ app.delete('/commands/:id', async (req, res) => {
       request_id: requestId
     };
     
-    console.log(`📤 [${requestId}] Sending success response:`, response);
     res.json(response);
     
   } catch (error) {
-    console.error(`❌ [${requestId}] Error deleting command ${commandId}:`, error);
+    req.log.error('Error deleting command', { command_id: commandId, error });
     
     const errorResponse = {
       success: false,
@@ -1132,50 +1836,36 @@ app.delete('/commands/:id', async (req, res) => {
       request_id: requestId
     };
     
-    console.log(`📤 [${requestId}] Sending error response:`, errorResponse);
     res.status(500).json(errorResponse);
   }
-  
-  console.log(`🏁 [${requestId}] ===== DELETE INDIVIDUAL COMMAND REQUEST END =====\n`);
 });
 
-app.delete('/commands/:id', async (req, res) => {
-  const commandId = req.params.id;
-  console.log(`🗑️ [Database] Deleting command ID: ${commandId}`);
-  
-  try {
-    const query = 'DELETE FROM commands WHERE id = $1';
-    await pool.query(query, [commandId]);
-    
-    console.log(`✅ [Database] Command ${commandId} deleted successfully`);
-    res.json({ success: true, message: 'Command deleted' });
-  } catch (error) {
-    console.error(`❌ [Database] Error deleting command ${commandId}:`, error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete command'
-    });
-  }
-});
+function refuseToStart(error) {
+  logger.error('Refusing to start', { component: 'database', error });
+  process.exit(1);
+}
+
+// The server may have started while Postgres was down: one attempt at a time
+// until the schema is up
+function retryPrepareDatabase() {
+  setTimeout(() => {
+    prepareDatabase()
+      .then(ready => ready || retryPrepareDatabase())
+      .catch(refuseToStart);
+  }, DATABASE_RETRY_MS);
+}
 
-app.listen(port, () => {
-  console.log(`\n🎉 ===== EXPRESS SERVER READY =====`);
-  console.log(`🚀 Express API server running at http://localhost:${port}`);
-  console.log(`🎤 Using FastAPI Whisper server at ${WHISPER_SERVER_URL}`);
-  console.log(`📁 Upload directory: ./uploads`);
-  console.log(`📅 Started at: ${new Date().toISOString()}`);
-  console.log(`\n💡 Next steps:`);
-  console.log(`   1. Start Whisper server: python whisper_server.py`);
-  console.log(`   2. This Express server is running ✅`);
-  console.log(`   3. Load your browser extension`);
-  console.log(`\n📊 Available endpoints:`);
-  console.log(`   GET  / - Root endpoint`);
-  console.log(`   GET  /health - Health check`);
-  console.log(`   GET  /get-user-id - Generate user ID`);
-  console.log(`   POST /voice-command - Voice transcription & execution`);
-  console.log(`   POST /execute-command - Text command execution`);
-  console.log(`   GET  /commands/:userId - List user commands`);
-  console.log(`   POST /save-command - Save new command`);
-  console.log(`   DELETE /commands/:id - Delete command`);
-  console.log(`\n🔍 Debugging: Watch this console for detailed request logging\n`);
-});
\ No newline at end of file
+// Compiled matcher indexes are cached per user and dropped when the database
+// reports a change to that user's commands; started once migrations have run
+prepareDatabase()
+  .then(ready => ready || retryPrepareDatabase())
+  .then(() => startMatcherInvalidation(pool))
+  .then(() => attachVoiceStream(app.listen(port, () => {
+    logger.info('Express server ready', {
+      url: `http://localhost:${port}`,
+      transcription_provider: transcriber.name,
+      transcription_url: transcriber.url,
+      upload_dir: UPLOAD_DIR
+    });
+  }), { transcriber, trustProxy: app.get('trust proxy') }))
+  .catch(refuseToStart);
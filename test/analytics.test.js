@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterUtterances, parseAnalyticsQuery } from '../lib/analytics.js';
+import { DEFAULT_RULES } from '../lib/normalization.js';
+
+const at = minute => new Date(Date.UTC(2026, 0, 1, 12, minute));
+const rows = transcripts => transcripts.map(([transcript, minute]) => ({ transcript, created_at: at(minute) }));
+
+test('clusterUtterances groups phrases that only differ after normalization', async () => {
+  const clusters = await clusterUtterances(rows([
+    ["What's the weather?", 1],
+    ['Um, what is the weather', 2],
+    ['what is the weather', 3]
+  ]), DEFAULT_RULES);
+
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].size, 3);
+  assert.equal(clusters[0].distinct_phrases, 1);
+  assert.equal(clusters[0].suggested_phrase, 'what is the weather');
+  assert.deepEqual(clusters[0].first_seen, at(1));
+  assert.deepEqual(clusters[0].last_seen, at(3));
+});
+
+test('clusterUtterances suggests the most frequent phrase and puts the biggest cluster first', async () => {
+  const clusters = await clusterUtterances(rows([
+    ['turn on the lights', 1],
+    ['turn on the light', 2],
+    ['turn on the lights', 3],
+    ['play some jazz', 4],
+    ['', 5]
+  ]), DEFAULT_RULES);
+
+  assert.deepEqual(clusters.map(cluster => cluster.suggested_phrase), ['turn on the lights', 'play some jazz']);
+  assert.deepEqual(clusters[0].samples, [{ text: 'turn on the lights', count: 2 }, { text: 'turn on the light', count: 1 }]);
+  assert.deepEqual(clusters[0].save_command, { command_name: 'turn on the lights' });
+  assert.equal(clusters[1].size, 1);
+});
+
+test('clusterUtterances compares each phrase with the cluster representative only', async () => {
+  // "turn on kitchen" is close to "turn on kitchen light" but not to the
+  // representative "turn on the kitchen lights", so it doesn't chain into that cluster
+  const clusters = await clusterUtterances(rows([
+    ['turn on the kitchen lights', 1],
+    ['turn on the kitchen lights', 2],
+    ['turn on kitchen light', 3],
+    ['turn on kitchen', 4]
+  ]), []);
+
+  assert.deepEqual(
+    clusters.map(cluster => cluster.samples.map(sample => sample.text)),
+    [['turn on the kitchen lights', 'turn on kitchen light'], ['turn on kitchen']]
+  );
+});
+
+test('parseAnalyticsQuery rejects bad dates and limits', () => {
+  assert.deepEqual(parseAnalyticsQuery({}), { from: null, to: null, top: 10, limit: 20, min_size: 2 });
+  assert.throws(() => parseAnalyticsQuery({ from: 'yesterday' }), { code: 'INVALID_ANALYTICS_QUERY' });
+  assert.throws(() => parseAnalyticsQuery({ limit: '0' }), { code: 'INVALID_ANALYTICS_QUERY' });
+});
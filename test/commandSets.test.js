@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMAT, EXPORT_VERSION, planImport } from '../lib/commandSets.js';
+
+const command = (id, command_name, fields = {}) => ({
+  id,
+  user_id: 'user-1',
+  command_name,
+  has_parameter: false,
+  parameter_name: null,
+  parameters: [],
+  workflow_id: 'wf-1',
+  locale: null,
+  aliases: [],
+  ...fields
+});
+
+// Answers the rules, commands and workflows queries a plan is made from
+function fakeDb({ commands = [], workflows = [{ id: 'wf-1', name: 'Existing', parameters: null }], rules = null } = {}) {
+  return {
+    async query(sql) {
+      if (sql.includes('FROM user_settings')) {
+        return { rows: rules ? [{ normalization_rules: rules }] : [] };
+      }
+      if (sql.includes('FROM workflows w')) {
+        return { rows: workflows };
+      }
+      return { rows: commands };
+    }
+  };
+}
+
+const exportFile = (commands, fields = {}) => ({ format: EXPORT_FORMAT, version: EXPORT_VERSION, commands, ...fields });
+
+test('planImport creates new commands and skips ones whose phrase is taken', async () => {
+  const db = fakeDb({ commands: [command(1, 'check mail')] });
+  const document = exportFile([
+    { command_name: 'Check Mail', workflow_id: 'wf-1' },
+    { command_name: 'go home', workflow_id: 'wf-1', aliases: ['head home'] }
+  ]);
+
+  const { plan, workflows } = await planImport('user-1', document, 'skip', db);
+
+  assert.deepEqual(plan.map(item => item.action), ['skip', 'create']);
+  assert.equal(plan[0].command_id, 1);
+  assert.deepEqual(plan[1].aliases, ['head home']);
+  assert.deepEqual(workflows, []);
+});
+
+test('planImport overwrites the existing command in overwrite mode and renames in rename mode', async () => {
+  const db = fakeDb({ commands: [command(1, 'check mail'), command(2, 'check mail 2')] });
+  const document = exportFile([{ command_name: 'check mail', workflow_id: 'wf-1' }]);
+
+  const overwrite = await planImport('user-1', document, 'overwrite', db);
+  assert.equal(overwrite.plan[0].action, 'overwrite');
+  assert.equal(overwrite.plan[0].command_id, 1);
+  assert.deepEqual(overwrite.plan[0].conflicts, []);
+
+  const rename = await planImport('user-1', document, 'rename', db);
+  assert.equal(rename.plan[0].action, 'create');
+  assert.equal(rename.plan[0].command_name, 'check mail 3');
+  assert.equal(rename.plan[0].renamed_from, 'check mail');
+});
+
+test('planImport drops aliases another command already answers to and reports template conflicts', async () => {
+  const db = fakeDb({
+    commands: [
+      command(1, 'lights off'),
+      command(2, 'open {site}', { has_parameter: true, parameters: [{ name: 'site', type: 'text' }] })
+    ]
+  });
+  const document = exportFile([{ command_name: 'open github', workflow_id: 'wf-1', aliases: ['Lights off', 'show github'] }]);
+
+  const { plan } = await planImport('user-1', document, 'skip', db);
+
+  assert.deepEqual(plan[0].aliases, ['show github']);
+  assert.deepEqual(plan[0].dropped_aliases.map(alias => alias.phrase), ['Lights off']);
+  assert.deepEqual(plan[0].conflicts.map(conflict => [conflict.type, conflict.command_id]), [['shadowed', 2]]);
+});
+
+test('planImport registers workflows the user is missing, from the file or from their id', async () => {
+  const document = exportFile([
+    { command_name: 'open {site}', has_parameter: true, parameter_name: 'site', parameter_types: { site: 'url' }, workflow_id: 'wf-2' },
+    { command_name: 'go home', workflow_id: 'wf-3' },
+    { command_name: 'check mail', workflow_id: 'wf-1' }
+  ], {
+    workflows: [{ id: 'wf-2', name: 'Open site', parameters: [{ name: 'site', type: 'url', required: true }] }]
+  });
+
+  const { workflows } = await planImport('user-1', document, 'skip', fakeDb());
+
+  assert.deepEqual(workflows.map(workflow => [workflow.id, workflow.name]), [['wf-2', 'Open site'], ['wf-3', 'wf-3']]);
+});
+
+test('planImport collects every problem in the file before refusing it', async () => {
+  const document = exportFile([
+    { command_name: '', workflow_id: 'wf-1' },
+    { command_name: 'go home', workflow_id: 'wf-1' },
+    { command_name: 'Go home!', workflow_id: 'wf-1' },
+    { command_name: 'open {site}', has_parameter: true, parameter_name: 'site', parameter_types: { site: 'colour' }, workflow_id: 'wf-1' }
+  ]);
+
+  await assert.rejects(planImport('user-1', document, 'skip', fakeDb()), error => {
+    assert.equal(error.code, 'INVALID_EXPORT');
+    assert.deepEqual(error.errors.map(problem => problem.index), [0, 2, 3]);
+    return true;
+  });
+
+  await assert.rejects(planImport('user-1', { format: 'something-else' }, 'skip', fakeDb()), { code: 'INVALID_EXPORT' });
+  await assert.rejects(planImport('user-1', exportFile([], { version: 99 }), 'skip', fakeDb()), { code: 'INVALID_EXPORT' });
+});
+
+test('planImport refuses commands whose parameters do not fit their workflow', async () => {
+  const db = fakeDb({ workflows: [{ id: 'wf-1', name: 'Go home', parameters: [] }] });
+  const document = exportFile([{ command_name: 'open {site}', has_parameter: true, parameter_name: 'site', workflow_id: 'wf-1' }]);
+
+  await assert.rejects(planImport('user-1', document, 'skip', db), error => {
+    assert.equal(error.code, 'INVALID_EXPORT');
+    assert.match(error.errors[0].message, /does not take a parameter named "site"/);
+    return true;
+  });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCommandConflicts } from '../lib/conflicts.js';
+
+const command = (id, command_name, fields = {}) => ({
+  id,
+  command_name,
+  has_parameter: false,
+  parameter_name: null,
+  parameters: [],
+  locale: null,
+  aliases: [],
+  ...fields
+});
+
+const template = (id, command_name, parameters, fields = {}) =>
+  command(id, command_name, { has_parameter: true, parameters, ...fields });
+
+test('findCommandConflicts reports the same phrase after normalization as a duplicate', () => {
+  const conflicts = findCommandConflicts(command(null, 'Open the Inbox!'), [command(1, 'open the inbox')]);
+
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].type, 'duplicate');
+  assert.equal(conflicts[0].command_id, 1);
+});
+
+test('findCommandConflicts treats templates that differ only in slot names as duplicates', () => {
+  const conflicts = findCommandConflicts(
+    template(null, 'open {page}', [{ name: 'page', type: 'text' }]),
+    [template(1, 'open {site}', [{ name: 'site', type: 'text' }])]
+  );
+
+  assert.deepEqual(conflicts.map(conflict => conflict.type), ['duplicate']);
+});
+
+test('findCommandConflicts catches a template swallowing a literal phrase, either way round', () => {
+  const openTemplate = template(1, 'open {site}', [{ name: 'site', type: 'text' }]);
+
+  const shadowed = findCommandConflicts(command(null, 'open github'), [openTemplate]);
+  assert.deepEqual(shadowed.map(conflict => conflict.type), ['shadowed']);
+
+  const shadows = findCommandConflicts({ ...openTemplate, id: null }, [command(2, 'open github')]);
+  assert.deepEqual(shadows.map(conflict => conflict.type), ['shadows']);
+  assert.deepEqual(shadows[0].examples, ['open github']);
+});
+
+test('findCommandConflicts respects typed parameters when a template meets a literal', () => {
+  const timer = template(1, 'set a timer for {length}', [{ name: 'length', type: 'duration' }]);
+
+  assert.deepEqual(findCommandConflicts(command(null, 'set a timer for lunch'), [timer]), []);
+  assert.equal(findCommandConflicts(command(null, 'set a timer for ten minutes'), [timer]).length, 1);
+});
+
+test('findCommandConflicts finds utterances two greedy templates both accept', () => {
+  const conflicts = findCommandConflicts(
+    template(null, '{thing} on {day}', [{ name: 'thing', type: 'text' }, { name: 'day', type: 'text' }]),
+    [template(1, 'remind me {task}', [{ name: 'task', type: 'text' }])]
+  );
+
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].type, 'ambiguous');
+  assert.ok(conflicts[0].examples.length > 0);
+});
+
+test('findCommandConflicts checks aliases and skips the command itself and other languages', () => {
+  const existing = [
+    command(1, 'check mail'),
+    command(2, 'play music', { locale: 'de-DE' }),
+    command(3, 'lights off', { locale: 'en-US' })
+  ];
+
+  const renamed = command(1, 'check mail', { aliases: [{ id: 9, phrase: 'lights off' }] });
+  assert.deepEqual(findCommandConflicts(renamed, existing).map(conflict => conflict.command_id), [3]);
+
+  assert.deepEqual(findCommandConflicts(command(null, 'play music', { locale: 'en-GB' }), existing), []);
+  assert.equal(findCommandConflicts(command(null, 'play music', { locale: 'de' }), existing).length, 1);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChoice, createSession, getSession, closeSession } from '../lib/disambiguation.js';
+
+const options = [
+  { command: 'check my mail', matched_phrase: 'check my mail' },
+  { command: 'check the weather', matched_phrase: 'check the weather' },
+  { command: 'open {site}', matched_phrase: 'open github' }
+];
+
+test('parseChoice takes 1-based numbers, as numbers or digits', () => {
+  assert.equal(parseChoice(2, options), 1);
+  assert.equal(parseChoice('3', options), 2);
+  assert.equal(parseChoice('number 1', options), 0);
+  assert.equal(parseChoice(0, options), -1);
+  assert.equal(parseChoice(4, options), -1);
+  assert.equal(parseChoice(1.5, options), -1);
+});
+
+test('parseChoice understands spoken ordinals wrapped in filler', () => {
+  assert.equal(parseChoice('the second one', options), 1);
+  assert.equal(parseChoice('I meant the third', options), 2);
+  assert.equal(parseChoice('Last one, please.', options), 2);
+  assert.equal(parseChoice('one', options), 0);
+  assert.equal(parseChoice('the fifth one', options), -1);
+});
+
+test('parseChoice matches the answer against the options\' phrases', () => {
+  assert.equal(parseChoice('Check the weather', options), 1);
+  assert.equal(parseChoice('open github', options), 2);
+  assert.equal(parseChoice('play some music', options), -1);
+  assert.equal(parseChoice(null, options), -1);
+  assert.equal(parseChoice('constructor', options), -1);
+});
+
+test('sessions belong to the user who was asked and end when closed', () => {
+  const session = createSession('user-1', options, { original_input: 'check' });
+
+  assert.equal(getSession(session.id, 'user-1'), session);
+  assert.equal(getSession(session.id, 'user-2'), null);
+  assert.equal(getSession('no-such-session', 'user-1'), null);
+
+  closeSession(session.id);
+  assert.equal(getSession(session.id, 'user-1'), null);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enqueueJob, cancelJob, describeJob } from '../lib/jobs.js';
+
+test('a job runs its task and cleans up once it is done', async () => {
+  const cleaned = [];
+  const job = enqueueJob('user-1', async ({ setState }) => {
+    setState('transcribing');
+    return { ok: true };
+  }, { cleanup: () => cleaned.push('done') });
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(describeJob(job).state, 'done');
+  assert.deepEqual(describeJob(job).result, { ok: true });
+  assert.deepEqual(cleaned, ['done']);
+});
+
+test('cancelling a running job waits for its task to settle before cleaning up', async () => {
+  let finishTask;
+  let cleanedUp = false;
+  const job = enqueueJob('user-1', ({ signal }) => new Promise((resolve, reject) => {
+    // Like ffmpeg, the task notices the abort only when it gets to it
+    finishTask = () => (signal.aborted ? reject(new Error('aborted')) : resolve('result'));
+  }), { cleanup: () => { cleanedUp = true; } });
+
+  await new Promise(resolve => setImmediate(resolve));
+  cancelJob(job);
+  assert.equal(describeJob(job).state, 'cancelled');
+  assert.equal(cleanedUp, false);
+
+  finishTask();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(cleanedUp, true);
+  assert.equal(describeJob(job).state, 'cancelled');
+});
+
+test('cancelling a queued job cleans up straight away', () => {
+  const blockers = [];
+  const block = () => new Promise(resolve => blockers.push(resolve));
+  // Fill every slot (JOB_CONCURRENCY defaults to 2) so the next job waits in line
+  enqueueJob('user-1', block);
+  enqueueJob('user-1', block);
+
+  let cleanedUp = false;
+  const job = enqueueJob('user-1', async () => 'never', { cleanup: () => { cleanedUp = true; } });
+  assert.equal(describeJob(job).queue_position, 1);
+
+  cancelJob(job);
+  assert.equal(cleanedUp, true);
+  assert.throws(() => cancelJob(job), { code: 'JOB_FINISHED' });
+  blockers.forEach(resolve => resolve());
+});
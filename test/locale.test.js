@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLocale, languageOf, localesOverlap, commandsForLocale } from '../lib/locale.js';
+
+test('normalizeLocale canonicalizes tags and keeps "any language" as null', () => {
+  assert.equal(normalizeLocale('es-mx'), 'es-MX');
+  assert.equal(normalizeLocale(' EN '), 'en');
+  assert.equal(normalizeLocale(null), null);
+  assert.equal(normalizeLocale(''), null);
+  assert.throws(() => normalizeLocale('not a locale'), { code: 'INVALID_LOCALE' });
+  assert.throws(() => normalizeLocale(42), { code: 'INVALID_LOCALE' });
+});
+
+test('languageOf reads tags, ISO codes and the language names Whisper reports', () => {
+  assert.equal(languageOf('es-MX'), 'es');
+  assert.equal(languageOf('ja'), 'ja');
+  assert.equal(languageOf('Spanish'), 'es');
+  assert.equal(languageOf(null), null);
+  assert.equal(languageOf('klingon dialect'), null);
+});
+
+test('localesOverlap compares languages, and untagged commands overlap everything', () => {
+  assert.equal(localesOverlap('en-US', 'en-GB'), true);
+  assert.equal(localesOverlap('en', 'de'), false);
+  assert.equal(localesOverlap(null, 'de'), true);
+});
+
+const commands = [
+  { id: 1, locale: 'en' },
+  { id: 2, locale: 'es-MX' },
+  { id: 3, locale: null }
+];
+const ids = list => list.map(command => command.id);
+
+test('commandsForLocale keeps the commands in the transcript\'s language plus untagged ones', () => {
+  assert.deepEqual(ids(commandsForLocale(commands, 'es')), [2, 3]);
+  assert.deepEqual(ids(commandsForLocale(commands, 'english')), [1, 3]);
+  assert.deepEqual(ids(commandsForLocale(commands, null)), [1, 2, 3]);
+});
+
+test('commandsForLocale falls back to every command only for a detected language', () => {
+  assert.deepEqual(ids(commandsForLocale(commands, 'fr')), [1, 2, 3]);
+  assert.deepEqual(ids(commandsForLocale(commands, 'fr', { requested: true })), [3]);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import {
+  buildMatcherIndex,
+  exactEntries,
+  templateEntries,
+  getMatcherIndex,
+  invalidateMatcherIndex,
+  startMatcherInvalidation
+} from '../lib/matcherIndex.js';
+
+const command = (id, command_name, fields = {}) => ({
+  id,
+  user_id: 'user-1',
+  command_name,
+  has_parameter: false,
+  parameter_name: null,
+  parameters: [],
+  locale: null,
+  aliases: [],
+  ...fields
+});
+
+// Answers the two queries an index is built from and counts the builds
+function fakeDb(commands) {
+  const db = {
+    commands,
+    builds: 0,
+    async query(sql) {
+      if (sql.includes('FROM commands c')) {
+        db.builds++;
+        return { rows: db.commands };
+      }
+      return { rows: [] };
+    }
+  };
+  return db;
+}
+
+// Stands in for the LISTEN connection; the migration 014 triggers are all there
+class FakeClient extends EventEmitter {
+  static last = null;
+
+  constructor() {
+    super();
+    FakeClient.last = this;
+  }
+
+  async connect() {}
+
+  async query(sql) {
+    return sql.includes('pg_trigger') ? { rows: [{ count: 3 }] } : { rows: [] };
+  }
+
+  async end() {}
+}
+
+test('buildMatcherIndex files literal phrases by cleaned text and templates by their leading words', async () => {
+  const db = fakeDb([
+    command(1, 'Open Inbox', { aliases: [{ id: 7, phrase: 'show my inbox' }] }),
+    command(2, 'open {site}', { has_parameter: true, parameters: [{ name: 'site', type: 'text' }] }),
+    command(3, '{app} please', { has_parameter: true, parameters: [{ name: 'app', type: 'text' }] })
+  ]);
+
+  const index = await buildMatcherIndex('user-1', db);
+
+  assert.equal(index.literals.length, 2);
+  assert.equal(index.template_count, 2);
+  assert.deepEqual(exactEntries(index, 'open inbox').map(entry => entry.command.id), [1]);
+  assert.deepEqual(exactEntries(index, 'show my inbox').map(entry => entry.phrase), ['show my inbox']);
+  assert.deepEqual(exactEntries(index, 'open mail'), []);
+
+  // The slot-first template sits at the root, so it is a candidate for every input
+  assert.deepEqual(templateEntries(index, 'open github').map(entry => entry.command.id), [2, 3]);
+  assert.deepEqual(templateEntries(index, 'close github').map(entry => entry.command.id), [3]);
+});
+
+test('buildMatcherIndex skips a saved phrase that no longer compiles', async () => {
+  const db = fakeDb([
+    command(1, 'open {site', { has_parameter: true, parameters: [{ name: 'site', type: 'text' }] }),
+    command(2, 'go home')
+  ]);
+
+  const index = await buildMatcherIndex('user-1', db);
+
+  assert.equal(index.template_count, 0);
+  assert.equal(exactEntries(index, 'go home').length, 1);
+});
+
+test('getMatcherIndex caches per user once listening, until the index is invalidated', async () => {
+  const db = fakeDb([command(1, 'go home')]);
+
+  // Before the listener is up every call builds afresh
+  await getMatcherIndex('user-1', db);
+  await getMatcherIndex('user-1', db);
+  assert.equal(db.builds, 2);
+
+  startMatcherInvalidation({ options: {} }, { createClient: () => new FakeClient() });
+  await new Promise(resolve => setImmediate(resolve));
+
+  db.builds = 0;
+  await getMatcherIndex('user-1', db);
+  await getMatcherIndex('user-1', db);
+  assert.equal(db.builds, 1);
+
+  // A write on this instance drops the index straight away
+  db.commands = [command(1, 'go home'), command(2, 'go to work')];
+  invalidateMatcherIndex('user-1');
+  const rebuilt = await getMatcherIndex('user-1', db);
+  assert.equal(db.builds, 2);
+  assert.equal(exactEntries(rebuilt, 'go to work').length, 1);
+
+  // Another instance's write arrives as a notification
+  FakeClient.last.emit('notification', { channel: 'matcher_invalidate', payload: 'user-1' });
+  await getMatcherIndex('user-1', db);
+  assert.equal(db.builds, 3);
+
+  // Other users' indexes are left alone
+  await getMatcherIndex('user-2', db);
+  invalidateMatcherIndex('user-1');
+  await getMatcherIndex('user-2', db);
+  assert.equal(db.builds, 4);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RULES, normalizeText, traceNormalization, validateRules } from '../lib/normalization.js';
+
+const normalized = (text, rules) => normalizeText(text, rules).text;
+
+test('normalizeText folds case, full-width forms and Latin accents, and drops punctuation', () => {
+  assert.equal(normalized('Ｏｐｅｎ  Café, please？', []), 'open cafe please');
+  assert.equal(normalized('', []), '');
+  assert.equal(normalized(null), '');
+});
+
+test('the default rules split hyphens, expand contractions, read numbers and drop fillers', () => {
+  assert.equal(normalized("Um, what's on my to-do list?"), 'what is on my to do list');
+  assert.equal(normalized("don't set twenty five timers"), 'do not set 25 timers');
+});
+
+test('rules run in the order they are listed', () => {
+  assert.equal(normalized('e-mail mom', [{ type: 'hyphens', mode: 'join' }]), 'email mom');
+  assert.equal(normalized('e mail mom', [{ type: 'replace', from: 'E mail', to: 'email' }]), 'email mom');
+
+  const replaceFirst = [{ type: 'replace', from: 'e mail', to: 'email' }, { type: 'hyphens', mode: 'split' }];
+  assert.equal(normalized('e-mail mom', replaceFirst), 'e mail mom');
+  assert.equal(normalized('e-mail mom', [...replaceFirst].reverse()), 'email mom');
+});
+
+test('normalizeText maps every normalized character back to the words that were said', () => {
+  const input = 'set twenty-five timers';
+  const result = normalizeText(input, DEFAULT_RULES);
+
+  assert.equal(result.text, 'set 25 timers');
+  const start = result.text.indexOf('25');
+  assert.equal(input.slice(result.starts[start], result.ends[start + 1]), 'twenty-five');
+});
+
+test('traceNormalization shows the text after folding and after each rule', () => {
+  const rules = [{ type: 'fillers', words: ['uh'] }, { type: 'numbers' }];
+  const trace = traceNormalization('Uh, call three', rules);
+
+  assert.equal(trace.normalized, 'call 3');
+  assert.deepEqual(trace.steps.map(step => step.text), ['uh call three', 'call three', 'call 3']);
+  assert.deepEqual(trace.steps[0].rule, { type: 'fold' });
+});
+
+test('validateRules fills in defaults and rejects malformed rules', () => {
+  assert.deepEqual(validateRules([{ type: 'hyphens' }, { type: 'replace', from: 'e mail' }]), [
+    { type: 'hyphens', mode: 'split' },
+    { type: 'replace', from: 'e mail', to: '' }
+  ]);
+  assert.ok(validateRules([{ type: 'fillers' }])[0].words.length > 0);
+
+  for (const rules of [
+    'numbers',
+    [{ type: 'shout' }],
+    [{ type: 'hyphens', mode: 'squash' }],
+    [{ type: 'fillers', words: 'um' }],
+    [{ type: 'replace', from: '?!', to: 'x' }],
+    Array.from({ length: 101 }, () => ({ type: 'numbers' }))
+  ]) {
+    assert.throws(() => validateRules(rules), { code: 'INVALID_NORMALIZATION_RULES' });
+  }
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readNumber } from '../lib/numberWords.js';
+
+const read = text => readNumber(text.split(' '), 0);
+
+test('readNumber reads one number and reports how many words it used', () => {
+  assert.deepEqual(read('twenty five minutes'), { length: 2, value: 25 });
+  assert.deepEqual(read('one hundred and two'), { length: 4, value: 102 });
+  assert.deepEqual(read('three thousand four hundred'), { length: 4, value: 3400 });
+});
+
+test('readNumber stops where the number ends', () => {
+  assert.deepEqual(read('one two three'), { length: 1, value: 1 });
+  assert.deepEqual(read('five hundred hundred'), { length: 2, value: 500 });
+  assert.deepEqual(read('five thirty'), { length: 1, value: 5 });
+  assert.deepEqual(read('two thousand three million'), { length: 3, value: 2003 });
+  assert.deepEqual(read('one hundred and'), { length: 2, value: 100 });
+});
+
+test('readNumber ignores non-number words, including Object.prototype names', () => {
+  assert.equal(read('constructor'), null);
+  assert.equal(read('hundred'), null);
+  assert.equal(read('and five'), null);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumber, parseDuration, parseDateTime, parseParameterValue } from '../lib/parameterTypes.js';
+
+test('parseNumber reads spoken and written numbers', () => {
+  assert.equal(parseNumber('twenty five'), 25);
+  assert.equal(parseNumber('one hundred and five'), 105);
+  assert.equal(parseNumber('a hundred'), 100);
+  assert.equal(parseNumber('nineteen hundred'), 1900);
+  assert.equal(parseNumber('two million three thousand'), 2003000);
+  assert.equal(parseNumber('two point five'), 2.5);
+  assert.equal(parseNumber('minus three'), -3);
+  assert.equal(parseNumber('1,200'), 1200);
+  assert.equal(parseNumber('zero'), 0);
+});
+
+test('parseNumber rejects words inherited from Object.prototype', () => {
+  for (const word of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    assert.equal(parseNumber(word), null, word);
+  }
+  assert.equal(parseNumber('two point constructor'), null);
+});
+
+test('parseNumber rejects malformed sequences instead of adding them up', () => {
+  assert.equal(parseNumber('one two three'), null);
+  assert.equal(parseNumber('five hundred hundred'), null);
+  assert.equal(parseNumber('twenty thirty'), null);
+  assert.equal(parseNumber('two thousand three million'), null);
+  assert.equal(parseNumber('point five'), null);
+  assert.equal(parseNumber('two point'), null);
+});
+
+test('parseDuration adds up units', () => {
+  assert.deepEqual(parseDuration('twenty five minutes'), { seconds: 1500, iso: 'PT25M' });
+  assert.deepEqual(parseDuration('an hour and a half'), { seconds: 5400, iso: 'PT1H30M' });
+  assert.deepEqual(parseDuration('1 hour 30 minutes'), { seconds: 5400, iso: 'PT1H30M' });
+});
+
+test('parseDuration rejects inherited property names and bad amounts', () => {
+  assert.equal(parseDuration('constructor minutes'), null);
+  assert.equal(parseDuration('five constructor'), null);
+  assert.equal(parseDuration('one two minutes'), null);
+});
+
+test('parseDateTime resolves spoken dates relative to now', () => {
+  const now = new Date(2026, 9, 19, 10, 0, 0);
+  assert.equal(parseDateTime('october twenty first', now), '2026-10-21');
+  assert.equal(parseDateTime('next friday', now), '2026-10-23');
+  assert.match(parseDateTime('tomorrow at five thirty pm', now), /^2026-10-20T17:30:00[+-]\d{2}:\d{2}$/);
+  assert.equal(parseDateTime('constructor', now), null);
+});
+
+test('parseParameterValue fails the match for unparseable values', () => {
+  assert.deepEqual(parseParameterValue('number', 'constructor'), { ok: false, error: '"constructor" is not a valid number' });
+  assert.deepEqual(parseParameterValue('number', 'twenty five'), { ok: true, value: 25 });
+});
@@ -0,0 +1,76 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Limits are read when the module loads, so they are set before importing it
+Object.assign(process.env, {
+  RATE_LIMIT_STORE: 'memory',
+  VOICE_REQUESTS_PER_MINUTE: '3',
+  VOICE_REQUESTS_PER_MINUTE_PER_IP: '5',
+  TEXT_REQUESTS_PER_MINUTE: '0',
+  TEXT_REQUESTS_PER_MINUTE_PER_IP: '0',
+  AUDIO_SECONDS_PER_DAY: '60',
+  AUDIO_SECONDS_PER_DAY_PER_IP: '0'
+});
+const { checkLimits, chargeAudioSeconds } = await import('../lib/rateLimits.js');
+
+// Pin the clock 30s into a minute so the windows can't roll over mid-test
+let now = Date.UTC(2026, 0, 1, 12, 0, 30);
+mock.method(Date, 'now', () => now);
+
+const MINUTE_MS = 60 * 1000;
+
+test('voice requests are counted per user within the minute', async () => {
+  const caller = { userId: 'user-1', ip: '10.0.0.1' };
+
+  for (let i = 0; i < 3; i++) {
+    const { rejection, headers } = await checkLimits('voice', caller);
+    assert.equal(rejection, null);
+    assert.equal(headers['X-RateLimit-Remaining'], String(2 - i));
+  }
+
+  const { rejection } = await checkLimits('voice', caller);
+  assert.equal(rejection.body.error, 'Rate limit exceeded');
+  assert.equal(rejection.body.scope, 'user');
+  assert.equal(rejection.retry_after_s, 30);
+
+  // Another user is unaffected, and the next minute starts afresh
+  assert.equal((await checkLimits('voice', { userId: 'user-2' })).rejection, null);
+  now += MINUTE_MS;
+  assert.equal((await checkLimits('voice', caller)).rejection, null);
+});
+
+test('the per-address limit applies across users', async () => {
+  const ip = '10.0.0.2';
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await checkLimits('voice', { userId: `ip-user-${i}`, ip })).rejection, null);
+  }
+
+  const { rejection } = await checkLimits('voice', { userId: 'ip-user-5', ip });
+  assert.equal(rejection.body.scope, 'ip');
+});
+
+test('a limit of 0 is off', async () => {
+  for (let i = 0; i < 10; i++) {
+    const { rejection, headers } = await checkLimits('text', { userId: 'user-3', ip: '10.0.0.3' });
+    assert.equal(rejection, null);
+    assert.deepEqual(headers, {});
+  }
+});
+
+test('charged audio counts against the daily quota once it is used up', async () => {
+  const caller = { userId: 'user-4' };
+
+  await chargeAudioSeconds(caller, 45);
+  let result = await checkLimits('voice', caller);
+  assert.equal(result.rejection, null);
+  assert.equal(result.headers['X-Audio-Quota-Remaining'], '15');
+
+  // Nothing to charge for audio of no length
+  await chargeAudioSeconds(caller, 0);
+  await chargeAudioSeconds(caller, NaN);
+
+  await chargeAudioSeconds(caller, 15);
+  result = await checkLimits('voice', caller);
+  assert.equal(result.rejection.body.error, 'Audio quota exceeded');
+  assert.equal(result.headers['X-Audio-Quota-Remaining'], '0');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  levenshtein,
+  editSimilarity,
+  tokenSimilarity,
+  phoneticKey,
+  phoneticSimilarity,
+  scoreSimilarity
+} from '../lib/similarity.js';
+
+test('levenshtein counts single-character edits', () => {
+  assert.equal(levenshtein('kitten', 'sitting'), 3);
+  assert.equal(levenshtein('', 'abc'), 3);
+  assert.equal(levenshtein('same', 'same'), 0);
+});
+
+test('editSimilarity ignores where the spaces fall', () => {
+  assert.equal(editSimilarity('open in box', 'open inbox'), 1);
+  assert.equal(editSimilarity('abcd', 'abce'), 0.75);
+});
+
+test('tokenSimilarity ignores filler words and joins split compounds', () => {
+  assert.equal(tokenSimilarity('open the inbox please', 'open inbox'), 1);
+  assert.equal(tokenSimilarity('check in box', 'check inbox'), 1);
+  assert.equal(tokenSimilarity('open inbox', 'close inbox'), 0.5);
+});
+
+test('phoneticKey maps similar-sounding spellings to the same key', () => {
+  assert.equal(phoneticKey('phone'), phoneticKey('fone'));
+  assert.equal(phoneticKey('night'), phoneticKey('nite'));
+  assert.equal(phoneticKey('knock'), phoneticKey('nock'));
+  assert.notEqual(phoneticKey('light'), phoneticKey('night'));
+});
+
+test('phoneticSimilarity matches similar-sounding spellings', () => {
+  assert.equal(phoneticSimilarity('call fone', 'call phone'), 1);
+});
+
+test('phoneticSimilarity has no score when either phrase has no Latin letters', () => {
+  assert.equal(phoneticSimilarity('открой почту', 'выключи свет'), null);
+  assert.equal(phoneticSimilarity('open mail', 'открой почту'), null);
+});
+
+test('scoreSimilarity leaves out a missing phonetic score instead of counting it as a match', () => {
+  const unrelated = scoreSimilarity('открой почту', 'выключи свет');
+  assert.equal(unrelated.phonetic, null);
+  assert.ok(unrelated.score < 0.2);
+
+  const close = scoreSimilarity('открой почту', 'открой почты');
+  assert.equal(close.score, Math.round(((0.4 * close.edit + 0.35 * close.tokens) / 0.75) * 1000) / 1000);
+});
+
+test('scoreSimilarity ranks a misheard command above an unrelated one', () => {
+  assert.deepEqual(scoreSimilarity('open inbox', 'open inbox'), { score: 1, edit: 1, tokens: 1, phonetic: 1 });
+
+  const misheard = scoreSimilarity('open in box', 'open inbox');
+  const unrelated = scoreSimilarity('open in box', 'play music');
+  assert.ok(misheard.score >= 0.85);
+  assert.ok(unrelated.score < 0.5);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanTranscribedText } from '../lib/text.js';
+import {
+  isTemplate,
+  parseTemplate,
+  validateTemplate,
+  compileCommandTemplate,
+  matchTemplate,
+  buildCommandDefinition,
+  validateAliasPhrase
+} from '../lib/templates.js';
+
+function extract(command, input) {
+  const compiled = compileCommandTemplate(command);
+  return matchTemplate(compiled, cleanTranscribedText(input), input, 'test');
+}
+
+test('parseTemplate splits a template into literal and slot segments', () => {
+  assert.equal(isTemplate('send {message} to {contact}'), true);
+  assert.equal(isTemplate('open inbox'), false);
+
+  assert.deepEqual(parseTemplate('send { message } to {contact}'), {
+    segments: [
+      { type: 'literal', text: 'send ' },
+      { type: 'slot', name: 'message' },
+      { type: 'literal', text: ' to ' },
+      { type: 'slot', name: 'contact' }
+    ],
+    slots: ['message', 'contact']
+  });
+
+  assert.throws(() => parseTemplate('open {web site}'), { code: 'INVALID_TEMPLATE' });
+  assert.throws(() => parseTemplate('open {site} or {site}'), { code: 'INVALID_TEMPLATE' });
+  assert.throws(() => parseTemplate('open {site'), { code: 'INVALID_TEMPLATE' });
+});
+
+test('validateTemplate wants spoken words around and between slots', () => {
+  assert.deepEqual(validateTemplate('send {message} to {contact}').slots, ['message', 'contact']);
+  assert.throws(() => validateTemplate('{message}'), { code: 'INVALID_TEMPLATE' });
+  assert.throws(() => validateTemplate('send {message}{contact}'), { code: 'INVALID_TEMPLATE' });
+  assert.throws(() => validateTemplate('send {message} , {contact}'), { code: 'INVALID_TEMPLATE' });
+});
+
+test('matchTemplate extracts every slot with the casing and inner punctuation that was said', () => {
+  const command = { command_name: 'Send {message} to {contact}' };
+
+  assert.deepEqual(extract(command, 'send Hello, World! to Dr. Smith'), { message: 'Hello, World', contact: 'Dr. Smith' });
+  assert.deepEqual(extract(command, 'SEND the report to Anna.'), { message: 'the report', contact: 'Anna' });
+  assert.equal(extract(command, 'send to Anna'), null);
+  assert.equal(extract(command, 'email the report to Anna'), null);
+});
+
+test('matchTemplate hands over numbers as spoken even though it matches the normalized text', () => {
+  const command = { command_name: 'wait {count} minutes' };
+  assert.deepEqual(extract(command, 'wait twenty-five minutes'), { count: 'twenty-five' });
+});
+
+test('commands saved in the single-parameter format still match', () => {
+  const command = { command_name: 'search for query', parameter_name: 'query' };
+  assert.deepEqual(extract(command, 'Search for Cheap Flights'), { query: 'Cheap Flights' });
+});
+
+test('buildCommandDefinition derives the parameter columns and their types', () => {
+  assert.deepEqual(buildCommandDefinition({ command_name: 'send {message} to {contact}', parameter_types: { contact: 'email' } }), {
+    has_parameter: true,
+    parameter_name: null,
+    parameters: [{ name: 'message', type: 'text' }, { name: 'contact', type: 'email' }]
+  });
+  assert.deepEqual(buildCommandDefinition({ command_name: 'wait {length}', parameter_type: 'duration' }), {
+    has_parameter: true,
+    parameter_name: 'length',
+    parameters: [{ name: 'length', type: 'duration' }]
+  });
+  assert.deepEqual(buildCommandDefinition({ command_name: 'search for query', has_parameter: true, parameter_name: 'query' }).parameters, [
+    { name: 'query', type: 'text' }
+  ]);
+  assert.deepEqual(buildCommandDefinition({ command_name: 'go home' }), { has_parameter: false, parameter_name: null, parameters: [] });
+
+  for (const fields of [
+    { command_name: 'wait {length}', parameter_types: { length: 'colour' } },
+    { command_name: 'wait {length}', parameter_types: { other: 'number' } },
+    { command_name: 'send {a} to {b}', parameter_type: 'text' },
+    { command_name: 'search for query', has_parameter: true, parameter_name: 'topic' }
+  ]) {
+    assert.throws(() => buildCommandDefinition(fields), { code: 'INVALID_TEMPLATE' });
+  }
+});
+
+test('validateAliasPhrase requires the same slots as the command', () => {
+  const command = { command_name: 'open {site}', parameters: [{ name: 'site', type: 'url' }] };
+
+  validateAliasPhrase(command, 'go to {site}');
+  assert.throws(() => validateAliasPhrase(command, 'go home'), { code: 'INVALID_TEMPLATE' });
+  assert.throws(() => validateAliasPhrase(command, 'go to {page}'), { code: 'INVALID_TEMPLATE' });
+  assert.throws(() => validateAliasPhrase(command, '  '), { code: 'INVALID_TEMPLATE' });
+});